@@ -5,8 +5,14 @@ const { PrismaClient } = require('@prisma/client');
 const prisma = new PrismaClient();
 
 const app = express();
+// Derrière un proxy (TRUST_PROXY=1, nombre de sauts) : req.ip = IP du client, utilisée par la limitation de débit
+if (process.env.TRUST_PROXY) {
+  const hops = Number(process.env.TRUST_PROXY);
+  app.set('trust proxy', Number.isInteger(hops) ? hops : process.env.TRUST_PROXY);
+}
 app.use(cors());
-app.use(express.json());
+// Corps brut conservé pour vérifier la signature des webhooks de paiement
+app.use(express.json({ verify: (req, res, buf) => { req.rawBody = buf; } }));
 
 app.get('/', (req, res) => {
   res.send('API Gestion Locative en ligne !');
@@ -19,6 +25,17 @@ app.use('/properties', require('./routes/properties'));
 app.use('/supervisions', require('./routes/supervisions'));
 app.use('/bookings', require('./routes/bookings'));
 app.use('/kyc', require('./routes/kyc'));
+app.use('/reviews', require('./routes/reviews'));
+app.use('/messages', require('./routes/messages'));
+app.use('/disputes', require('./routes/disputes'));
+app.use('/admin', require('./routes/admin'));
+app.use('/uploads', require('./routes/uploads'));
+app.use('/notifications', require('./routes/notifications'));
+app.use('/payments', require('./routes/payments'));
+app.use('/leases', require('./routes/leases'));
+
+// 🗓️ Tâches planifiées (expiration des demandes, fin des séjours, rappels, loyers et baux) — voir lib/jobs
+require('./lib/jobs').startScheduler(prisma);
 
 
 const PORT = process.env.PORT || 5000;
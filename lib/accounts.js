@@ -0,0 +1,28 @@
+// 🚫 État des comptes : actif, suspendu (éventuellement jusqu'à une date) ou banni
+// Un compte bloqué ne peut ni se connecter, ni rafraîchir sa session, ni utiliser un jeton déjà émis.
+const { AccountStatus } = require('@prisma/client');
+const { enumValues } = require('./validation');
+
+const ACCOUNT_STATUSES = enumValues(AccountStatus);
+
+// Sélection Prisma nécessaire à accountBlock
+const ACCOUNT_STATUS_SELECT = { status: true, suspendedUntil: true };
+
+// Renvoie null si le compte peut être utilisé, sinon { code, error, suspendedUntil }
+function accountBlock(user, now = new Date()) {
+  if (!user || user.status === 'active') return null;
+  if (user.status === 'suspended' && user.suspendedUntil && user.suspendedUntil <= now) return null;
+  if (user.status === 'banned') return { code: 'ACCOUNT_BANNED', error: 'Compte banni.' };
+  return { code: 'ACCOUNT_SUSPENDED', error: 'Compte suspendu.', suspendedUntil: user.suspendedUntil || null };
+}
+
+function sendAccountBlocked(res, block) {
+  return res.status(403).json(block);
+}
+
+module.exports = {
+  ACCOUNT_STATUSES,
+  ACCOUNT_STATUS_SELECT,
+  accountBlock,
+  sendAccountBlocked
+};
@@ -0,0 +1,83 @@
+// 🧰 Catalogue canonique des équipements
+// `PropertyEquipment.name` contient la clé du catalogue : les filtres de recherche restent cohérents.
+
+const AMENITY_CATEGORIES = {
+  essentials: 'Essentiels',
+  kitchen: 'Cuisine',
+  bathroom: 'Salle de bain',
+  comfort: 'Confort',
+  entertainment: 'Divertissement',
+  work: 'Travail',
+  outdoor: 'Extérieur',
+  safety: 'Sécurité',
+  accessibility: 'Accessibilité'
+};
+
+const AMENITIES = [
+  { key: 'wifi', label: 'Wi-Fi', category: 'essentials' },
+  { key: 'electricity_backup', label: 'Groupe électrogène / onduleur', category: 'essentials' },
+  { key: 'water_tank', label: 'Réserve d’eau', category: 'essentials' },
+  { key: 'bed_linen', label: 'Linge de lit', category: 'essentials' },
+  { key: 'towels', label: 'Serviettes', category: 'essentials' },
+  { key: 'iron', label: 'Fer à repasser', category: 'essentials' },
+  { key: 'washing_machine', label: 'Lave-linge', category: 'essentials' },
+
+  { key: 'kitchen', label: 'Cuisine équipée', category: 'kitchen' },
+  { key: 'refrigerator', label: 'Réfrigérateur', category: 'kitchen' },
+  { key: 'freezer', label: 'Congélateur', category: 'kitchen' },
+  { key: 'stove', label: 'Cuisinière', category: 'kitchen' },
+  { key: 'microwave', label: 'Micro-ondes', category: 'kitchen' },
+  { key: 'cookware', label: 'Ustensiles de cuisine', category: 'kitchen' },
+
+  { key: 'hot_water', label: 'Eau chaude', category: 'bathroom' },
+  { key: 'private_bathroom', label: 'Salle de bain privative', category: 'bathroom' },
+
+  { key: 'air_conditioning', label: 'Climatisation', category: 'comfort' },
+  { key: 'fan', label: 'Ventilateur', category: 'comfort' },
+  { key: 'mosquito_net', label: 'Moustiquaire', category: 'comfort' },
+  { key: 'elevator', label: 'Ascenseur', category: 'comfort' },
+
+  { key: 'tv', label: 'Télévision', category: 'entertainment' },
+  { key: 'satellite_tv', label: 'Chaînes satellite', category: 'entertainment' },
+  { key: 'sound_system', label: 'Sonorisation', category: 'entertainment' },
+
+  { key: 'workspace', label: 'Espace de travail', category: 'work' },
+  { key: 'projector', label: 'Vidéoprojecteur', category: 'work' },
+
+  { key: 'parking', label: 'Parking', category: 'outdoor' },
+  { key: 'pool', label: 'Piscine', category: 'outdoor' },
+  { key: 'garden', label: 'Jardin', category: 'outdoor' },
+  { key: 'balcony', label: 'Balcon / terrasse', category: 'outdoor' },
+  { key: 'bbq', label: 'Barbecue', category: 'outdoor' },
+
+  { key: 'security_guard', label: 'Gardiennage', category: 'safety' },
+  { key: 'cctv', label: 'Vidéosurveillance', category: 'safety' },
+  { key: 'fire_extinguisher', label: 'Extincteur', category: 'safety' },
+  { key: 'smoke_detector', label: 'Détecteur de fumée', category: 'safety' },
+  { key: 'first_aid_kit', label: 'Trousse de secours', category: 'safety' },
+
+  { key: 'step_free_access', label: 'Accès de plain-pied', category: 'accessibility' },
+  { key: 'wheelchair_accessible', label: 'Accessible en fauteuil roulant', category: 'accessibility' }
+];
+
+const AMENITIES_BY_KEY = new Map(AMENITIES.map(a => [a.key, a]));
+
+function findAmenity(key) {
+  return AMENITIES_BY_KEY.get(key) || null;
+}
+
+// Catalogue groupé par catégorie (pour les formulaires et filtres du front)
+function amenityCatalog() {
+  return Object.entries(AMENITY_CATEGORIES).map(([category, label]) => ({
+    category,
+    label,
+    amenities: AMENITIES.filter(a => a.category === category).map(({ key, label }) => ({ key, label }))
+  }));
+}
+
+module.exports = {
+  AMENITY_CATEGORIES,
+  AMENITIES,
+  findAmenity,
+  amenityCatalog
+};
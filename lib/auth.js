@@ -0,0 +1,170 @@
+// 🛡️ Authentification et autorisation partagées par tous les routeurs
+// - authenticate(db)             : vérification du jeton d'accès (voir ./tokens)
+// - requireRole(db, ...roles)    : rôles globaux actifs (UserRoleOnUser.active)
+// - authorize(db, target, rules) : politiques sur une ressource (bien ou réservation)
+//
+// Une politique est une fonction (ctx) => booléen ; ctx = { userId, roles, property, booking, supervision }.
+// Les superviseurs n'ont que les permissions accordées par l'hôte (Supervision.permissions).
+const { SupervisorPermission } = require('@prisma/client');
+const { authenticate } = require('./tokens');
+const { enumValues } = require('./validation');
+
+const SUPERVISOR_PERMISSIONS = enumValues(SupervisorPermission);
+
+/* ---------- Rôles globaux ---------- */
+async function getActiveRoles(db, userId) {
+  const rows = await db.userRoleOnUser.findMany({
+    where: { userId, active: true },
+    select: { role: true }
+  });
+  return rows.map(r => r.role);
+}
+
+async function hasRole(db, userId, ...roles) {
+  const active = await getActiveRoles(db, userId);
+  return active.some(r => roles.includes(r));
+}
+
+// Rôle attribué implicitement (hôte au premier bien, superviseur à l'affectation).
+// Un rôle désactivé par un administrateur n'est jamais réactivé ainsi : erreur ROLE_DISABLED.
+async function ensureRole(db, userId, role) {
+  const row = await db.userRoleOnUser.upsert({
+    where: { userId_role: { userId, role } },
+    update: {},
+    create: { userId, role, active: true }
+  });
+  if (!row.active) throw new Error('ROLE_DISABLED');
+  return row;
+}
+
+// Contexte de rôle choisi par l'utilisateur, s'il est toujours actif ; sinon voyageur (ou premier rôle actif)
+function effectiveRole(currentRole, activeRoles) {
+  if (currentRole && activeRoles.includes(currentRole)) return currentRole;
+  if (activeRoles.includes('guest')) return 'guest';
+  return activeRoles[0] || null;
+}
+
+// Middleware : au moins un des rôles, actif
+function requireRole(db, ...roles) {
+  return async (req, res, next) => {
+    try {
+      if (!(await hasRole(db, req.user.userId, ...roles))) {
+        return res.status(403).json({ error: 'Accès interdit. Rôle insuffisant.' });
+      }
+      next();
+    } catch (err) {
+      console.error('Erreur autorisation rôle :', err);
+      res.status(500).json({ error: 'Erreur serveur.' });
+    }
+  };
+}
+
+/* ---------- Contexte d'accès ---------- */
+// Supervision active de l'utilisateur sur le bien (ou null)
+async function getSupervision(db, propertyId, userId) {
+  return db.supervision.findFirst({
+    where: { propertyId, supervisorId: userId, active: true },
+    select: { id: true, permissions: true }
+  });
+}
+
+// `booking` doit inclure `property: { id, hostId }`
+async function accessContext(db, userId, { property = null, booking = null } = {}) {
+  const prop = property || (booking && booking.property) || null;
+  const [roles, supervision] = await Promise.all([
+    getActiveRoles(db, userId),
+    prop ? getSupervision(db, prop.id, userId) : null
+  ]);
+  return { userId, roles, property: prop, booking, supervision };
+}
+
+/* ---------- Politiques ---------- */
+const admin = ctx => ctx.roles.includes('admin');
+const hostOfProperty = ctx => !!ctx.property && ctx.property.hostId === ctx.userId;
+const guestOfBooking = ctx => !!ctx.booking && ctx.booking.guestId === ctx.userId;
+
+// Superviseur actif du bien ; avec `permission`, seulement s'il l'a reçue
+function supervisorOfProperty(permission = null) {
+  return ctx => !!ctx.supervision && (!permission || ctx.supervision.permissions.includes(permission));
+}
+
+const policies = { admin, hostOfProperty, guestOfBooking, supervisorOfProperty };
+
+function allows(ctx, rules) {
+  return rules.some(rule => rule(ctx));
+}
+
+// Rôles de l'utilisateur vis-à-vis d'une réservation (guest / host / supervisor)
+// Avec `permission`, un superviseur n'est compté que s'il dispose de cette permission.
+function bookingActorRoles(ctx, permission = null) {
+  const roles = [];
+  if (guestOfBooking(ctx)) roles.push('guest');
+  if (hostOfProperty(ctx)) roles.push('host');
+  if (supervisorOfProperty(permission)(ctx)) roles.push('supervisor');
+  return roles;
+}
+
+/* ---------- Middleware ---------- */
+const PROPERTY_ACCESS_SELECT = { id: true, hostId: true, active: true };
+const BOOKING_ACCESS_SELECT = {
+  id: true,
+  guestId: true,
+  propertyId: true,
+  status: true,
+  property: { select: PROPERTY_ACCESS_SELECT }
+};
+
+function resourceId(req, source) {
+  return typeof source === 'function' ? source(req) : req.params[source];
+}
+
+// authorize(prisma, { property: 'id' }, [policies.hostOfProperty, policies.supervisorOfProperty('manage_calendar')])
+// authorize(prisma, { booking: 'id' }, [policies.guestOfBooking])
+// La cible est un nom de paramètre d'URL ou une fonction (req) => id. Le contexte est exposé dans req.access.
+function authorize(db, target, rules) {
+  return async (req, res, next) => {
+    try {
+      let ctx;
+      if (target.property) {
+        const property = await db.property.findUnique({
+          where: { id: resourceId(req, target.property) },
+          select: PROPERTY_ACCESS_SELECT
+        });
+        if (!property) return res.status(404).json({ error: 'Bien introuvable.' });
+        ctx = await accessContext(db, req.user.userId, { property });
+      } else if (target.booking) {
+        const booking = await db.booking.findUnique({
+          where: { id: resourceId(req, target.booking) },
+          select: BOOKING_ACCESS_SELECT
+        });
+        if (!booking) return res.status(404).json({ error: 'Réservation introuvable.' });
+        ctx = await accessContext(db, req.user.userId, { booking });
+      } else {
+        ctx = await accessContext(db, req.user.userId);
+      }
+
+      if (!allows(ctx, rules)) return res.status(403).json({ error: 'Non autorisé.' });
+      req.access = ctx;
+      next();
+    } catch (err) {
+      console.error('Erreur autorisation :', err);
+      res.status(500).json({ error: 'Erreur serveur.' });
+    }
+  };
+}
+
+module.exports = {
+  SUPERVISOR_PERMISSIONS,
+  authenticate,
+  getActiveRoles,
+  hasRole,
+  ensureRole,
+  effectiveRole,
+  requireRole,
+  getSupervision,
+  accessContext,
+  policies,
+  allows,
+  bookingActorRoles,
+  authorize
+};
@@ -0,0 +1,136 @@
+// 📅 Calendrier de disponibilité & règles de séjour
+// Une seule source de vérité pour GET /properties/:id/availability et la création / modification
+// des réservations : réservations actives + blocs manuels de l'hôte (PropertyAvailability).
+const { toISOyyyyMMdd, startOfUTCDay, addDays, nightsBetween } = require('./dates');
+
+// Statuts de réservation qui occupent le calendrier
+const BLOCKING_STATUSES = ['pending', 'confirmed'];
+
+const WEEKDAY_LABELS = ['dimanche', 'lundi', 'mardi', 'mercredi', 'jeudi', 'vendredi', 'samedi'];
+
+// Jours [from, to) avec disponibilité calculée
+// { date, available, reason: 'booked' | 'blocked' | null, priceOverride }
+async function buildCalendar(db, propertyId, from, to, { excludeBookingId = null } = {}) {
+  const bookingWhere = {
+    propertyId,
+    status: { in: BLOCKING_STATUSES },
+    NOT: [
+      { checkOutDate: { lte: from } },
+      { checkInDate:  { gte: to } }
+    ]
+  };
+  if (excludeBookingId) bookingWhere.id = { not: excludeBookingId };
+
+  // Récupérer bookings qui intersectent l’intervalle
+  const bookings = await db.booking.findMany({
+    where: bookingWhere,
+    select: { checkInDate: true, checkOutDate: true }
+  });
+
+  // Récupérer indispos / overrides manuels
+  const blocks = await db.propertyAvailability.findMany({
+    where: {
+      propertyId,
+      date: { gte: from, lt: to }
+    },
+    select: { date: true, available: true, priceOverride: true }
+  });
+
+  // Construire calendrier jour par jour
+  const days = [];
+  for (let d = startOfUTCDay(from); d < to; d = addDays(d, 1)) {
+    const key = toISOyyyyMMdd(d);
+
+    // Booked ? jour d ∈ [checkIn, checkOut)
+    const isBooked = bookings.some(b => {
+      const startUTC = startOfUTCDay(new Date(b.checkInDate));
+      const endUTC   = startOfUTCDay(new Date(b.checkOutDate));
+      return d >= startUTC && d < endUTC;
+    });
+
+    // Bloc manuel ?
+    const block = blocks.find(x => toISOyyyyMMdd(new Date(x.date)) === key);
+    const available = !isBooked && (!block || block.available !== false);
+    let reason = null;
+    if (isBooked) reason = 'booked';
+    else if (block && block.available === false) reason = 'blocked';
+
+    days.push({
+      date: key,
+      available,
+      reason,
+      priceOverride: block ? block.priceOverride : null
+    });
+  }
+
+  return days;
+}
+
+// Vérifie qu'un séjour est réservable.
+// Renvoie null si tout est bon, sinon { status, error, unavailableDates? }.
+// `allowPastStart` : modification d'un séjour déjà commencé dont l'arrivée ne change pas.
+async function validateStay(db, property, start, end, guestsCount, { excludeBookingId = null, allowPastStart = false, now = new Date() } = {}) {
+  if (!property.active) {
+    return { status: 400, error: 'Ce bien n’est plus proposé à la réservation.' };
+  }
+
+  if (!Number.isInteger(guestsCount) || guestsCount < 1) {
+    return { status: 400, error: 'Nombre de voyageurs invalide.' };
+  }
+  if (guestsCount > property.maxGuests) {
+    return { status: 400, error: `Capacité maximale dépassée (${property.maxGuests} voyageurs).` };
+  }
+
+  if (!allowPastStart && startOfUTCDay(start) < startOfUTCDay(now)) {
+    return { status: 400, error: 'La date d’arrivée ne peut pas être dans le passé.' };
+  }
+
+  const nights = nightsBetween(start, end);
+  if (nights < 1) {
+    return { status: 400, error: 'Le séjour doit compter au moins une nuit.' };
+  }
+  if (property.minNights && nights < property.minNights) {
+    return { status: 400, error: `Séjour minimum : ${property.minNights} nuit(s).` };
+  }
+  if (property.maxNights && nights > property.maxNights) {
+    return { status: 400, error: `Séjour maximum : ${property.maxNights} nuit(s).` };
+  }
+
+  const checkInDays = property.checkInDays || [];
+  if (checkInDays.length > 0 && !checkInDays.includes(startOfUTCDay(start).getUTCDay())) {
+    const allowed = checkInDays.map(d => WEEKDAY_LABELS[d]).join(', ');
+    return { status: 400, error: `Arrivée possible uniquement le : ${allowed}.` };
+  }
+
+  const days = await buildCalendar(db, property.id, startOfUTCDay(start), startOfUTCDay(end), { excludeBookingId });
+  const unavailable = days.filter(d => !d.available);
+  if (unavailable.length > 0) {
+    const booked = unavailable.some(d => d.reason === 'booked');
+    return {
+      status: 409,
+      error: booked ? 'Ce créneau est déjà réservé.' : 'Ces dates ont été bloquées par l’hôte.',
+      unavailableDates: unavailable.map(d => ({ date: d.date, reason: d.reason }))
+    };
+  }
+
+  return null;
+}
+
+// Champs du bien nécessaires à validateStay
+const STAY_RULES_SELECT = {
+  id: true,
+  hostId: true,
+  rentalType: true,
+  active: true,
+  maxGuests: true,
+  minNights: true,
+  maxNights: true,
+  checkInDays: true
+};
+
+module.exports = {
+  BLOCKING_STATUSES,
+  STAY_RULES_SELECT,
+  buildCalendar,
+  validateStay
+};
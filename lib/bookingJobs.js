@@ -0,0 +1,182 @@
+// ⏰ Tâches planifiées sur les réservations (exécutées par lib/jobs)
+// Chaque tâche : { description, intervalMinutes, run(db, now) → { processed, details } }.
+// Toutes sont idempotentes : chaque écriture est conditionnée à l'état lu (statut, date d'envoi),
+// si bien qu'une action concurrente (hôte qui confirme, autre instance) l'emporte sans doublon.
+const { applyTransition } = require('./bookingStatus');
+const { computeRefund } = require('./cancellation');
+const { ACTIVE_DISPUTE_STATUSES } = require('./disputes');
+const { notify } = require('./notifications');
+const { settleCancellation } = require('./payments');
+
+const BATCH_SIZE = 100;
+const HOUR_MS = 60 * 60 * 1000;
+const REMINDER_LEAD_HOURS = Number(process.env.REMINDER_LEAD_HOURS || 24);
+// Au-delà, un séjour terminé ne donne plus lieu à une invitation à laisser un avis
+const REVIEW_PROMPT_MAX_DAYS = 14;
+
+const PROPERTY_SELECT = { id: true, title: true, hostId: true };
+
+// Passe la réservation de `from` à `to` si elle y est encore ; false si quelqu'un l'a devancé
+// Même garde que les routes (applyTransition) : historique et message système dans la conversation.
+// `booking` doit inclure `property: { hostId }` ; `then(tx)` : écritures complémentaires dans la même transaction
+async function transitionIfStill(db, booking, from, to, { data = {}, note, then = null }) {
+  return db.$transaction(async (tx) => {
+    try {
+      await applyTransition(tx, { ...booking, status: from }, booking.property.hostId, to, null, { note, data });
+    } catch (err) {
+      if (err.message === 'BOOKING_STATUS_CHANGED') return false;
+      throw err;
+    }
+    if (then) await then(tx);
+    return true;
+  });
+}
+
+// Réserve l'envoi d'un rappel (`field` encore vide) ; false s'il est déjà parti
+async function claim(db, bookingId, field, now) {
+  const { count } = await db.booking.updateMany({
+    where: { id: bookingId, [field]: null },
+    data: { [field]: now }
+  });
+  return count === 1;
+}
+
+/* =========================
+   ⌛ Demandes sans réponse
+========================= */
+// Comme pour les séjours terminés, un litige en cours gèle la demande jusqu'à sa clôture
+async function expirePendingBookings(db, now) {
+  const due = { status: 'pending', responseDeadline: { lte: now } };
+  const activeDispute = { status: { in: ACTIVE_DISPUTE_STATUSES } };
+  const bookings = await db.booking.findMany({
+    where: { ...due, disputes: { none: activeDispute } },
+    include: { property: { select: PROPERTY_SELECT } },
+    orderBy: { responseDeadline: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  let expired = 0;
+  for (const booking of bookings) {
+    const { refundAmount } = computeRefund(booking, booking.property, { now });
+    const done = await transitionIfStill(db, booking, 'pending', 'cancelled', {
+      data: { cancelledAt: now, refundAmount },
+      note: 'Demande expirée : pas de réponse de l’hôte dans le délai.',
+      then: tx => settleCancellation(tx, booking, refundAmount)
+    });
+    if (!done) continue;
+    expired++;
+    await notify(db, booking.guestId, 'booking_expired', { booking, property: booking.property });
+  }
+  const heldByDisputes = await db.booking.count({ where: { ...due, disputes: { some: activeDispute } } });
+  return { processed: expired, details: { expired, scanned: bookings.length, heldByDisputes } };
+}
+
+/* =========================
+   🏁 Séjours terminés
+========================= */
+// Un litige en cours gèle la réservation : elle sera complétée une fois le litige clos
+async function completePastStays(db, now) {
+  const due = { status: 'confirmed', checkOutDate: { lte: now } };
+  const activeDispute = { status: { in: ACTIVE_DISPUTE_STATUSES } };
+  const bookings = await db.booking.findMany({
+    where: { ...due, disputes: { none: activeDispute } },
+    select: { id: true, property: { select: PROPERTY_SELECT } },
+    orderBy: { checkOutDate: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  let completed = 0;
+  for (const booking of bookings) {
+    const done = await transitionIfStill(db, booking, 'confirmed', 'completed', {
+      note: 'Séjour terminé (clôture automatique).'
+    });
+    if (done) completed++;
+  }
+  const heldByDisputes = await db.booking.count({ where: { ...due, disputes: { some: activeDispute } } });
+  return { processed: completed, details: { completed, heldByDisputes } };
+}
+
+/* =========================
+   📅 Rappels d'arrivée et de départ
+========================= */
+async function sendReminders(db, now, { dateField, sentField, event }) {
+  const bookings = await db.booking.findMany({
+    where: {
+      status: 'confirmed',
+      [sentField]: null,
+      [dateField]: { gt: now, lte: new Date(now.getTime() + REMINDER_LEAD_HOURS * HOUR_MS) }
+    },
+    include: { property: { select: PROPERTY_SELECT } },
+    orderBy: { [dateField]: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  let sent = 0;
+  for (const booking of bookings) {
+    if (!(await claim(db, booking.id, sentField, now))) continue;
+    await notify(db, booking.guestId, event, { booking, property: booking.property });
+    sent++;
+  }
+  return sent;
+}
+
+async function sendStayReminders(db, now) {
+  const checkIn = await sendReminders(db, now, { dateField: 'checkInDate', sentField: 'checkInReminderSentAt', event: 'checkin_reminder' });
+  const checkOut = await sendReminders(db, now, { dateField: 'checkOutDate', sentField: 'checkOutReminderSentAt', event: 'checkout_reminder' });
+  return { processed: checkIn + checkOut, details: { checkIn, checkOut } };
+}
+
+/* =========================
+   ⭐ Invitations à laisser un avis
+========================= */
+// Voyageur (avis sur le bien) et hôte (avis sur le voyageur)
+async function sendReviewPrompts(db, now) {
+  const bookings = await db.booking.findMany({
+    where: {
+      status: 'completed',
+      reviewPromptSentAt: null,
+      checkOutDate: { gte: new Date(now.getTime() - REVIEW_PROMPT_MAX_DAYS * 24 * HOUR_MS), lte: now }
+    },
+    include: { property: { select: PROPERTY_SELECT } },
+    orderBy: { checkOutDate: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  let prompted = 0;
+  for (const booking of bookings) {
+    if (!(await claim(db, booking.id, 'reviewPromptSentAt', now))) continue;
+    const { property } = booking;
+    await notify(db, booking.guestId, 'review_prompt', { booking, property, role: 'guest' });
+    await notify(db, property.hostId, 'review_prompt', { booking, property, role: 'host' });
+    prompted++;
+  }
+  return { processed: prompted, details: { bookings: prompted } };
+}
+
+const BOOKING_JOBS = {
+  'expire-pending-bookings': {
+    description: 'Annule les demandes restées sans réponse de l’hôte après leur délai (responseDeadline).',
+    intervalMinutes: 5,
+    run: expirePendingBookings
+  },
+  'complete-past-stays': {
+    description: 'Passe en « completed » les séjours confirmés dont la date de départ est passée.',
+    intervalMinutes: 60,
+    run: completePastStays
+  },
+  'send-stay-reminders': {
+    description: `Rappels d’arrivée et de départ, ${REMINDER_LEAD_HOURS} h à l’avance.`,
+    intervalMinutes: 15,
+    run: sendStayReminders
+  },
+  'send-review-prompts': {
+    description: 'Invite voyageur et hôte à laisser un avis après le séjour.',
+    intervalMinutes: 60,
+    run: sendReviewPrompts
+  }
+};
+
+module.exports = {
+  REMINDER_LEAD_HOURS,
+  BOOKING_JOBS
+};
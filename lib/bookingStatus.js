@@ -0,0 +1,93 @@
+// 🔁 Machine à états des réservations
+// pending → confirmed | cancelled
+// confirmed → completed | cancelled
+// cancelled / completed : états finaux
+const { emitStatusChange } = require('./messages');
+
+const BOOKING_STATUSES = ['pending', 'confirmed', 'cancelled', 'completed'];
+
+const TRANSITIONS = {
+  pending: ['confirmed', 'cancelled'],
+  confirmed: ['completed', 'cancelled'],
+  cancelled: [],
+  completed: []
+};
+
+// Délai de réponse de l'hôte à une demande (BOOKING_RESPONSE_HOURS, 24 h par défaut) ;
+// passé ce délai, ou à la date d'arrivée si elle est plus proche, la demande expire (lib/bookingJobs).
+// L'hôte dispose toujours d'au moins BOOKING_MIN_RESPONSE_HOURS (2 h par défaut), même pour une
+// arrivée le jour même (checkInDate est à minuit UTC, donc souvent déjà passé).
+const BOOKING_RESPONSE_HOURS = Number(process.env.BOOKING_RESPONSE_HOURS || 24);
+const BOOKING_MIN_RESPONSE_HOURS = Number(process.env.BOOKING_MIN_RESPONSE_HOURS || 2);
+const HOUR_MS = 60 * 60 * 1000;
+
+function responseDeadlineFor(checkInDate, now = new Date()) {
+  const deadline = new Date(now.getTime() + BOOKING_RESPONSE_HOURS * HOUR_MS);
+  const earliest = new Date(now.getTime() + Math.min(BOOKING_MIN_RESPONSE_HOURS, BOOKING_RESPONSE_HOURS) * HOUR_MS);
+  const capped = deadline < checkInDate ? deadline : new Date(checkInDate);
+  return capped > earliest ? capped : earliest;
+}
+
+// Qui peut amener la réservation dans chaque statut
+const ALLOWED_ACTORS = {
+  confirmed: ['host', 'supervisor'],
+  cancelled: ['guest', 'host', 'supervisor'],
+  completed: ['host', 'supervisor']
+};
+
+// Vérifie une transition ; renvoie { ok } ou { ok: false, status, error }
+function checkTransition(booking, to, actorRoles, now = new Date()) {
+  if (!BOOKING_STATUSES.includes(to)) {
+    return { ok: false, status: 400, error: 'Statut invalide.' };
+  }
+  if (!(TRANSITIONS[booking.status] || []).includes(to)) {
+    return { ok: false, status: 400, error: `Transition ${booking.status} → ${to} non autorisée.` };
+  }
+  if (!actorRoles.some(r => ALLOWED_ACTORS[to].includes(r))) {
+    return { ok: false, status: 403, error: 'Non autorisé à effectuer cette transition.' };
+  }
+  if (to === 'completed' && now < new Date(booking.checkOutDate)) {
+    return { ok: false, status: 400, error: 'Le séjour ne peut être terminé qu’après la date de départ.' };
+  }
+  return { ok: true };
+}
+
+// Trace une entrée d'historique (actorId null = système)
+function recordStatusChange(db, { bookingId, fromStatus = null, toStatus, actorId = null, note = null }) {
+  return db.bookingStatusHistory.create({
+    data: { bookingId, fromStatus, toStatus, actorId, note }
+  });
+}
+
+// Applique une transition déjà vérifiée : mise à jour + historique + message système
+// `db` doit être un client de transaction pour garder les trois écritures cohérentes.
+// La mise à jour est conditionnée au statut lu (`booking.status`) : si une autre requête ou une tâche
+// planifiée l'a changé entre-temps, lève 'BOOKING_STATUS_CHANGED' sans rien écrire.
+async function applyTransition(db, booking, hostId, to, actorId, { note = null, data = {} } = {}) {
+  const { count } = await db.booking.updateMany({
+    where: { id: booking.id, status: booking.status },
+    data: { ...data, status: to }
+  });
+  if (count === 0) throw new Error('BOOKING_STATUS_CHANGED');
+  const updated = await db.booking.findUnique({ where: { id: booking.id } });
+  await recordStatusChange(db, {
+    bookingId: booking.id,
+    fromStatus: booking.status,
+    toStatus: to,
+    actorId,
+    note
+  });
+  // Transition système (actorId null) : message sans expéditeur, adressé au voyageur et à l'hôte
+  await emitStatusChange(db, updated, hostId, actorId);
+  return updated;
+}
+
+module.exports = {
+  BOOKING_STATUSES,
+  BOOKING_RESPONSE_HOURS,
+  TRANSITIONS,
+  responseDeadlineFor,
+  checkTransition,
+  recordStatusChange,
+  applyTransition
+};
@@ -0,0 +1,73 @@
+// ❌ Politiques d'annulation & calcul du remboursement
+const { DAY_MS } = require('./dates');
+const { percentOf } = require('./money');
+
+// Préréglages : remboursement total si annulation ≥ fullRefundDays jours avant l'arrivée,
+// partiel (partialRefundPercent %) si ≥ partialRefundDays jours, rien sinon.
+const POLICY_PRESETS = {
+  flexible: { fullRefundDays: 1,  partialRefundDays: 0, partialRefundPercent: 50 },
+  moderate: { fullRefundDays: 5,  partialRefundDays: 1, partialRefundPercent: 50 },
+  strict:   { fullRefundDays: 14, partialRefundDays: 7, partialRefundPercent: 50 }
+};
+
+const CANCELLATION_POLICIES = Object.keys(POLICY_PRESETS);
+
+// Préréglage du bien + surcharges éventuelles définies par l'hôte
+function resolvePolicy(property) {
+  const name = property.cancellationPolicy || 'flexible';
+  const preset = POLICY_PRESETS[name] || POLICY_PRESETS.flexible;
+  return {
+    name,
+    fullRefundDays: property.cancellationFullRefundDays ?? preset.fullRefundDays,
+    partialRefundDays: property.cancellationPartialRefundDays ?? preset.partialRefundDays,
+    partialRefundPercent: property.cancellationPartialRefundPercent ?? preset.partialRefundPercent
+  };
+}
+
+// Calcule le montant remboursable pour une annulation à l'instant `now`.
+// - annulation par l'hôte / un superviseur : remboursement total
+// - réservation encore en attente (jamais confirmée) : remboursement total
+// - sinon : selon la politique du bien et le délai avant l'arrivée
+function computeRefund(booking, property, { byHost = false, now = new Date() } = {}) {
+  const policy = resolvePolicy(property);
+  const daysBeforeCheckIn = (new Date(booking.checkInDate) - now) / DAY_MS;
+
+  let refundPercent;
+  let reason;
+  if (byHost) {
+    refundPercent = 100;
+    reason = 'host_cancellation';
+  } else if (booking.status === 'pending') {
+    refundPercent = 100;
+    reason = 'not_confirmed';
+  } else if (daysBeforeCheckIn <= 0) {
+    refundPercent = 0;
+    reason = 'after_check_in';
+  } else if (daysBeforeCheckIn >= policy.fullRefundDays) {
+    refundPercent = 100;
+    reason = 'full_refund_window';
+  } else if (daysBeforeCheckIn >= policy.partialRefundDays) {
+    refundPercent = policy.partialRefundPercent;
+    reason = 'partial_refund_window';
+  } else {
+    refundPercent = 0;
+    reason = 'too_late';
+  }
+
+  return {
+    policy,
+    daysBeforeCheckIn: Math.max(0, Math.floor(daysBeforeCheckIn)),
+    refundPercent,
+    reason,
+    currency: booking.currency,
+    totalAmount: booking.totalAmount,
+    refundAmount: percentOf(booking.totalAmount, refundPercent)
+  };
+}
+
+module.exports = {
+  POLICY_PRESETS,
+  CANCELLATION_POLICIES,
+  resolvePolicy,
+  computeRefund
+};
@@ -0,0 +1,18 @@
+// 📞 Coordonnées de l'hôte visibles par le voyageur
+// Selon User.contactVisibility : jamais, ou une fois la réservation confirmée (et après le séjour).
+const CONTACT_VISIBLE_STATUSES = ['confirmed', 'completed'];
+
+// Sélection Prisma de l'hôte nécessaire à hostPhoneFor
+const HOST_CONTACT_SELECT = { phoneNumber: true, contactVisibility: true };
+
+// `booking.property.host` doit inclure HOST_CONTACT_SELECT ; renvoie le numéro ou null
+function hostPhoneFor(booking) {
+  const host = booking.property && booking.property.host;
+  if (!host || host.contactVisibility !== 'after_confirmation') return null;
+  return CONTACT_VISIBLE_STATUSES.includes(booking.status) ? host.phoneNumber : null;
+}
+
+module.exports = {
+  HOST_CONTACT_SELECT,
+  hostPhoneFor
+};
@@ -0,0 +1,48 @@
+// 📅 Utilitaires de dates (jours calendaires en UTC)
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+function parseISODate(d) {
+  const x = new Date(d);
+  return (x instanceof Date && !isNaN(x)) ? x : null;
+}
+
+function toISOyyyyMMdd(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+function startOfUTCDay(d) {
+  return new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
+}
+
+function addDays(d, n) {
+  const x = startOfUTCDay(d);
+  x.setUTCDate(x.getUTCDate() + n);
+  return x;
+}
+
+function addMonths(d, n) {
+  const x = startOfUTCDay(d);
+  const day = x.getUTCDate();
+  x.setUTCDate(1);
+  x.setUTCMonth(x.getUTCMonth() + n);
+  // 31 janvier + 1 mois → 28/29 février
+  const lastDay = new Date(Date.UTC(x.getUTCFullYear(), x.getUTCMonth() + 1, 0)).getUTCDate();
+  x.setUTCDate(Math.min(day, lastDay));
+  return x;
+}
+
+// Nombre de nuits entre deux dates (jours calendaires UTC)
+function nightsBetween(start, end) {
+  return Math.round((startOfUTCDay(end) - startOfUTCDay(start)) / DAY_MS);
+}
+
+module.exports = {
+  DAY_MS,
+  parseISODate,
+  toISOyyyyMMdd,
+  startOfUTCDay,
+  addDays,
+  addMonths,
+  nightsBetween
+};
@@ -0,0 +1,44 @@
+// ⚖️ Litiges — règles partagées (routes /disputes et /bookings)
+const { lockBooking } = require('./transactions');
+
+// Un litige "actif" gèle les changements sur la réservation
+const ACTIVE_DISPUTE_STATUSES = ['open', 'under_review'];
+
+// Transitions autorisées (arbitrage admin)
+const DISPUTE_TRANSITIONS = {
+  open: ['under_review'],
+  under_review: ['resolved', 'rejected'],
+  resolved: [],
+  rejected: []
+};
+
+function canTransitionDispute(from, to) {
+  return (DISPUTE_TRANSITIONS[from] || []).includes(to);
+}
+
+function isDisputeClosed(dispute) {
+  return !ACTIVE_DISPUTE_STATUSES.includes(dispute.status);
+}
+
+async function hasActiveDispute(db, bookingId) {
+  const count = await db.dispute.count({
+    where: { bookingId, status: { in: ACTIVE_DISPUTE_STATUSES } }
+  });
+  return count > 0;
+}
+
+// Dans une transaction : verrouille la réservation puis lève 'DISPUTE_FROZEN' si un litige est en cours.
+// POST /disputes prend le même verrou : un litige ne peut pas s'ouvrir entre ce contrôle et la modification.
+async function assertNoActiveDispute(tx, bookingId) {
+  await lockBooking(tx, bookingId);
+  if (await hasActiveDispute(tx, bookingId)) throw new Error('DISPUTE_FROZEN');
+}
+
+module.exports = {
+  ACTIVE_DISPUTE_STATUSES,
+  DISPUTE_TRANSITIONS,
+  canTransitionDispute,
+  isDisputeClosed,
+  hasActiveDispute,
+  assertNoActiveDispute
+};
@@ -0,0 +1,55 @@
+// 💱 Taux de change (ExchangeRate), tenus à jour par les administrateurs (/admin/exchange-rates)
+// Un taux { baseCurrency, quoteCurrency, rate } : 1 unité de base = `rate` unités de cotation.
+// Le sens inverse est déduit (1 / rate) ; il n'y a pas de conversion par une devise tierce.
+// Les montants convertis servent à l'affichage ; une réservation fige le taux utilisé.
+const { CURRENCIES } = require('./money');
+
+// Unités mineures de `from` → unités mineures de `to` au taux `rate` (entre unités principales)
+function convertAmount(amount, from, to, rate) {
+  return Math.round(amount * Number(rate) * 10 ** (CURRENCIES[to].exponent - CURRENCIES[from].exponent));
+}
+
+// Table des taux en mémoire pour la durée d'une requête : { rate(from, to), convert(amount, from, to) }
+async function loadRates(db) {
+  const rows = await db.exchangeRate.findMany({ select: { baseCurrency: true, quoteCurrency: true, rate: true } });
+  const direct = new Map(rows.map(r => [`${r.baseCurrency}:${r.quoteCurrency}`, Number(r.rate)]));
+
+  // Taux entre unités principales, null si inconnu
+  function rate(from, to) {
+    if (from === to) return 1;
+    if (direct.has(`${from}:${to}`)) return direct.get(`${from}:${to}`);
+    if (direct.has(`${to}:${from}`)) return 1 / direct.get(`${to}:${from}`);
+    return null;
+  }
+
+  // Montant en unités mineures de `from` → unités mineures de `to` (null si pas de taux)
+  function convert(amount, from, to) {
+    if (amount === null || amount === undefined) return amount;
+    const r = rate(from, to);
+    if (r === null) return null;
+    return convertAmount(amount, from, to, r);
+  }
+
+  return { rate, convert };
+}
+
+// Lève RATE_UNAVAILABLE si la conversion est impossible
+function requireRate(rates, from, to) {
+  const r = rates.rate(from, to);
+  if (r === null) throw new Error('RATE_UNAVAILABLE');
+  return r;
+}
+
+function sendRateError(res, err) {
+  if (err.message === 'RATE_UNAVAILABLE') {
+    res.status(422).json({ error: 'Taux de change indisponible pour cette devise.' }); return true;
+  }
+  return false;
+}
+
+module.exports = {
+  convertAmount,
+  loadRates,
+  requireRate,
+  sendRateError
+};
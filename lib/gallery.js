@@ -0,0 +1,123 @@
+// 🖼️ Galerie photo des biens (PropertyImage)
+// Les photos sont des uploads `property_image` envoyés par l'hôte ou un superviseur (POST /uploads/property-images).
+// Invariants : positions 0..n-1 sans trou ; une et une seule couverture dès qu'il y a une photo.
+const { RoomTag } = require('@prisma/client');
+const { enumValues } = require('./validation');
+const { uploadUrl } = require('./uploads');
+
+const ROOM_TAGS = enumValues(RoomTag);
+const MAX_PROPERTY_IMAGES = Number(process.env.MAX_PROPERTY_IMAGES || 30);
+
+const GALLERY_ORDER = [{ position: 'asc' }, { createdAt: 'asc' }];
+const GALLERY_SELECT = {
+  id: true,
+  url: true,
+  thumbnailUrl: true,
+  caption: true,
+  room: true,
+  position: true,
+  isCover: true
+};
+
+// `include` Prisma pour les listes : la seule photo de couverture
+const COVER_IMAGE_INCLUDE = { where: { isCover: true }, select: { url: true, thumbnailUrl: true }, take: 1 };
+
+// Vignette de couverture à partir de `images` chargé avec COVER_IMAGE_INCLUDE
+function coverThumbnail(images) {
+  const cover = images && images[0];
+  return cover ? cover.thumbnailUrl || cover.url : null;
+}
+
+function galleryError(code, extra = {}) {
+  return Object.assign(new Error(code), extra);
+}
+
+// Photo `imageId` du bien `propertyId`, lue dans la transaction ; 'GALLERY_IMAGE_NOT_FOUND' sinon
+async function requireImage(tx, propertyId, imageId) {
+  const image = await tx.propertyImage.findUnique({ where: { id: imageId }, select: { propertyId: true } });
+  if (!image || image.propertyId !== propertyId) throw galleryError('GALLERY_IMAGE_NOT_FOUND');
+}
+
+// Lignes PropertyImage à créer pour des uploads de `ownerId`, à partir de la position `start`
+async function imagesFromUploads(db, ownerId, uploadIds, start = 0) {
+  const ids = [...new Set(uploadIds)];
+  if (ids.length === 0) return [];
+  if (start + ids.length > MAX_PROPERTY_IMAGES) throw galleryError('GALLERY_FULL');
+
+  const uploads = await db.upload.findMany({
+    where: { id: { in: ids }, ownerId, kind: 'property_image' },
+    select: { id: true, thumbnailKey: true }
+  });
+  if (uploads.length !== ids.length) throw galleryError('GALLERY_UPLOAD_NOT_FOUND');
+
+  const byId = new Map(uploads.map(u => [u.id, u]));
+  return ids.map((id, i) => ({
+    uploadId: id,
+    url: uploadUrl(id),
+    thumbnailUrl: byId.get(id).thumbnailKey ? `${uploadUrl(id)}/thumbnail` : null,
+    position: start + i,
+    isCover: false
+  }));
+}
+
+// Renumérote la galerie (ordre courant, ou `orderedIds`) et garantit une couverture
+// À appeler dans une transaction interactive (`tx`)
+async function normalizeGallery(tx, propertyId, orderedIds = null) {
+  const images = await tx.propertyImage.findMany({
+    where: { propertyId },
+    select: { id: true, position: true, isCover: true },
+    orderBy: GALLERY_ORDER
+  });
+  const order = orderedIds || images.map(i => i.id);
+  const current = new Map(images.map(i => [i.id, i]));
+
+  // Photo retirée entre la lecture de l'appelant et cette transaction
+  if (order.some(id => !current.has(id))) throw galleryError('GALLERY_ORDER_MISMATCH');
+
+  for (const [position, id] of order.entries()) {
+    if (current.get(id).position !== position) {
+      await tx.propertyImage.update({ where: { id }, data: { position } });
+    }
+  }
+  if (order.length > 0 && !images.some(i => i.isCover)) {
+    await tx.propertyImage.update({ where: { id: order[0] }, data: { isCover: true } });
+  }
+}
+
+// Une seule couverture : on retire l'ancienne avant de poser la nouvelle (index unique partiel)
+async function setCover(tx, propertyId, imageId) {
+  await tx.propertyImage.updateMany({ where: { propertyId, isCover: true, id: { not: imageId } }, data: { isCover: false } });
+  await tx.propertyImage.update({ where: { id: imageId }, data: { isCover: true } });
+}
+
+// Les écritures sur la galerie passent par runSerializable : 'SERIALIZATION_CONFLICT' si une autre
+// modification l'emporte. P2002 : photo en double (propertyId, uploadId), ou couverture posée en
+// parallèle (index unique partiel PropertyImage_propertyId_cover_key).
+function sendGalleryError(res, err) {
+  const changed = { error: 'La galerie vient d’être modifiée. Merci de réessayer.' };
+  if (err.message === 'GALLERY_FULL')             { res.status(409).json({ error: `Au plus ${MAX_PROPERTY_IMAGES} photos par bien.` }); return true; }
+  if (err.message === 'GALLERY_UPLOAD_NOT_FOUND') { res.status(400).json({ error: 'Photos introuvables : envoyez-les via /uploads/property-images.' }); return true; }
+  if (err.message === 'GALLERY_IMAGE_NOT_FOUND')  { res.status(404).json({ error: 'Photo introuvable.' }); return true; }
+  if (err.message === 'GALLERY_ORDER_MISMATCH')   { res.status(400).json({ error: 'imageIds doit contenir chaque photo de la galerie une seule fois.' }); return true; }
+  if (err.message === 'SERIALIZATION_CONFLICT')   { res.status(409).json(changed); return true; }
+  if (err.code === 'P2002') {
+    const duplicate = String((err.meta && err.meta.target) || '').includes('uploadId');
+    res.status(409).json(duplicate ? { error: 'Photo déjà présente dans la galerie.' } : changed);
+    return true;
+  }
+  return false;
+}
+
+module.exports = {
+  ROOM_TAGS,
+  MAX_PROPERTY_IMAGES,
+  GALLERY_ORDER,
+  GALLERY_SELECT,
+  COVER_IMAGE_INCLUDE,
+  coverThumbnail,
+  imagesFromUploads,
+  requireImage,
+  normalizeGallery,
+  setCover,
+  sendGalleryError
+};
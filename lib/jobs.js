@@ -0,0 +1,94 @@
+// 🗓️ Exécution des tâches planifiées (lib/bookingJobs, lib/paymentJobs, lib/leaseJobs) et journal des exécutions (JobRun)
+// - planificateur intégré à l'API (startScheduler), désactivable avec JOBS_ENABLED=false
+//   (par ex. quand une seule instance parmi plusieurs doit s'en charger)
+// - exécution ponctuelle : npm run jobs -- <nom>|all, ou POST /admin/jobs/:name/run
+// Une tâche ne tourne jamais deux fois en même temps : verrou en mémoire pour ce processus, et
+// index unique partiel JobRun(job) WHERE status = 'running' entre instances (la seconde création échoue).
+const { BOOKING_JOBS } = require('./bookingJobs');
+const { PAYMENT_JOBS } = require('./paymentJobs');
+const { LEASE_JOBS } = require('./leaseJobs');
+
+const JOBS = { ...BOOKING_JOBS, ...PAYMENT_JOBS, ...LEASE_JOBS };
+const JOB_NAMES = Object.keys(JOBS);
+const JOB_TRIGGERS = ['scheduler', 'cli', 'admin'];
+
+// Une exécution « running » plus ancienne est considérée comme abandonnée (processus arrêté en cours) :
+// elle est passée en échec pour libérer le verrou
+const STALE_RUN_MINUTES = 30;
+const MAX_ERROR_LENGTH = 2000;
+
+const running = new Set();
+
+function jobsEnabled() {
+  return process.env.JOBS_ENABLED !== 'false';
+}
+
+// Exécute une tâche et journalise le résultat ; renvoie le JobRun, ou null si elle tourne déjà.
+// Une tâche en échec est journalisée (status failed) sans que l'erreur ne remonte.
+async function runJob(db, name, { trigger = 'scheduler', now = new Date() } = {}) {
+  const job = JOBS[name];
+  if (!job) throw new Error('JOB_NOT_FOUND');
+  if (running.has(name)) return null;
+
+  running.add(name);
+  try {
+    await db.jobRun.updateMany({
+      where: { job: name, status: 'running', startedAt: { lte: new Date(Date.now() - STALE_RUN_MINUTES * 60 * 1000) } },
+      data: { status: 'failed', finishedAt: new Date(), error: 'Exécution abandonnée (processus arrêté en cours).' }
+    });
+
+    let run;
+    try {
+      run = await db.jobRun.create({ data: { job: name, trigger } });
+    } catch (err) {
+      // Exécution « running » d'une autre instance
+      if (err.code === 'P2002') return null;
+      throw err;
+    }
+    try {
+      const { processed, details } = await job.run(db, now);
+      return await db.jobRun.update({
+        where: { id: run.id },
+        data: { status: 'succeeded', finishedAt: new Date(), processed, details }
+      });
+    } catch (err) {
+      console.error(`Erreur tâche ${name} :`, err);
+      return await db.jobRun.update({
+        where: { id: run.id },
+        data: { status: 'failed', finishedAt: new Date(), error: String(err && err.stack || err).slice(0, MAX_ERROR_LENGTH) }
+      });
+    }
+  } finally {
+    running.delete(name);
+  }
+}
+
+// Lance chaque tâche à son intervalle (premier passage peu après le démarrage) ; renvoie stop()
+function startScheduler(db) {
+  if (!jobsEnabled()) {
+    console.log('Tâches planifiées désactivées (JOBS_ENABLED=false).');
+    return () => {};
+  }
+
+  const timers = [];
+  for (const name of JOB_NAMES) {
+    const tick = () => runJob(db, name).catch(err => console.error(`Erreur planificateur (${name}) :`, err));
+    // unref : les minuteries ne retiennent pas le processus à l'arrêt
+    timers.push(setTimeout(tick, 30 * 1000).unref());
+    timers.push(setInterval(tick, JOBS[name].intervalMinutes * 60 * 1000).unref());
+  }
+  return () => timers.forEach(clearTimeout);
+}
+
+function describeJobs() {
+  return JOB_NAMES.map(name => ({ name, description: JOBS[name].description, intervalMinutes: JOBS[name].intervalMinutes }));
+}
+
+module.exports = {
+  JOB_NAMES,
+  JOB_TRIGGERS,
+  jobsEnabled,
+  runJob,
+  startScheduler,
+  describeJobs
+};
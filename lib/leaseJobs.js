@@ -0,0 +1,200 @@
+// ⏰ Tâches planifiées sur les baux (exécutées par lib/jobs)
+// Comme lib/bookingJobs : chaque écriture est conditionnée à l'état lu (statut, date d'envoi),
+// si bien qu'une action concurrente (paiement, préavis, autre instance) l'emporte sans doublon.
+const { DAY_MS } = require('./dates');
+const { ACTIVE_DISPUTE_STATUSES } = require('./disputes');
+const { notify } = require('./notifications');
+const { ledgerSummary } = require('./payments');
+const {
+  OPEN_LEASE_STATUSES,
+  installmentTotal,
+  createLease,
+  allocatePayments,
+  lateFeeFor
+} = require('./leases');
+
+const BATCH_SIZE = 100;
+const RENT_REMINDER_DAYS = Number(process.env.RENT_REMINDER_DAYS || 3);
+
+const PROPERTY_SELECT = { id: true, title: true, hostId: true };
+const LEASE_INCLUDE = { lease: { include: { property: { select: PROPERTY_SELECT } } } };
+
+function outstanding(installment) {
+  return installmentTotal(installment) - installment.paidAmount;
+}
+
+/* =========================
+   📝 Baux manquants
+========================= */
+// Réservations longue durée confirmées sans bail (confirmées avant l'existence des baux)
+async function openLeases(db) {
+  const bookings = await db.booking.findMany({
+    where: { status: 'confirmed', rentalType: 'long_term', lease: { is: null } },
+    include: { property: true },
+    orderBy: { checkInDate: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  let opened = 0;
+  for (const booking of bookings) {
+    try {
+      if (await db.$transaction(tx => createLease(tx, booking, booking.property))) opened++;
+    } catch (err) {
+      // Bail créé entre-temps par la confirmation
+      if (err.code !== 'P2002') throw err;
+    }
+  }
+  return { processed: opened, details: { opened } };
+}
+
+/* =========================
+   📅 Rappels d'échéance
+========================= */
+async function sendRentReminders(db, now) {
+  const installments = await db.rentInstallment.findMany({
+    where: {
+      status: 'pending',
+      reminderSentAt: null,
+      dueDate: { gt: now, lte: new Date(now.getTime() + RENT_REMINDER_DAYS * DAY_MS) },
+      lease: { status: { in: OPEN_LEASE_STATUSES } }
+    },
+    include: LEASE_INCLUDE,
+    orderBy: { dueDate: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  let sent = 0;
+  for (const installment of installments) {
+    const { count } = await db.rentInstallment.updateMany({
+      where: { id: installment.id, reminderSentAt: null },
+      data: { reminderSentAt: now }
+    });
+    if (count === 0) continue;
+    const { lease } = installment;
+    await notify(db, lease.tenantId, 'rent_due', { lease, installment, property: lease.property, amount: outstanding(installment) });
+    sent++;
+  }
+  return { processed: sent, details: { sent } };
+}
+
+/* =========================
+   ⚠️ Retards et pénalités
+========================= */
+// Échéance impayée au-delà du délai de tolérance : pénalité du bail (s'il en prévoit une),
+// ajoutée au montant dû, puis locataire et hôte prévenus. Une seule fois par échéance.
+async function applyLateFees(db, now) {
+  const installments = await db.rentInstallment.findMany({
+    where: {
+      status: 'pending',
+      lateNoticeSentAt: null,
+      overdueAt: { lte: now },
+      lease: { status: { in: OPEN_LEASE_STATUSES } }
+    },
+    include: LEASE_INCLUDE,
+    orderBy: { overdueAt: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  const details = { overdue: 0, lateFees: 0 };
+  for (const { lease, ...pending } of installments) {
+    const installment = await db.$transaction(async (tx) => {
+      const current = await tx.rentInstallment.findUnique({ where: { id: pending.id } });
+      const lateFee = lateFeeFor(lease, current);
+      const { count } = await tx.rentInstallment.updateMany({
+        where: { id: pending.id, status: 'pending', lateNoticeSentAt: null },
+        data: { lateNoticeSentAt: now, lateFee: { increment: lateFee } }
+      });
+      if (count === 0) return null;
+      if (lateFee > 0) {
+        await tx.ledgerEntry.create({
+          data: { bookingId: lease.bookingId, type: 'charge', amount: lateFee, note: `Pénalité de retard (échéance n° ${current.sequence})` }
+        });
+        await allocatePayments(tx, { id: lease.id }, now);
+        details.lateFees++;
+      }
+      return tx.rentInstallment.findUnique({ where: { id: pending.id } });
+    });
+    if (!installment) continue;
+    details.overdue++;
+
+    const params = { lease, installment, property: lease.property, amount: outstanding(installment) };
+    await notify(db, lease.tenantId, 'rent_overdue', { ...params, role: 'tenant' });
+    await notify(db, lease.property.hostId, 'rent_overdue', { ...params, role: 'host' });
+  }
+  return { processed: details.overdue, details };
+}
+
+/* =========================
+   🏁 Fin des baux
+========================= */
+// Bail arrivé à son terme (ou à la fin du préavis) : terminé, dépôt de garantie réglé.
+// Le dépôt cesse d'être dû ; ce qui en a été payé couvre d'abord les impayés, le reste (et tout
+// trop-perçu) devient un remboursement. Un litige en cours sur la réservation retient le dépôt.
+async function endLeases(db, now) {
+  const due = { status: { in: OPEN_LEASE_STATUSES }, endDate: { lte: now } };
+  const activeDispute = { status: { in: ACTIVE_DISPUTE_STATUSES } };
+  const leases = await db.lease.findMany({
+    where: { ...due, booking: { disputes: { none: activeDispute } } },
+    orderBy: { endDate: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  const details = { ended: 0, refunds: 0 };
+  for (const lease of leases) {
+    const refund = await db.$transaction(async (tx) => {
+      const { count } = await tx.lease.updateMany({
+        where: { id: lease.id, ...due },
+        data: { status: 'ended', endedAt: now, depositSettledAt: now, renewalMonths: null, renewalProposedAt: null, renewalProposedById: null }
+      });
+      if (count === 0) return null;
+
+      if (lease.securityDeposit > 0) {
+        await tx.ledgerEntry.create({
+          data: { bookingId: lease.bookingId, type: 'charge', amount: -lease.securityDeposit, note: 'Fin du bail : dépôt de garantie' }
+        });
+      }
+      await allocatePayments(tx, { id: lease.id }, now);
+
+      const booking = await tx.booking.findUnique({ where: { id: lease.bookingId } });
+      const { balanceDue } = await ledgerSummary(tx, booking);
+      if (balanceDue >= 0) return 0;
+      await tx.ledgerEntry.create({
+        data: { bookingId: lease.bookingId, type: 'refund', amount: -balanceDue, note: 'Fin du bail : restitution du dépôt de garantie et du trop-perçu' }
+      });
+      return -balanceDue;
+    });
+    if (refund === null) continue;
+    details.ended++;
+    if (refund > 0) details.refunds++;
+  }
+  const heldByDisputes = await db.lease.count({ where: { ...due, booking: { disputes: { some: activeDispute } } } });
+  return { processed: details.ended, details: { ...details, heldByDisputes } };
+}
+
+const LEASE_JOBS = {
+  'open-leases': {
+    description: 'Crée le bail et l’échéancier des réservations longue durée confirmées qui n’en ont pas.',
+    intervalMinutes: 60,
+    run: openLeases
+  },
+  'send-rent-reminders': {
+    description: `Rappelle au locataire les loyers à régler dans les ${RENT_REMINDER_DAYS} jours.`,
+    intervalMinutes: 60,
+    run: sendRentReminders
+  },
+  'apply-late-fees': {
+    description: 'Constate les loyers impayés après le délai de tolérance et applique les pénalités de retard.',
+    intervalMinutes: 60,
+    run: applyLateFees
+  },
+  'end-leases': {
+    description: 'Termine les baux arrivés à échéance et règle le dépôt de garantie.',
+    intervalMinutes: 60,
+    run: endLeases
+  }
+};
+
+module.exports = {
+  RENT_REMINDER_DAYS,
+  LEASE_JOBS
+};
@@ -0,0 +1,443 @@
+// 🏠 Baux des locations longue durée (Lease) et échéancier des loyers (RentInstallment)
+// Une réservation longue durée confirmée devient un bail : les conditions du bien y sont figées
+// (loyer, jour d'échéance, dépôt de garantie, pénalités de retard, préavis) et chaque période
+// de loyer donne une échéance.
+// - périodes bornées par le jour d'échéance de chaque mois ; une période incomplète (entrée ou
+//   sortie en cours de mois) est facturée au prorata de la période entière
+// - loyer payable d'avance, au début de sa période ; en retard après lateFeeGraceDays
+// - l'argent reste dans le grand livre de la réservation (lib/payments) : le dépôt de garantie y est
+//   une `charge`, et les encaissements nets sont imputés au dépôt puis aux échéances dans l'ordre
+// Montants en unités mineures de la devise du bail (celle de la réservation).
+const { addDays, addMonths, nightsBetween, startOfUTCDay, toISOyyyyMMdd } = require('./dates');
+const { percentOf } = require('./money');
+const { convertAmount } = require('./exchangeRates');
+const { buildCalendar } = require('./availability');
+
+// Défauts quand le bien ne précise rien
+const DEFAULT_LATE_FEE_GRACE_DAYS = Number(process.env.LEASE_LATE_FEE_GRACE_DAYS || 5);
+const DEFAULT_NOTICE_DAYS = Number(process.env.LEASE_NOTICE_DAYS || 30);
+const MAX_RENEWAL_MONTHS = 36;
+
+// Baux dont les loyers courent encore
+const OPEN_LEASE_STATUSES = ['active', 'notice_given'];
+// État affiché d'une échéance (installmentState)
+const INSTALLMENT_STATES = ['upcoming', 'due', 'overdue', 'paid', 'cancelled'];
+
+/* =========================
+   📆 Échéancier
+========================= */
+// Date de référence des échéances : le jour `dueDay` du mois d'entrée (à défaut le jour d'entrée).
+// Les bornes des périodes sont cette date décalée d'un nombre entier de mois.
+function scheduleAnchor(start, dueDay = null) {
+  return new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth(), dueDay || start.getUTCDate()));
+}
+
+// Périodes de loyer de `start` à `end` (exclu) : { sequence, periodStart, periodEnd, dueDate, rent, prorated }
+function rentSchedule(start, end, monthlyRent, anchor, firstSequence = 1) {
+  // Première borne strictement après `start`
+  let k = (start.getUTCFullYear() - anchor.getUTCFullYear()) * 12 + start.getUTCMonth() - anchor.getUTCMonth() - 1;
+  while (addMonths(anchor, k) <= start) k++;
+
+  const periods = [];
+  for (let periodStart = start; periodStart < end; k++) {
+    const boundary = addMonths(anchor, k);
+    const periodEnd = boundary < end ? boundary : end;
+    const days = nightsBetween(periodStart, periodEnd);
+    const fullDays = nightsBetween(addMonths(anchor, k - 1), boundary);
+    periods.push({
+      sequence: firstSequence + periods.length,
+      periodStart,
+      periodEnd,
+      dueDate: periodStart,
+      rent: days === fullDays ? monthlyRent : Math.round(monthlyRent * days / fullDays),
+      prorated: days !== fullDays
+    });
+    periodStart = periodEnd;
+  }
+  return periods;
+}
+
+// Échéancier tel qu'annoncé dans un devis (dates en AAAA-MM-JJ)
+function quotedSchedule(periods) {
+  return periods.map(p => ({
+    sequence: p.sequence,
+    periodStart: toISOyyyyMMdd(p.periodStart),
+    periodEnd: toISOyyyyMMdd(p.periodEnd),
+    dueDate: toISOyyyyMMdd(p.dueDate),
+    rent: p.rent
+  }));
+}
+
+// Répartit `fees` (ménage, frais de service, taxes du devis) entre les échéances au prorata du loyer ;
+// l'écart d'arrondi va sur la première.
+function spreadFees(periods, fees) {
+  const rentTotal = periods.reduce((sum, p) => sum + p.rent, 0);
+  const shares = periods.map(p => (rentTotal ? Math.round(fees * p.rent / rentTotal) : 0));
+  shares[0] += fees - shares.reduce((sum, s) => sum + s, 0);
+  return periods.map((p, i) => ({ ...p, fees: shares[i] }));
+}
+
+function installmentData(period, graceDays) {
+  return {
+    sequence: period.sequence,
+    periodStart: period.periodStart,
+    periodEnd: period.periodEnd,
+    dueDate: period.dueDate,
+    overdueAt: addDays(period.dueDate, graceDays),
+    rent: period.rent,
+    fees: period.fees || 0
+  };
+}
+
+/* =========================
+   🔎 Lecture
+========================= */
+function installmentTotal(installment) {
+  return installment.rent + installment.fees + installment.lateFee;
+}
+
+// upcoming : pas encore échue ; due : échue, dans le délai de tolérance ; overdue : en retard
+function installmentState(installment, now = new Date()) {
+  if (installment.status !== 'pending') return installment.status;
+  if (now < installment.dueDate) return 'upcoming';
+  return now < installment.overdueAt ? 'due' : 'overdue';
+}
+
+function presentInstallment(installment, now = new Date()) {
+  const amount = installmentTotal(installment);
+  return {
+    id: installment.id,
+    sequence: installment.sequence,
+    periodStart: installment.periodStart,
+    periodEnd: installment.periodEnd,
+    dueDate: installment.dueDate,
+    overdueAt: installment.overdueAt,
+    rent: installment.rent,
+    fees: installment.fees,
+    lateFee: installment.lateFee,
+    amount,
+    paidAmount: installment.paidAmount,
+    outstanding: installment.status === 'pending' ? amount - installment.paidAmount : 0,
+    status: installmentState(installment, now),
+    paidAt: installment.paidAt
+  };
+}
+
+// Encaissé net (paiements − remboursements) sur la réservation du bail
+async function netPaidFor(db, bookingId) {
+  const rows = await db.ledgerEntry.groupBy({
+    by: ['type'],
+    where: { bookingId, type: { in: ['payment', 'refund'] } },
+    _sum: { amount: true }
+  });
+  const sum = type => rows.filter(r => r.type === type).reduce((acc, r) => acc + (r._sum.amount || 0), 0);
+  return sum('payment') - sum('refund');
+}
+
+// Totaux d'un bail ; `lease.installments` doit être chargé.
+// amountDueNow : dépôt de garantie restant + échéances échues non payées (montant d'un paiement `rent`).
+async function leaseSummary(db, lease, now = new Date()) {
+  const installments = lease.installments.filter(i => i.status !== 'cancelled').map(i => presentInstallment(i, now));
+  const total = (list, key) => list.reduce((sum, i) => sum + i[key], 0);
+  const withState = (...states) => installments.filter(i => states.includes(i.status));
+
+  const depositHeld = lease.depositSettledAt ? 0 : lease.securityDeposit;
+  const depositPaid = Math.max(0, Math.min(depositHeld, await netPaidFor(db, lease.bookingId)));
+  const dueNow = total(withState('due', 'overdue'), 'outstanding');
+  const next = withState('upcoming', 'due', 'overdue')[0] || null;
+
+  return {
+    currency: lease.currency,
+    rentTotal: total(installments, 'amount'),
+    paid: total(installments, 'paidAmount'),
+    lateFees: total(installments, 'lateFee'),
+    dueNow,
+    overdue: total(withState('overdue'), 'outstanding'),
+    overdueCount: withState('overdue').length,
+    securityDeposit: lease.securityDeposit,
+    depositOutstanding: depositHeld - depositPaid,
+    amountDueNow: depositHeld - depositPaid + dueNow,
+    nextInstallment: next && { sequence: next.sequence, dueDate: next.dueDate, outstanding: next.outstanding }
+  };
+}
+
+// Montant d'un paiement de loyer : ce qui est dû aujourd'hui, à défaut la prochaine échéance (paiement d'avance)
+async function rentAmountDue(db, bookingId, now = new Date()) {
+  const lease = await db.lease.findUnique({
+    where: { bookingId },
+    include: { installments: { orderBy: { sequence: 'asc' } } }
+  });
+  if (!lease || !OPEN_LEASE_STATUSES.includes(lease.status)) return 0;
+  const summary = await leaseSummary(db, lease, now);
+  if (summary.amountDueNow > 0) return summary.amountDueNow;
+  return summary.nextInstallment ? summary.nextInstallment.outstanding : 0;
+}
+
+/* =========================
+   ✍️ Écritures (dans la transaction appelante `tx`)
+========================= */
+// Impute l'encaissé net au dépôt de garantie (tant qu'il est détenu) puis aux échéances dans l'ordre ;
+// met à jour paidAmount, statut et paidAt. `where` : { id } ou { bookingId }. Sans effet sans bail.
+async function allocatePayments(tx, where, now = new Date()) {
+  const lease = await tx.lease.findUnique({
+    where,
+    include: { installments: { where: { status: { not: 'cancelled' } }, orderBy: { sequence: 'asc' } } }
+  });
+  if (!lease) return null;
+
+  let credit = await netPaidFor(tx, lease.bookingId) - (lease.depositSettledAt ? 0 : lease.securityDeposit);
+  for (const installment of lease.installments) {
+    const amount = installmentTotal(installment);
+    const paidAmount = Math.max(0, Math.min(credit, amount));
+    credit -= paidAmount;
+    const status = paidAmount >= amount ? 'paid' : 'pending';
+    if (paidAmount === installment.paidAmount && status === installment.status) continue;
+    await tx.rentInstallment.update({
+      where: { id: installment.id },
+      data: { paidAmount, status, paidAt: status === 'paid' ? installment.paidAt || now : null }
+    });
+  }
+  return lease;
+}
+
+// Montants de la réservation recalculés (total converti au taux figé à la réservation)
+function bookingTotals(booking, totalAmount) {
+  const data = { totalAmount };
+  if (booking.guestCurrency) {
+    data.guestTotalAmount = convertAmount(totalAmount, booking.currency, booking.guestCurrency, booking.exchangeRate);
+  }
+  return data;
+}
+
+// Bail d'une réservation longue durée qui vient d'être confirmée (sans effet si elle en a déjà un).
+// Loyer, jour d'échéance et dépôt : ceux du devis figé (priceBreakdown.rent), à défaut ceux du bien.
+// Les frais du devis sont répartis sur les échéances, dont la somme est donc totalAmount.
+async function createLease(tx, booking, property) {
+  const existing = await tx.lease.findUnique({ where: { bookingId: booking.id }, select: { id: true } });
+  if (existing) return null;
+
+  const start = startOfUTCDay(booking.checkInDate);
+  const end = startOfUTCDay(booking.checkOutDate);
+  const quoted = (booking.priceBreakdown && booking.priceBreakdown.rent) || {};
+  const monthlyRent = quoted.monthlyRent ?? property.pricePerMonth ?? 0;
+  const rentDueDay = quoted.dueDay ?? property.rentDueDay ?? start.getUTCDate();
+  const securityDeposit = quoted.securityDeposit ?? property.securityDeposit ?? 0;
+  const graceDays = property.lateFeeGraceDays ?? DEFAULT_LATE_FEE_GRACE_DAYS;
+
+  const periods = rentSchedule(start, end, monthlyRent, scheduleAnchor(start, rentDueDay));
+  const fees = booking.totalAmount - periods.reduce((sum, p) => sum + p.rent, 0);
+
+  const lease = await tx.lease.create({
+    data: {
+      bookingId: booking.id,
+      propertyId: booking.propertyId,
+      tenantId: booking.guestId,
+      currency: booking.currency,
+      monthlyRent,
+      securityDeposit,
+      rentDueDay,
+      startDate: start,
+      endDate: end,
+      lateFeeGraceDays: graceDays,
+      lateFeePercent: property.lateFeePercent ?? null,
+      lateFeeAmount: property.lateFeeAmount ?? null,
+      noticeDays: property.leaseNoticeDays ?? DEFAULT_NOTICE_DAYS,
+      installments: { create: spreadFees(periods, fees).map(p => installmentData(p, graceDays)) }
+    }
+  });
+  if (securityDeposit > 0) {
+    await tx.ledgerEntry.create({ data: { bookingId: booking.id, type: 'charge', amount: securityDeposit, note: 'Dépôt de garantie' } });
+  }
+  await allocatePayments(tx, { id: lease.id });
+  return lease;
+}
+
+// Réservation annulée avant l'entrée : bail et échéances annulés (l'argent est réglé par settleCancellation)
+async function cancelLease(tx, bookingId) {
+  const lease = await tx.lease.findUnique({ where: { bookingId }, select: { id: true, status: true } });
+  if (!lease || !OPEN_LEASE_STATUSES.includes(lease.status)) return null;
+  await tx.rentInstallment.updateMany({ where: { leaseId: lease.id, status: 'pending' }, data: { status: 'cancelled' } });
+  return tx.lease.update({ where: { id: lease.id }, data: { status: 'cancelled', renewalMonths: null, renewalProposedAt: null, renewalProposedById: null } });
+}
+
+// Pénalité de retard d'une échéance : lateFeePercent du montant impayé + lateFeeAmount
+function lateFeeFor(lease, installment) {
+  const unpaid = installmentTotal(installment) - installment.paidAmount;
+  if (unpaid <= 0) return 0;
+  return percentOf(unpaid, lease.lateFeePercent || 0) + (lease.lateFeeAmount || 0);
+}
+
+/* =========================
+   📤 Préavis de résiliation
+========================= */
+// Date de fin la plus proche possible : aujourd'hui + préavis (et au moins un jour de bail)
+function earliestNoticeEnd(lease, now = new Date()) {
+  const earliest = addDays(startOfUTCDay(now), lease.noticeDays);
+  const minimum = addDays(lease.startDate, 1);
+  return earliest > minimum ? earliest : minimum;
+}
+
+// Fin du bail avancée à `endDate` (validée par l'appelant) : échéances au-delà annulées,
+// échéance en cours réduite au prorata ; montant dû et dates de la réservation ajustés.
+// Lève LEASE_NOT_ACTIVE si le bail n'est plus actif (préavis concurrent).
+async function giveNotice(tx, lease, { endDate, actorId, reason = null, now = new Date() }) {
+  const { count } = await tx.lease.updateMany({
+    where: { id: lease.id, status: 'active' },
+    data: {
+      status: 'notice_given',
+      endDate,
+      noticeGivenAt: now,
+      noticeGivenById: actorId,
+      noticeReason: reason,
+      renewalMonths: null,
+      renewalProposedAt: null,
+      renewalProposedById: null
+    }
+  });
+  if (count === 0) throw new Error('LEASE_NOT_ACTIVE');
+
+  const booking = await tx.booking.findUnique({ where: { id: lease.bookingId } });
+  const installments = await tx.rentInstallment.findMany({
+    where: { leaseId: lease.id, status: { not: 'cancelled' }, periodEnd: { gt: endDate } }
+  });
+  let removed = 0;
+  for (const installment of installments) {
+    if (installment.periodStart >= endDate) {
+      removed += installment.rent + installment.fees;
+      await tx.rentInstallment.update({ where: { id: installment.id }, data: { status: 'cancelled', paidAmount: 0, paidAt: null } });
+      continue;
+    }
+    const ratio = nightsBetween(installment.periodStart, endDate) / nightsBetween(installment.periodStart, installment.periodEnd);
+    const rent = Math.round(installment.rent * ratio);
+    const fees = Math.round(installment.fees * ratio);
+    removed += installment.rent - rent + installment.fees - fees;
+    await tx.rentInstallment.update({ where: { id: installment.id }, data: { periodEnd: endDate, rent, fees } });
+  }
+
+  if (removed) {
+    await tx.ledgerEntry.create({
+      data: { bookingId: booking.id, type: 'charge', amount: -removed, note: `Préavis : fin du bail le ${toISOyyyyMMdd(endDate)}` }
+    });
+  }
+  await tx.booking.update({
+    where: { id: booking.id },
+    data: { checkOutDate: endDate, ...bookingTotals(booking, booking.totalAmount - removed) }
+  });
+  await allocatePayments(tx, { id: lease.id }, now);
+  return tx.lease.findUnique({ where: { id: lease.id } });
+}
+
+/* =========================
+   🔁 Renouvellement
+========================= */
+// Proposition de renouvellement de `months` mois par l'une des parties ; l'autre l'accepte ou la refuse.
+// Lève LEASE_NOT_ACTIVE / RENEWAL_PENDING.
+async function proposeRenewal(db, lease, { months, actorId, now = new Date() }) {
+  const { count } = await db.lease.updateMany({
+    where: { id: lease.id, status: 'active', renewalMonths: null, endDate: { gt: now } },
+    data: { renewalMonths: months, renewalProposedAt: now, renewalProposedById: actorId }
+  });
+  if (count === 0) {
+    const current = await db.lease.findUnique({ where: { id: lease.id } });
+    if (current.status === 'active' && current.renewalMonths !== null) throw new Error('RENEWAL_PENDING');
+    throw new Error('LEASE_NOT_ACTIVE');
+  }
+  return db.lease.findUnique({ where: { id: lease.id } });
+}
+
+// Retrait (par son auteur) ou refus (par l'autre partie) ; lève NO_RENEWAL s'il n'y en a pas
+async function clearRenewal(db, lease) {
+  const { count } = await db.lease.updateMany({
+    where: { id: lease.id, renewalMonths: { not: null } },
+    data: { renewalMonths: null, renewalProposedAt: null, renewalProposedById: null }
+  });
+  if (count === 0) throw new Error('NO_RENEWAL');
+  return db.lease.findUnique({ where: { id: lease.id } });
+}
+
+// Acceptation : le bail est prolongé aux mêmes conditions (loyer, jour d'échéance).
+// Les nouvelles échéances ne portent que le loyer ; la réservation est prolongée d'autant.
+// À exécuter en transaction sérialisable (runSerializable) : le calendrier doit être libre.
+// Lève NO_RENEWAL (proposition retirée entre-temps) / RENEWAL_UNAVAILABLE.
+async function acceptRenewal(tx, lease, { now = new Date() } = {}) {
+  const months = lease.renewalMonths;
+  const newEnd = addMonths(lease.endDate, months);
+
+  const { count } = await tx.lease.updateMany({
+    where: {
+      id: lease.id,
+      status: 'active',
+      endDate: lease.endDate,
+      renewalMonths: months,
+      renewalProposedById: lease.renewalProposedById
+    },
+    data: {
+      endDate: newEnd,
+      renewalMonths: null,
+      renewalProposedAt: null,
+      renewalProposedById: null,
+      renewalCount: { increment: 1 }
+    }
+  });
+  if (count === 0) throw new Error('NO_RENEWAL');
+
+  const booking = await tx.booking.findUnique({ where: { id: lease.bookingId } });
+  const days = await buildCalendar(tx, lease.propertyId, lease.endDate, newEnd, { excludeBookingId: booking.id });
+  if (days.some(d => !d.available)) throw new Error('RENEWAL_UNAVAILABLE');
+
+  const last = await tx.rentInstallment.findFirst({ where: { leaseId: lease.id }, orderBy: { sequence: 'desc' }, select: { sequence: true } });
+  const periods = rentSchedule(
+    lease.endDate, newEnd, lease.monthlyRent,
+    scheduleAnchor(lease.startDate, lease.rentDueDay),
+    (last ? last.sequence : 0) + 1
+  );
+  await tx.rentInstallment.createMany({
+    data: periods.map(p => ({ leaseId: lease.id, ...installmentData(p, lease.lateFeeGraceDays) }))
+  });
+
+  const added = periods.reduce((sum, p) => sum + p.rent, 0);
+  await tx.ledgerEntry.create({
+    data: { bookingId: booking.id, type: 'charge', amount: added, note: `Renouvellement du bail (${months} mois)` }
+  });
+  await tx.booking.update({
+    where: { id: booking.id },
+    data: { checkOutDate: newEnd, ...bookingTotals(booking, booking.totalAmount + added) }
+  });
+  await allocatePayments(tx, { id: lease.id }, now);
+  return tx.lease.findUnique({ where: { id: lease.id } });
+}
+
+// Réponse HTTP pour les erreurs de bail ; renvoie false si l'erreur n'en est pas une
+function sendLeaseError(res, err) {
+  if (err.message === 'LEASE_NOT_ACTIVE')    { res.status(409).json({ error: 'Ce bail n’est plus en cours (préavis donné, terminé ou annulé).' }); return true; }
+  if (err.message === 'RENEWAL_PENDING')     { res.status(409).json({ error: 'Une proposition de renouvellement est déjà en attente.' }); return true; }
+  if (err.message === 'NO_RENEWAL')          { res.status(409).json({ error: 'Aucune proposition de renouvellement en attente.' }); return true; }
+  if (err.message === 'RENEWAL_UNAVAILABLE') { res.status(409).json({ error: 'Le bien n’est pas disponible sur la période de renouvellement.' }); return true; }
+  return false;
+}
+
+module.exports = {
+  DEFAULT_LATE_FEE_GRACE_DAYS,
+  DEFAULT_NOTICE_DAYS,
+  MAX_RENEWAL_MONTHS,
+  OPEN_LEASE_STATUSES,
+  INSTALLMENT_STATES,
+  scheduleAnchor,
+  rentSchedule,
+  quotedSchedule,
+  installmentTotal,
+  installmentState,
+  presentInstallment,
+  leaseSummary,
+  rentAmountDue,
+  allocatePayments,
+  createLease,
+  cancelLease,
+  lateFeeFor,
+  earliestNoticeEnd,
+  giveNotice,
+  proposeRenewal,
+  clearRenewal,
+  acceptRenewal,
+  sendLeaseError
+};
@@ -0,0 +1,77 @@
+// 💬 Messagerie liée aux réservations — helpers partagés (routes /messages et /bookings)
+// `db` est le client Prisma ou un client de transaction.
+
+// Participants d'une réservation : voyageur, hôte du bien, superviseurs actifs
+// `writers` : participants autorisés à écrire (superviseurs avec la permission message_guests)
+async function getBookingParticipants(db, bookingId) {
+  const booking = await db.booking.findUnique({
+    where: { id: bookingId },
+    include: { property: { select: { id: true, hostId: true, title: true } } }
+  });
+  if (!booking) return null;
+
+  const supervisions = await db.supervision.findMany({
+    where: { propertyId: booking.propertyId, active: true },
+    select: { supervisorId: true, permissions: true }
+  });
+
+  const guestId = booking.guestId;
+  const hostId = booking.property.hostId;
+  const supervisorIds = supervisions.map(s => s.supervisorId);
+  const messagingSupervisorIds = supervisions
+    .filter(s => s.permissions.includes('message_guests'))
+    .map(s => s.supervisorId);
+
+  return {
+    booking,
+    guestId,
+    hostId,
+    supervisorIds,
+    all: new Set([guestId, hostId, ...supervisorIds]),
+    writers: new Set([guestId, hostId, ...messagingSupervisorIds])
+  };
+}
+
+function formatDay(d) {
+  return new Date(d).toISOString().slice(0, 10);
+}
+
+// Envoie un message de l'acteur vers le voyageur et l'hôte (sauf lui-même) ;
+// senderId null : message système, envoyé aux deux
+async function emitBookingMessage(db, booking, hostId, senderId, messageType, content) {
+  const recipients = [booking.guestId, hostId].filter(id => id !== senderId);
+  if (recipients.length === 0) return [];
+
+  return Promise.all(recipients.map(recipientId =>
+    db.message.create({
+      data: { senderId, recipientId, bookingId: booking.id, messageType, content }
+    })
+  ));
+}
+
+// 📨 Demande de réservation (voyageur → hôte)
+function emitBookingRequest(db, booking, hostId) {
+  let content = `Nouvelle demande de réservation du ${formatDay(booking.checkInDate)} au ${formatDay(booking.checkOutDate)} pour ${booking.guestsCount} voyageur(s).`;
+  if (booking.specialRequests) content += `\nDemandes particulières : ${booking.specialRequests}`;
+  return emitBookingMessage(db, booking, hostId, booking.guestId, 'booking_request', content);
+}
+
+const STATUS_LABELS = {
+  pending: 'en attente',
+  confirmed: 'confirmée',
+  cancelled: 'annulée',
+  completed: 'terminée'
+};
+
+// ⚙️ Changement de statut (acteur → autres parties ; actorId null : système → voyageur et hôte)
+function emitStatusChange(db, booking, hostId, actorId) {
+  const label = STATUS_LABELS[booking.status] || booking.status;
+  const content = `La réservation du ${formatDay(booking.checkInDate)} au ${formatDay(booking.checkOutDate)} est ${label}.`;
+  return emitBookingMessage(db, booking, hostId, actorId, 'system', content);
+}
+
+module.exports = {
+  getBookingParticipants,
+  emitBookingRequest,
+  emitStatusChange
+};
@@ -0,0 +1,139 @@
+// 💸 Paiements Mobile Money derrière une interface de fournisseur (sur le modèle de lib/sms)
+// Un fournisseur (MTN MoMo, Airtel Money…) est un objet :
+//   { name,
+//     initiate({ reference, amount, currency, phoneNumber, description }) → { providerRef, status },
+//     checkStatus(providerRef) → { status, failureReason },
+//     parseWebhook(req) → { providerRef, status, failureReason } (lève 'WEBHOOK_INVALID_SIGNATURE') }
+// status ∈ pending | succeeded | failed. Le payeur valide sur son téléphone ; le résultat arrive
+// par le webhook (POST /payments/webhooks/:provider) ou par interrogation (checkStatus).
+//
+// Par défaut (PAYMENT_PROVIDER=simulator), un simulateur local, selon le dernier chiffre du numéro :
+// - 1 : refusé par le payeur ; 2 : jamais validé (reste en attente) ; autre : accepté
+// Le résultat est disponible après PAYMENT_SIMULATOR_DELAY_MS (3 s par défaut) ; si PAYMENT_CALLBACK_URL
+// est défini, le simulateur l'appelle alors comme le ferait un vrai fournisseur.
+// PAYMENT_PROVIDER doit désigner un fournisseur de PROVIDERS, sinon le serveur refuse de démarrer.
+// En production, ni simulateur ni secret de webhook par défaut : PAYMENT_PROVIDER (fournisseur réel,
+// ajouté à PROVIDERS) et PAYMENT_WEBHOOK_SECRET doivent être définis.
+const crypto = require('crypto');
+
+const SIGNATURE_HEADER = 'x-payment-signature';
+const DEV_WEBHOOK_SECRET = 'simulator-secret';
+
+function resolveWebhookSecret() {
+  if (process.env.PAYMENT_WEBHOOK_SECRET) return process.env.PAYMENT_WEBHOOK_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_WEBHOOK_SECRET doit être défini en production.');
+  }
+  return DEV_WEBHOOK_SECRET;
+}
+
+const WEBHOOK_SECRET = resolveWebhookSecret();
+
+function sign(secret, rawBody) {
+  return crypto.createHmac('sha256', secret).update(rawBody).digest('hex');
+}
+
+function validSignature(secret, rawBody, signature) {
+  if (!rawBody || typeof signature !== 'string') return false;
+  const expected = Buffer.from(sign(secret, rawBody));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+function simulatorProvider({
+  delayMs = Number(process.env.PAYMENT_SIMULATOR_DELAY_MS || 3000),
+  callbackUrl = process.env.PAYMENT_CALLBACK_URL,
+  secret = WEBHOOK_SECRET
+} = {}) {
+  const transactions = new Map();
+
+  function outcome(phoneNumber) {
+    const last = phoneNumber.slice(-1);
+    if (last === '1') return { status: 'failed', failureReason: 'PAYER_DECLINED' };
+    if (last === '2') return { status: 'pending', failureReason: null };
+    return { status: 'succeeded', failureReason: null };
+  }
+
+  function currentStatus(tx) {
+    if (Date.now() - tx.createdAt < delayMs) return { status: 'pending', failureReason: null };
+    return tx.outcome;
+  }
+
+  async function sendCallback(providerRef) {
+    const body = JSON.stringify({ providerRef, ...currentStatus(transactions.get(providerRef)) });
+    try {
+      await fetch(callbackUrl, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: sign(secret, body) },
+        body
+      });
+    } catch (err) {
+      console.error('Erreur rappel simulateur de paiement :', err);
+    }
+  }
+
+  return {
+    name: 'simulator',
+    async initiate({ amount, currency, phoneNumber }) {
+      const providerRef = `SIM-${crypto.randomUUID()}`;
+      transactions.set(providerRef, { amount, currency, phoneNumber, createdAt: Date.now(), outcome: outcome(phoneNumber) });
+      if (callbackUrl && transactions.get(providerRef).outcome.status !== 'pending') {
+        setTimeout(() => sendCallback(providerRef), delayMs).unref();
+      }
+      return { providerRef, status: 'pending' };
+    },
+    async checkStatus(providerRef) {
+      const tx = transactions.get(providerRef);
+      // Transaction perdue (redémarrage du simulateur)
+      if (!tx) return { status: 'failed', failureReason: 'UNKNOWN_TRANSACTION' };
+      return currentStatus(tx);
+    },
+    parseWebhook(req) {
+      if (!validSignature(secret, req.rawBody, req.get(SIGNATURE_HEADER))) throw new Error('WEBHOOK_INVALID_SIGNATURE');
+      const { providerRef, status, failureReason = null } = req.body || {};
+      return { providerRef, status, failureReason };
+    }
+  };
+}
+
+const PROVIDERS = {
+  simulator: simulatorProvider
+};
+
+function resolveProviderName() {
+  const name = process.env.PAYMENT_PROVIDER || 'simulator';
+  if (!PROVIDERS[name]) {
+    throw new Error(`Fournisseur de paiement inconnu : ${name} (disponibles : ${Object.keys(PROVIDERS).join(', ')}).`);
+  }
+  if (name === 'simulator' && process.env.NODE_ENV === 'production') {
+    throw new Error('PAYMENT_PROVIDER doit désigner un fournisseur réel en production.');
+  }
+  return name;
+}
+
+const PAYMENT_PROVIDER = resolveProviderName();
+
+let provider = null;
+
+function getPaymentProvider() {
+  if (!provider) provider = PROVIDERS[PAYMENT_PROVIDER]();
+  return provider;
+}
+
+// Permet de brancher un fournisseur réel (ou un double de test)
+function setPaymentProvider(custom) {
+  const methods = ['initiate', 'checkStatus', 'parseWebhook'];
+  if (!custom || !custom.name || methods.some(m => typeof custom[m] !== 'function')) {
+    throw new Error('Fournisseur de paiement invalide.');
+  }
+  provider = custom;
+}
+
+module.exports = {
+  SIGNATURE_HEADER,
+  sign,
+  validSignature,
+  simulatorProvider,
+  getPaymentProvider,
+  setPaymentProvider
+};
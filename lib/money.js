@@ -0,0 +1,46 @@
+// 💱 Montants en unités mineures entières (centimes ; XAF n'a pas de subdivision)
+// Tous les montants stockés et échangés par l'API sont des entiers dans la devise de leur objet :
+// 25000 XAF = 25000, 12,50 USD = 1250, 3 000,00 CDF = 300000.
+// Les pourcentages (remises, taxes, acomptes, remboursements) sont arrondis à l'unité mineure.
+const { CurrencyCode } = require('@prisma/client');
+const { enumValues } = require('./validation');
+
+const CURRENCY_CODES = enumValues(CurrencyCode);
+
+// Nombre de décimales (ISO 4217)
+const CURRENCIES = {
+  XAF: { exponent: 0, label: 'Franc CFA (BEAC)' },
+  CDF: { exponent: 2, label: 'Franc congolais' },
+  USD: { exponent: 2, label: 'Dollar américain' }
+};
+
+const DEFAULT_CURRENCY = process.env.DEFAULT_CURRENCY || 'XAF';
+
+// Devise proposée par défaut selon le pays du bien
+const COUNTRY_CURRENCIES = {
+  'republic of congo': 'XAF',
+  'democratic republic of congo': 'CDF'
+};
+
+function currencyForCountry(country) {
+  return COUNTRY_CURRENCIES[String(country || '').trim().toLowerCase()] || DEFAULT_CURRENCY;
+}
+
+function percentOf(amount, percent) {
+  return Math.round(amount * percent / 100);
+}
+
+// Affichage : 25000 XAF → « 25000 XAF », 1250 USD → « 12.50 USD »
+function formatMoney(amount, currency) {
+  const { exponent } = CURRENCIES[currency];
+  return `${(amount / 10 ** exponent).toFixed(exponent)} ${currency}`;
+}
+
+module.exports = {
+  CURRENCY_CODES,
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  currencyForCountry,
+  percentOf,
+  formatMoney
+};
@@ -0,0 +1,219 @@
+// 🔔 Notifications : boîte de réception (Notification) et SMS (lib/sms)
+// Les routes appellent notify(...) après validation de leurs écritures (hors transaction) ;
+// une notification ratée est journalisée mais ne fait jamais échouer l'action qui l'a déclenchée.
+// Canaux par événement : préférence de l'utilisateur (NotificationPreference), sinon DEFAULT_CHANNELS.
+const { NotificationEvent } = require('@prisma/client');
+const { enumValues } = require('./validation');
+const { sendSms } = require('./sms');
+const { formatMoney } = require('./money');
+
+const NOTIFICATION_EVENTS = enumValues(NotificationEvent);
+
+const DEFAULT_CHANNELS = {
+  booking_received:    { inApp: true, sms: true },
+  booking_confirmed:   { inApp: true, sms: true },
+  booking_cancelled:   { inApp: true, sms: true },
+  kyc_approved:        { inApp: true, sms: false },
+  kyc_rejected:        { inApp: true, sms: true },
+  supervisor_assigned: { inApp: true, sms: true },
+  booking_expired:     { inApp: true, sms: true },
+  checkin_reminder:    { inApp: true, sms: true },
+  checkout_reminder:   { inApp: true, sms: false },
+  review_prompt:       { inApp: true, sms: false },
+  payment_succeeded:   { inApp: true, sms: true },
+  payment_failed:      { inApp: true, sms: true },
+  rent_due:            { inApp: true, sms: true },
+  rent_overdue:        { inApp: true, sms: true },
+  lease_notice:        { inApp: true, sms: true },
+  lease_renewal:       { inApp: true, sms: true }
+};
+
+function formatDay(d) {
+  return new Date(d).toISOString().slice(0, 10);
+}
+
+function stay(booking) {
+  return `du ${formatDay(booking.checkInDate)} au ${formatDay(booking.checkOutDate)}`;
+}
+
+// Gabarits : (params) → { title, content, data }
+const TEMPLATES = {
+  booking_received: ({ booking, property }) => ({
+    title: 'Nouvelle demande de réservation',
+    content: `Nouvelle demande pour « ${property.title} » ${stay(booking)} (${booking.guestsCount} voyageur(s)).`,
+    data: { bookingId: booking.id, propertyId: property.id }
+  }),
+  booking_confirmed: ({ booking, property }) => ({
+    title: 'Réservation confirmée',
+    content: `Votre réservation pour « ${property.title} » ${stay(booking)} est confirmée.`,
+    data: { bookingId: booking.id, propertyId: property.id }
+  }),
+  booking_cancelled: ({ booking, property }) => ({
+    title: 'Réservation annulée',
+    content: `La réservation pour « ${property.title} » ${stay(booking)} a été annulée.`,
+    data: { bookingId: booking.id, propertyId: property.id }
+  }),
+  kyc_approved: ({ kyc }) => ({
+    title: 'Identité vérifiée',
+    content: 'Votre vérification d’identité a été approuvée.',
+    data: { kycId: kyc.id }
+  }),
+  kyc_rejected: ({ kyc }) => ({
+    title: 'Vérification d’identité refusée',
+    content: `Votre vérification d’identité a été refusée.${kyc.note ? ` Motif : ${kyc.note}` : ''}`,
+    data: { kycId: kyc.id }
+  }),
+  supervisor_assigned: ({ property, supervision }) => ({
+    title: 'Nouvelle supervision',
+    content: `Vous avez été désigné superviseur du bien « ${property.title} ».`,
+    data: { propertyId: property.id, supervisionId: supervision.id }
+  }),
+  booking_expired: ({ booking, property }) => ({
+    title: 'Demande expirée',
+    content: `Votre demande pour « ${property.title} » ${stay(booking)} n’a pas reçu de réponse de l’hôte à temps : elle a expiré.`,
+    data: { bookingId: booking.id, propertyId: property.id }
+  }),
+  checkin_reminder: ({ booking, property }) => ({
+    title: 'Arrivée imminente',
+    content: `Rappel : votre séjour à « ${property.title} » commence le ${formatDay(booking.checkInDate)}.`,
+    data: { bookingId: booking.id, propertyId: property.id }
+  }),
+  checkout_reminder: ({ booking, property }) => ({
+    title: 'Départ imminent',
+    content: `Rappel : départ de « ${property.title} » le ${formatDay(booking.checkOutDate)}.`,
+    data: { bookingId: booking.id, propertyId: property.id }
+  }),
+  // `role` : guest (avis sur le bien) ou host (avis sur le voyageur)
+  review_prompt: ({ booking, property, role }) => ({
+    title: 'Laissez un avis',
+    content: role === 'host'
+      ? `Le séjour ${stay(booking)} à « ${property.title} » est terminé : donnez votre avis sur le voyageur.`
+      : `Votre séjour à « ${property.title} » est terminé : partagez votre avis.`,
+    data: { bookingId: booking.id, propertyId: property.id }
+  }),
+  // `role` : guest (payeur) ou host
+  payment_succeeded: ({ payment, booking, property, role }) => ({
+    title: 'Paiement reçu',
+    content: role === 'host'
+      ? `Paiement de ${formatMoney(payment.amount, payment.currency)} reçu pour la réservation de « ${property.title} » ${stay(booking)}.`
+      : `Votre paiement de ${formatMoney(payment.amount, payment.currency)} pour « ${property.title} » a bien été reçu.`,
+    data: { bookingId: booking.id, propertyId: property.id, paymentId: payment.id }
+  }),
+  payment_failed: ({ payment, booking, property }) => ({
+    title: 'Paiement non abouti',
+    content: `Votre paiement de ${formatMoney(payment.amount, payment.currency)} pour « ${property.title} » n’a pas abouti. Vous pouvez réessayer.`,
+    data: { bookingId: booking.id, propertyId: property.id, paymentId: payment.id }
+  }),
+  // `amount` : reste à payer sur l'échéance
+  rent_due: ({ lease, installment, property, amount }) => ({
+    title: 'Loyer à régler',
+    content: `Loyer de ${formatMoney(amount, lease.currency)} pour « ${property.title} » à régler le ${formatDay(installment.dueDate)}.`,
+    data: { leaseId: lease.id, installmentId: installment.id, propertyId: property.id }
+  }),
+  // `role` : tenant ou host
+  rent_overdue: ({ lease, installment, property, amount, role }) => ({
+    title: 'Loyer en retard',
+    content: role === 'host'
+      ? `Le loyer du ${formatDay(installment.dueDate)} pour « ${property.title} » est impayé (${formatMoney(amount, lease.currency)}).`
+      : `Votre loyer du ${formatDay(installment.dueDate)} pour « ${property.title} » est en retard : ${formatMoney(amount, lease.currency)} à régler${installment.lateFee ? `, pénalité de ${formatMoney(installment.lateFee, lease.currency)} comprise` : ''}.`,
+    data: { leaseId: lease.id, installmentId: installment.id, propertyId: property.id }
+  }),
+  lease_notice: ({ lease, property }) => ({
+    title: 'Préavis de fin de bail',
+    content: `Un préavis a été donné : le bail de « ${property.title} » prendra fin le ${formatDay(lease.endDate)}.`,
+    data: { leaseId: lease.id, propertyId: property.id }
+  }),
+  // `stage` : proposed, accepted ou declined
+  lease_renewal: ({ lease, property, stage, months }) => ({
+    title: 'Renouvellement du bail',
+    content: {
+      proposed: `Renouvellement de ${months} mois proposé pour le bail de « ${property.title} » : acceptez-le ou refusez-le.`,
+      accepted: `Le bail de « ${property.title} » est renouvelé jusqu’au ${formatDay(lease.endDate)}.`,
+      declined: `La proposition de renouvellement du bail de « ${property.title} » a été retirée ou refusée.`
+    }[stage],
+    data: { leaseId: lease.id, propertyId: property.id }
+  })
+};
+
+// Canaux effectifs d'un utilisateur pour un événement
+async function channelsFor(db, userId, event) {
+  const pref = await db.notificationPreference.findUnique({
+    where: { userId_event: { userId, event } },
+    select: { inApp: true, sms: true }
+  });
+  return pref || DEFAULT_CHANNELS[event];
+}
+
+// Préférences complètes (défauts compris), pour GET /notifications/preferences
+async function getPreferences(db, userId) {
+  const rows = await db.notificationPreference.findMany({ where: { userId } });
+  const byEvent = new Map(rows.map(r => [r.event, r]));
+  return NOTIFICATION_EVENTS.map(event => {
+    const pref = byEvent.get(event);
+    return { event, inApp: pref ? pref.inApp : DEFAULT_CHANNELS[event].inApp, sms: pref ? pref.sms : DEFAULT_CHANNELS[event].sms };
+  });
+}
+
+// Notifie un utilisateur ; renvoie la notification créée (ou null). Ne lève jamais d'erreur.
+async function notify(db, userId, event, params) {
+  try {
+    const { title, content, data } = TEMPLATES[event](params);
+    const channels = await channelsFor(db, userId, event);
+    if (!channels.inApp && !channels.sms) return null;
+
+    let smsSentAt = null;
+    if (channels.sms) {
+      const user = await db.user.findUnique({ where: { id: userId }, select: { phoneNumber: true, phoneVerifiedAt: true } });
+      // Jamais de SMS vers un numéro non vérifié
+      if (user && user.phoneVerifiedAt) {
+        try {
+          await sendSms(user.phoneNumber, `Ukuu : ${content}`);
+          smsSentAt = new Date();
+        } catch (err) {
+          console.error(`Erreur envoi SMS notification (${event}) :`, err);
+        }
+      }
+    }
+    // Sans boîte de réception, on ne garde une trace que si le SMS est parti
+    if (!channels.inApp && !smsSentAt) return null;
+
+    return await db.notification.create({
+      data: {
+        userId,
+        type: smsSentAt ? 'sms' : 'system',
+        event,
+        title,
+        content,
+        data,
+        smsSentAt,
+        // Notification uniquement SMS : déjà « lue », n'apparaît pas dans les non-lus
+        read: !channels.inApp,
+        readAt: channels.inApp ? null : smsSentAt
+      }
+    });
+  } catch (err) {
+    console.error(`Erreur notification (${event}) :`, err);
+    return null;
+  }
+}
+
+// Changement de statut d'une réservation : confirmée → voyageur ; annulée → l'autre partie
+// `property` : { id, title, hostId }
+async function notifyBookingStatus(db, booking, property, actorId) {
+  if (booking.status === 'confirmed') {
+    return [await notify(db, booking.guestId, 'booking_confirmed', { booking, property })];
+  }
+  if (booking.status === 'cancelled') {
+    const recipients = [booking.guestId, property.hostId].filter(id => id !== actorId);
+    return Promise.all(recipients.map(id => notify(db, id, 'booking_cancelled', { booking, property })));
+  }
+  return [];
+}
+
+module.exports = {
+  NOTIFICATION_EVENTS,
+  DEFAULT_CHANNELS,
+  getPreferences,
+  notify,
+  notifyBookingStatus
+};
@@ -0,0 +1,146 @@
+// 🔢 Codes de vérification à usage unique (OTP) envoyés par SMS
+// - codes à 6 chiffres, stockés hachés, valables OTP_TTL_MINUTES
+// - délai minimal entre deux envois et nombre d'envois limité par heure et par numéro
+// - nombre d'essais limité par code
+// Une vérification réussie produit un jeton court (verificationToken) à présenter à /auth/register ou /auth/login.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { PhoneVerificationPurpose } = require('@prisma/client');
+const { sendSms } = require('./sms');
+const { enumValues } = require('./validation');
+const { JWT_SECRET } = require('./tokens');
+
+const OTP_PURPOSES = enumValues(PhoneVerificationPurpose);
+const OTP_LENGTH = 6;
+const OTP_TTL_MINUTES = 10;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_REQUESTS_PER_HOUR = 5;
+const MAX_VERIFY_ATTEMPTS = 5;
+const VERIFICATION_TOKEN_TTL = '15m';
+
+const OTP_MESSAGES = {
+  registration: code => `Ukuu : votre code de vérification est ${code}. Il expire dans ${OTP_TTL_MINUTES} minutes.`,
+  login: code => `Ukuu : votre code de vérification est ${code}. Il expire dans ${OTP_TTL_MINUTES} minutes.`,
+  password_reset: code => `Ukuu : votre code de réinitialisation du mot de passe est ${code}. Il expire dans ${OTP_TTL_MINUTES} minutes. Ne le communiquez à personne.`
+};
+
+function generateCode() {
+  return String(crypto.randomInt(0, 10 ** OTP_LENGTH)).padStart(OTP_LENGTH, '0');
+}
+
+// Empreinte liée au numéro et à l'usage : un code ne vaut que pour sa demande
+function hashCode(phoneNumber, purpose, code) {
+  return crypto.createHmac('sha256', JWT_SECRET).update(`${phoneNumber}:${purpose}:${code}`).digest('hex');
+}
+
+function sameHash(a, b) {
+  const ba = Buffer.from(a, 'hex');
+  const bb = Buffer.from(b, 'hex');
+  return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function otpError(code, extra = {}) {
+  return Object.assign(new Error(code), extra);
+}
+
+// Crée un code et l'envoie par SMS ; renvoie { expiresAt }
+async function requestOtp(db, phoneNumber, purpose, now = new Date()) {
+  const last = await db.phoneVerification.findFirst({
+    where: { phoneNumber, purpose },
+    orderBy: { createdAt: 'desc' },
+    select: { createdAt: true }
+  });
+  if (last) {
+    const elapsed = (now - last.createdAt) / 1000;
+    if (elapsed < RESEND_COOLDOWN_SECONDS) {
+      throw otpError('OTP_COOLDOWN', { retryAfter: Math.ceil(RESEND_COOLDOWN_SECONDS - elapsed) });
+    }
+  }
+
+  const recent = await db.phoneVerification.count({
+    where: { phoneNumber, createdAt: { gte: new Date(now.getTime() - 60 * 60 * 1000) } }
+  });
+  if (recent >= MAX_REQUESTS_PER_HOUR) throw otpError('OTP_TOO_MANY_REQUESTS', { retryAfter: 60 * 60 });
+
+  const code = generateCode();
+  const expiresAt = new Date(now.getTime() + OTP_TTL_MINUTES * 60 * 1000);
+  const verification = await db.phoneVerification.create({
+    data: { phoneNumber, purpose, codeHash: hashCode(phoneNumber, purpose, code), expiresAt }
+  });
+
+  try {
+    await sendSms(phoneNumber, OTP_MESSAGES[purpose](code));
+  } catch (err) {
+    console.error('Erreur envoi SMS OTP :', err);
+    await db.phoneVerification.delete({ where: { id: verification.id } });
+    throw otpError('SMS_SEND_FAILED');
+  }
+
+  return { expiresAt };
+}
+
+// Vérifie le dernier code émis pour (numéro, usage) et le consomme ; renvoie { verificationToken }
+async function verifyOtp(db, phoneNumber, purpose, code, now = new Date()) {
+  const verification = await db.phoneVerification.findFirst({
+    where: { phoneNumber, purpose, consumedAt: null },
+    orderBy: { createdAt: 'desc' }
+  });
+  if (!verification) throw otpError('OTP_INVALID');
+  if (verification.expiresAt <= now) throw otpError('OTP_EXPIRED');
+  if (verification.attempts >= MAX_VERIFY_ATTEMPTS) throw otpError('OTP_TOO_MANY_ATTEMPTS');
+
+  if (!sameHash(verification.codeHash, hashCode(phoneNumber, purpose, code))) {
+    await db.phoneVerification.update({
+      where: { id: verification.id },
+      data: { attempts: { increment: 1 } }
+    });
+    throw otpError('OTP_INVALID');
+  }
+
+  // Consommation conditionnelle : deux vérifications concurrentes ne peuvent réussir toutes les deux
+  const consumed = await db.phoneVerification.updateMany({
+    where: { id: verification.id, consumedAt: null },
+    data: { consumedAt: now }
+  });
+  if (consumed.count === 0) throw otpError('OTP_INVALID');
+
+  const verificationToken = jwt.sign(
+    { type: 'phone_verification', phoneNumber, purpose, jti: verification.id },
+    JWT_SECRET,
+    { expiresIn: VERIFICATION_TOKEN_TTL }
+  );
+  return { verificationToken };
+}
+
+// Jeton de vérification valide pour ce numéro et l'un des usages acceptés
+function checkVerificationToken(token, phoneNumber, purposes) {
+  try {
+    const payload = jwt.verify(token, JWT_SECRET);
+    return payload.type === 'phone_verification'
+      && payload.phoneNumber === phoneNumber
+      && purposes.includes(payload.purpose);
+  } catch {
+    return false;
+  }
+}
+
+function sendOtpError(res, err) {
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  if (err.message === 'OTP_COOLDOWN')          { res.status(429).json({ error: 'Veuillez patienter avant de demander un nouveau code.', retryAfter: err.retryAfter }); return true; }
+  if (err.message === 'OTP_TOO_MANY_REQUESTS') { res.status(429).json({ error: 'Trop de codes demandés pour ce numéro. Réessayez plus tard.', retryAfter: err.retryAfter }); return true; }
+  if (err.message === 'OTP_INVALID')           { res.status(400).json({ error: 'Code invalide.' }); return true; }
+  if (err.message === 'OTP_EXPIRED')           { res.status(400).json({ error: 'Code expiré. Demandez un nouveau code.' }); return true; }
+  if (err.message === 'OTP_TOO_MANY_ATTEMPTS') { res.status(429).json({ error: 'Trop d’essais. Demandez un nouveau code.' }); return true; }
+  if (err.message === 'SMS_SEND_FAILED')       { res.status(502).json({ error: 'Envoi du SMS impossible. Réessayez plus tard.' }); return true; }
+  return false;
+}
+
+module.exports = {
+  OTP_PURPOSES,
+  OTP_LENGTH,
+  OTP_TTL_MINUTES,
+  requestOtp,
+  verifyOtp,
+  checkVerificationToken,
+  sendOtpError
+};
@@ -0,0 +1,48 @@
+// ⏰ Tâches planifiées sur les paiements (exécutées par lib/jobs)
+// Rattrape les webhooks perdus : les demandes en attente sont interrogées chez le fournisseur,
+// puis déclarées en échec au-delà de PAYMENT_TIMEOUT_MINUTES.
+const { refreshPayment, settlePayment } = require('./payments');
+
+const BATCH_SIZE = 100;
+const MINUTE_MS = 60 * 1000;
+const PAYMENT_TIMEOUT_MINUTES = Number(process.env.PAYMENT_TIMEOUT_MINUTES || 15);
+
+async function reconcilePendingPayments(db, now) {
+  const payments = await db.payment.findMany({
+    // On laisse au payeur le temps de valider avant d'interroger
+    where: { status: 'pending', createdAt: { lte: new Date(now.getTime() - MINUTE_MS) } },
+    orderBy: { createdAt: 'asc' },
+    take: BATCH_SIZE
+  });
+
+  const details = { succeeded: 0, failed: 0, timedOut: 0, errors: 0 };
+  for (const pending of payments) {
+    let payment = pending;
+    try {
+      payment = await refreshPayment(db, pending);
+    } catch (err) {
+      console.error(`Erreur interrogation paiement ${pending.id} :`, err);
+      details.errors++;
+    }
+    if (payment.status === 'pending' && now - payment.createdAt >= PAYMENT_TIMEOUT_MINUTES * MINUTE_MS) {
+      payment = await settlePayment(db, payment.id, { status: 'failed', failureReason: 'TIMEOUT' });
+      if (payment.failureReason === 'TIMEOUT') { details.timedOut++; continue; }
+    }
+    if (payment.status === 'succeeded') details.succeeded++;
+    else if (payment.status === 'failed') details.failed++;
+  }
+  return { processed: details.succeeded + details.failed + details.timedOut, details };
+}
+
+const PAYMENT_JOBS = {
+  'reconcile-payments': {
+    description: `Interroge le fournisseur pour les paiements en attente ; échec après ${PAYMENT_TIMEOUT_MINUTES} min.`,
+    intervalMinutes: 5,
+    run: reconcilePendingPayments
+  }
+};
+
+module.exports = {
+  PAYMENT_TIMEOUT_MINUTES,
+  PAYMENT_JOBS
+};
@@ -0,0 +1,231 @@
+// 💳 Paiements et grand livre des réservations (LedgerEntry)
+// Le grand livre est la source de vérité de l'argent d'une réservation :
+// - charge  : montant dû par le voyageur ; ouvert à la création, ajusté (écritures signées)
+//             à chaque modification du prix et à l'annulation
+// - payment : paiement Mobile Money encaissé (un par Payment réussi)
+// - refund  : remboursement dû au voyageur, effectué quand settledAt est renseigné
+// - payout  : versement à l'hôte
+// Les écritures liées à une réservation se font dans la transaction qui la modifie (`tx`).
+// Montants en unités mineures de la devise de la réservation (Booking.currency), dans laquelle on encaisse.
+// Réservation longue durée avec bail : les encaissements sont aussi imputés aux échéances (lib/leases).
+const { getPaymentProvider } = require('./mobileMoney');
+const { lockBooking } = require('./transactions');
+const { percentOf } = require('./money');
+const { notify } = require('./notifications');
+const { rentAmountDue, allocatePayments } = require('./leases');
+
+const PAYABLE_STATUSES = { deposit: ['pending'], balance: ['pending', 'confirmed'], rent: ['confirmed'] };
+const PURPOSE_NOTES = { deposit: 'Paiement de l’acompte', balance: 'Paiement du solde', rent: 'Paiement du loyer' };
+
+function paymentError(code) {
+  return new Error(code);
+}
+
+// Acompte d'une réservation (null si le bien n'en exige pas)
+function depositAmountFor(totalAmount, depositPercent) {
+  if (!depositPercent) return null;
+  return percentOf(totalAmount, depositPercent);
+}
+
+/* =========================
+   📒 Grand livre
+========================= */
+function summarizeLedger(entries, booking = null) {
+  const sum = (type, filter = () => true) =>
+    entries.filter(e => e.type === type && filter(e)).reduce((acc, e) => acc + e.amount, 0);
+
+  const charged = sum('charge');
+  const paid = sum('payment');
+  const refunded = sum('refund');
+  const paidOut = sum('payout');
+  const summary = {
+    charged,
+    paid,
+    refunded,
+    refundsPending: sum('refund', e => !e.settledAt),
+    paidOut,
+    // > 0 : reste à payer par le voyageur ; < 0 : trop-perçu (prix revu à la baisse)
+    balanceDue: charged - paid + refunded,
+    // Encaissé net non encore versé à l'hôte
+    hostBalance: paid - refunded - paidOut
+  };
+  if (booking) {
+    summary.currency = booking.currency;
+    summary.depositAmount = booking.depositAmount;
+    summary.depositPaid = !booking.depositAmount || paid - refunded >= booking.depositAmount;
+  }
+  return summary;
+}
+
+async function ledgerSummary(db, booking) {
+  const entries = await db.ledgerEntry.findMany({ where: { bookingId: booking.id } });
+  return summarizeLedger(entries, booking);
+}
+
+// Amène le total des écritures `charge` à `target` (écriture d'ajustement si besoin)
+async function adjustCharge(tx, bookingId, target, note) {
+  const { _sum } = await tx.ledgerEntry.aggregate({ where: { bookingId, type: 'charge' }, _sum: { amount: true } });
+  const delta = target - (_sum.amount || 0);
+  if (delta === 0) return null;
+  return tx.ledgerEntry.create({ data: { bookingId, type: 'charge', amount: delta, note } });
+}
+
+function openLedger(tx, booking) {
+  return adjustCharge(tx, booking.id, booking.totalAmount, 'Montant de la réservation');
+}
+
+// Annulation : le voyageur ne doit plus que la part retenue (totalAmount - refundAmount),
+// dans la limite de ce qu'il a déjà payé ; le trop-perçu devient un remboursement à effectuer.
+// Les paiements encore en attente seront remboursés à leur encaissement (settlePayment).
+// Verrou de la réservation (déjà pris par la transition) : un encaissement concurrent attend
+// la fin de l'annulation, ou se trouve déjà dans le grand livre lu ici.
+async function settleCancellation(tx, booking, refundAmount) {
+  await lockBooking(tx, booking.id);
+  const summary = await ledgerSummary(tx, booking);
+  const netPaid = summary.paid - summary.refunded;
+  const retained = booking.totalAmount - (refundAmount || 0);
+  const kept = Math.max(0, Math.min(retained, netPaid));
+
+  await adjustCharge(tx, booking.id, kept, 'Annulation de la réservation');
+  const refund = netPaid - kept;
+  if (refund > 0) {
+    await tx.ledgerEntry.create({
+      data: { bookingId: booking.id, type: 'refund', amount: refund, note: 'Remboursement après annulation' }
+    });
+  }
+  return { refund };
+}
+
+/* =========================
+   📲 Paiements Mobile Money
+========================= */
+// Crée une demande de paiement (deposit : acompte restant ; balance : solde dû ; rent : loyers échus
+// du bail, à défaut la prochaine échéance) et l'envoie au fournisseur.
+// Le payeur valide ensuite sur son téléphone ; le résultat arrive par webhook ou interrogation.
+async function initiatePayment(db, booking, payerId, { purpose, phoneNumber }) {
+  if (!PAYABLE_STATUSES[purpose].includes(booking.status)) throw paymentError('PAYMENT_NOT_PAYABLE');
+
+  let amount;
+  if (purpose === 'rent') {
+    amount = await rentAmountDue(db, booking.id);
+  } else {
+    const summary = await ledgerSummary(db, booking);
+    amount = purpose === 'deposit'
+      ? (booking.depositAmount || 0) - (summary.paid - summary.refunded)
+      : summary.balanceDue;
+  }
+  if (amount <= 0) throw paymentError('PAYMENT_NOTHING_DUE');
+
+  const provider = getPaymentProvider();
+  let payment;
+  try {
+    payment = await db.payment.create({
+      data: { bookingId: booking.id, payerId, purpose, amount, currency: booking.currency, phoneNumber, provider: provider.name }
+    });
+  } catch (err) {
+    // Index unique partiel : une seule demande en attente par réservation
+    if (err.code === 'P2002') throw paymentError('PAYMENT_IN_PROGRESS');
+    throw err;
+  }
+
+  let result;
+  try {
+    result = await provider.initiate({
+      reference: payment.id,
+      amount,
+      currency: booking.currency,
+      phoneNumber,
+      description: `Réservation ${booking.id}`
+    });
+  } catch (err) {
+    console.error('Erreur fournisseur de paiement (initiate) :', err);
+    await db.payment.update({ where: { id: payment.id }, data: { status: 'failed', failureReason: 'PROVIDER_ERROR', completedAt: new Date() } });
+    throw paymentError('PAYMENT_PROVIDER_ERROR');
+  }
+
+  payment = await db.payment.update({ where: { id: payment.id }, data: { providerRef: result.providerRef } });
+  if (result.status !== 'pending') return settlePayment(db, payment.id, result);
+  return payment;
+}
+
+// Applique le résultat du fournisseur à une demande en attente (idempotent : sans effet si déjà réglée).
+// Un paiement réussi est inscrit au grand livre ; s'il arrive après l'annulation, il est aussitôt à rembourser.
+// Renvoie le paiement à jour.
+async function settlePayment(db, paymentId, { status, failureReason = null }) {
+  if (!['succeeded', 'failed'].includes(status)) {
+    return db.payment.findUnique({ where: { id: paymentId } });
+  }
+
+  const pending = await db.payment.findUnique({ where: { id: paymentId }, select: { bookingId: true } });
+  if (!pending) return null;
+
+  const settled = await db.$transaction(async (tx) => {
+    // Statut de la réservation et grand livre lus sous verrou : une annulation concurrente
+    // se termine avant (paiement alors remboursé ici) ou attend celui-ci (et le rembourse)
+    await lockBooking(tx, pending.bookingId);
+    const { count } = await tx.payment.updateMany({
+      where: { id: paymentId, status: 'pending' },
+      data: { status, failureReason: status === 'failed' ? failureReason || 'FAILED' : null, completedAt: new Date() }
+    });
+    if (count === 0) return null;
+
+    const payment = await tx.payment.findUnique({
+      where: { id: paymentId },
+      include: { booking: { include: { property: { select: { id: true, title: true, hostId: true } } } } }
+    });
+    if (status === 'succeeded') {
+      await tx.ledgerEntry.create({
+        data: { bookingId: payment.bookingId, type: 'payment', amount: payment.amount, paymentId, note: PURPOSE_NOTES[payment.purpose] }
+      });
+      if (payment.booking.status === 'cancelled') {
+        await tx.ledgerEntry.create({
+          data: { bookingId: payment.bookingId, type: 'refund', amount: payment.amount, paymentId, note: 'Paiement reçu après annulation' }
+        });
+      }
+      if (payment.booking.rentalType === 'long_term') await allocatePayments(tx, { bookingId: payment.bookingId });
+    }
+    return payment;
+  });
+
+  if (!settled) return db.payment.findUnique({ where: { id: paymentId } });
+
+  const { booking, ...payment } = settled;
+  const params = { payment, booking, property: booking.property };
+  if (status === 'succeeded') {
+    await notify(db, payment.payerId, 'payment_succeeded', { ...params, role: 'guest' });
+    await notify(db, booking.property.hostId, 'payment_succeeded', { ...params, role: 'host' });
+  } else {
+    await notify(db, payment.payerId, 'payment_failed', params);
+  }
+  return payment;
+}
+
+// Interroge le fournisseur pour une demande en attente et applique son résultat
+async function refreshPayment(db, payment) {
+  if (payment.status !== 'pending' || !payment.providerRef) return payment;
+  const provider = getPaymentProvider();
+  if (provider.name !== payment.provider) return payment;
+  const result = await provider.checkStatus(payment.providerRef);
+  return settlePayment(db, payment.id, result);
+}
+
+function sendPaymentError(res, err) {
+  if (err.message === 'PAYMENT_NOT_PAYABLE')    { res.status(409).json({ error: 'Cette réservation ne peut pas être payée dans son état actuel.' }); return true; }
+  if (err.message === 'PAYMENT_NOTHING_DUE')    { res.status(409).json({ error: 'Aucun montant à régler.' }); return true; }
+  if (err.message === 'PAYMENT_IN_PROGRESS')    { res.status(409).json({ error: 'Un paiement est déjà en attente de validation pour cette réservation.' }); return true; }
+  if (err.message === 'PAYMENT_PROVIDER_ERROR') { res.status(502).json({ error: 'Le service de paiement est indisponible. Réessayez plus tard.' }); return true; }
+  return false;
+}
+
+module.exports = {
+  depositAmountFor,
+  summarizeLedger,
+  ledgerSummary,
+  adjustCharge,
+  openLedger,
+  settleCancellation,
+  initiatePayment,
+  settlePayment,
+  refreshPayment,
+  sendPaymentError
+};
@@ -0,0 +1,52 @@
+// 📞 Normalisation des numéros de téléphone au format E.164 (+242061234567)
+// Par défaut : Congo-Brazzaville (+242), numéros nationaux à 9 chiffres dont le 0 initial est conservé.
+
+const DEFAULT_COUNTRY_CODE = String(process.env.DEFAULT_COUNTRY_CODE || '242').replace(/\D/g, '');
+
+// Longueur du numéro national (sans indicatif) et conservation du 0 initial, par indicatif
+const NATIONAL_RULES = {
+  '242': { length: 9, keepTrunkZero: true },   // Congo-Brazzaville : 06 123 45 67 → +242 06 123 45 67
+  '243': { length: 9, keepTrunkZero: false }   // RDC : 081 234 5678 → +243 81 234 5678
+};
+
+const E164_RE = /^\+[1-9]\d{7,14}$/;
+
+// Renvoie le numéro en E.164 ou null s'il est invalide
+function normalizePhone(input, countryCode = DEFAULT_COUNTRY_CODE) {
+  if (typeof input !== 'string') return null;
+  let raw = input.trim().replace(/[\s.\-()]/g, '');
+  if (!raw) return null;
+
+  if (raw.startsWith('00')) raw = `+${raw.slice(2)}`;
+
+  let e164;
+  if (raw.startsWith('+')) {
+    e164 = raw;
+  } else {
+    if (!/^\d+$/.test(raw)) return null;
+    const rule = NATIONAL_RULES[countryCode];
+    if (rule && raw.startsWith(countryCode) && raw.length === countryCode.length + rule.length) {
+      // Indicatif saisi sans « + »
+      e164 = `+${raw}`;
+    } else {
+      // Numéro national : le 0 initial est retiré sauf là où il fait partie du numéro
+      const national = (rule && rule.keepTrunkZero) ? raw : raw.replace(/^0/, '');
+      if (rule && national.length !== rule.length) return null;
+      e164 = `+${countryCode}${national}`;
+    }
+  }
+
+  return E164_RE.test(e164) ? e164 : null;
+}
+
+// Masque un numéro pour les réponses et journaux (+242******567)
+function maskPhone(e164) {
+  if (!e164 || e164.length < 7) return e164;
+  return `${e164.slice(0, 4)}${'*'.repeat(e164.length - 7)}${e164.slice(-3)}`;
+}
+
+module.exports = {
+  DEFAULT_COUNTRY_CODE,
+  normalizePhone,
+  maskPhone
+};
@@ -0,0 +1,189 @@
+// 💰 Moteur de tarification : devis détaillé d'un séjour
+// Utilisé pour le devis public (GET /properties/:id/quote) et pour le montant des réservations,
+// afin que le voyageur soit facturé exactement ce qui lui a été annoncé.
+// Montants en unités mineures entières de la devise du bien (lib/money) ; chaque ligne est arrondie
+// séparément et le total est leur somme exacte.
+
+const { DAY_MS, toISOyyyyMMdd, startOfUTCDay, addDays, nightsBetween } = require('./dates');
+const { percentOf } = require('./money');
+const { requireRate } = require('./exchangeRates');
+const { scheduleAnchor, rentSchedule, quotedSchedule } = require('./leases');
+
+// Frais de service de la plateforme (% du séjour après remise)
+const SERVICE_FEE_PERCENT = Number(process.env.SERVICE_FEE_PERCENT || 0);
+
+const WEEKLY_MIN_NIGHTS = 7;
+const MONTHLY_MIN_NIGHTS = 28;
+
+const PRICING_PROPERTY_SELECT = {
+  id: true,
+  rentalType: true,
+  currency: true,
+  pricePerNight: true,
+  pricePerMonth: true,
+  cleaningFee: true,
+  weeklyDiscountPercent: true,
+  monthlyDiscountPercent: true,
+  taxPercent: true,
+  rentDueDay: true,
+  securityDeposit: true
+};
+
+// Courte durée : somme jour par jour (prix spécial de l'hôte sinon prix par nuit)
+async function priceNights(db, property, start, end) {
+  const overrides = await db.propertyAvailability.findMany({
+    where: { propertyId: property.id, date: { gte: start, lt: end }, priceOverride: { not: null } },
+    select: { date: true, priceOverride: true }
+  });
+  const byDay = new Map(overrides.map(o => [toISOyyyyMMdd(new Date(o.date)), o.priceOverride]));
+
+  const nightly = [];
+  for (let d = new Date(start); d < end; d = addDays(d, 1)) {
+    const key = toISOyyyyMMdd(d);
+    const override = byDay.get(key);
+    if (override === undefined && !property.pricePerNight) throw new Error('MISSING_NIGHT_PRICE');
+    nightly.push({
+      date: key,
+      price: override !== undefined ? override : property.pricePerNight,
+      override: override !== undefined
+    });
+  }
+
+  const subtotal = nightly.reduce((sum, n) => sum + n.price, 0);
+
+  let discountPercent = 0;
+  let discountCode = null;
+  if (nightly.length >= MONTHLY_MIN_NIGHTS && property.monthlyDiscountPercent) {
+    discountPercent = property.monthlyDiscountPercent;
+    discountCode = 'monthly_discount';
+  } else if (nightly.length >= WEEKLY_MIN_NIGHTS && property.weeklyDiscountPercent) {
+    discountPercent = property.weeklyDiscountPercent;
+    discountCode = 'weekly_discount';
+  }
+
+  return {
+    nightly,
+    subtotal,
+    discountCode,
+    discount: percentOf(subtotal, discountPercent)
+  };
+}
+
+// Longue durée : échéancier du futur bail (lib/leases) ; périodes incomplètes au prorata.
+// `rent` est figé avec le devis et repris à la création du bail ; le dépôt de garantie n'entre pas dans le total.
+function priceMonths(property, start, end) {
+  if (!property.pricePerMonth) throw new Error('MISSING_MONTH_PRICE');
+
+  const anchor = scheduleAnchor(start, property.rentDueDay);
+  const periods = rentSchedule(start, end, property.pricePerMonth, anchor);
+  const partial = periods.filter(p => p.prorated);
+
+  return {
+    months: {
+      full: periods.length - partial.length,
+      extraDays: partial.reduce((sum, p) => sum + nightsBetween(p.periodStart, p.periodEnd), 0)
+    },
+    rent: {
+      monthlyRent: property.pricePerMonth,
+      dueDay: anchor.getUTCDate(),
+      securityDeposit: property.securityDeposit || 0,
+      installments: quotedSchedule(periods)
+    },
+    subtotal: periods.reduce((sum, p) => sum + p.rent, 0)
+  };
+}
+
+// Devis complet. Lève PROPERTY_NOT_FOUND / INVALID_STAY_LENGTH / MISSING_NIGHT_PRICE /
+// MISSING_MONTH_PRICE / INVALID_RENTAL_TYPE.
+async function computeQuote(db, propertyId, checkIn, checkOut, { guests = null } = {}) {
+  const property = await db.property.findUnique({
+    where: { id: propertyId },
+    select: PRICING_PROPERTY_SELECT
+  });
+  if (!property) throw new Error('PROPERTY_NOT_FOUND');
+
+  const start = startOfUTCDay(checkIn);
+  const end = startOfUTCDay(checkOut);
+  const nights = Math.round((end - start) / DAY_MS);
+  if (nights < 1) throw new Error('INVALID_STAY_LENGTH');
+
+  const quote = {
+    propertyId,
+    rentalType: property.rentalType,
+    currency: property.currency,
+    checkInDate: toISOyyyyMMdd(start),
+    checkOutDate: toISOyyyyMMdd(end),
+    guests,
+    nights
+  };
+
+  let subtotal;
+  let discount = 0;
+  let discountCode = null;
+  if (property.rentalType === 'short_term') {
+    const r = await priceNights(db, property, start, end);
+    quote.nightly = r.nightly;
+    subtotal = r.subtotal;
+    discount = r.discount;
+    discountCode = r.discountCode;
+  } else if (property.rentalType === 'long_term') {
+    const r = priceMonths(property, start, end);
+    quote.months = r.months;
+    quote.rent = r.rent;
+    subtotal = r.subtotal;
+  } else {
+    throw new Error('INVALID_RENTAL_TYPE');
+  }
+
+  const stay = subtotal - discount;
+  const cleaningFee = property.cleaningFee || 0;
+  const serviceFee = percentOf(stay, SERVICE_FEE_PERCENT);
+  const taxes = percentOf(stay + cleaningFee, property.taxPercent || 0);
+
+  const lines = [{ code: 'accommodation', amount: subtotal }];
+  if (discount) lines.push({ code: discountCode, amount: -discount });
+  if (cleaningFee) lines.push({ code: 'cleaning_fee', amount: cleaningFee });
+  if (serviceFee) lines.push({ code: 'service_fee', amount: serviceFee });
+  if (taxes) lines.push({ code: 'taxes', amount: taxes });
+
+  return {
+    ...quote,
+    lines,
+    subtotal,
+    discount,
+    cleaningFee,
+    serviceFee,
+    taxes,
+    total: lines.reduce((sum, l) => sum + l.amount, 0)
+  };
+}
+
+// Devis converti dans la devise du voyageur (affichage) : lignes converties une à une,
+// total = somme des lignes converties. Lève RATE_UNAVAILABLE sans taux connu.
+function convertQuote(quote, rates, currency) {
+  const rate = requireRate(rates, quote.currency, currency);
+  const convert = amount => rates.convert(amount, quote.currency, currency);
+  const lines = quote.lines.map(l => ({ code: l.code, amount: convert(l.amount) }));
+  return {
+    currency,
+    rate,
+    lines,
+    total: lines.reduce((sum, l) => sum + l.amount, 0)
+  };
+}
+
+// Réponse HTTP pour les erreurs de tarification ; renvoie false si l'erreur n'en est pas une
+function sendPricingError(res, err) {
+  if (err.message === 'PROPERTY_NOT_FOUND')  { res.status(404).json({ error: 'Bien introuvable.' }); return true; }
+  if (err.message === 'INVALID_STAY_LENGTH') { res.status(400).json({ error: 'Le séjour doit compter au moins une nuit.' }); return true; }
+  if (err.message === 'MISSING_NIGHT_PRICE') { res.status(400).json({ error: 'Tarif par nuit manquant pour ce bien.' }); return true; }
+  if (err.message === 'MISSING_MONTH_PRICE') { res.status(400).json({ error: 'Tarif mensuel manquant pour ce bien.' }); return true; }
+  if (err.message === 'INVALID_RENTAL_TYPE') { res.status(400).json({ error: 'Type de location invalide.' }); return true; }
+  return false;
+}
+
+module.exports = {
+  computeQuote,
+  convertQuote,
+  sendPricingError
+};
@@ -0,0 +1,238 @@
+// 🔎 Recherche de biens : filtres, géolocalisation, tri et pagination par curseur
+const { PropertyType, RentalType } = require('@prisma/client');
+const { BLOCKING_STATUSES } = require('./availability');
+const { parseISODate, startOfUTCDay } = require('./dates');
+const { findAmenity } = require('./amenities');
+const { enumValues } = require('./validation');
+const { CURRENCY_CODES, DEFAULT_CURRENCY } = require('./money');
+
+const PROPERTY_TYPES = enumValues(PropertyType);
+const RENTAL_TYPES = enumValues(RentalType);
+const SORTS = ['newest', 'price_asc', 'price_desc', 'rating', 'distance'];
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Recherches triées ou filtrées en mémoire : au plus ce nombre de biens candidats (les plus récents)
+const MAX_IN_MEMORY_RESULTS = Number(process.env.SEARCH_MAX_IN_MEMORY_RESULTS || 1000);
+const EARTH_RADIUS_KM = 6371;
+const KM_PER_DEGREE_LAT = 111.32;
+
+/* ---------- Géo ---------- */
+function toRad(x) { return x * Math.PI / 180; }
+
+function haversineKm(lat1, lng1, lat2, lng2) {
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+// Boîte englobante d'un cercle (pré-filtre SQL avant le calcul exact de distance)
+function boundingBox(lat, lng, radiusKm) {
+  const dLat = radiusKm / KM_PER_DEGREE_LAT;
+  const dLng = radiusKm / (KM_PER_DEGREE_LAT * Math.max(Math.cos(toRad(lat)), 0.01));
+  return { minLat: lat - dLat, maxLat: lat + dLat, minLng: lng - dLng, maxLng: lng + dLng };
+}
+
+/* ---------- Curseur opaque ---------- */
+function encodeCursor(obj) {
+  return Buffer.from(JSON.stringify(obj)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    return JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+  } catch {
+    return null;
+  }
+}
+
+/* ---------- Lecture des paramètres ---------- */
+function parseNumber(value, errors, name, { integer = false, min = null } = {}) {
+  if (value === undefined || value === '') return undefined;
+  const n = Number(value);
+  if (!Number.isFinite(n) || (integer && !Number.isInteger(n)) || (min !== null && n < min)) {
+    errors.push(`Paramètre ${name} invalide.`);
+    return undefined;
+  }
+  return n;
+}
+
+function parseList(value) {
+  if (value === undefined || value === '') return [];
+  return String(value).split(',').map(x => x.trim()).filter(Boolean);
+}
+
+// Transforme la query string en critères de recherche ; les erreurs sont accumulées
+function parseSearchQuery(query) {
+  const errors = [];
+  const c = {
+    q: query.q ? String(query.q).trim() : undefined,
+    city: query.city ? String(query.city).trim() : undefined,
+    country: query.country ? String(query.country).trim() : undefined,
+    propertyType: query.propertyType,
+    rentalType: query.rentalType,
+    // Devise d'affichage des prix ; minPrice / maxPrice y sont exprimés (unités mineures)
+    currency: query.currency,
+    minPrice: parseNumber(query.minPrice, errors, 'minPrice', { integer: true, min: 0 }),
+    maxPrice: parseNumber(query.maxPrice, errors, 'maxPrice', { integer: true, min: 0 }),
+    bedrooms: parseNumber(query.bedrooms, errors, 'bedrooms', { integer: true, min: 0 }),
+    bathrooms: parseNumber(query.bathrooms, errors, 'bathrooms', { integer: true, min: 0 }),
+    guests: parseNumber(query.guests, errors, 'guests', { integer: true, min: 1 }),
+    equipment: parseList(query.equipment),
+    lat: parseNumber(query.lat, errors, 'lat'),
+    lng: parseNumber(query.lng, errors, 'lng'),
+    radiusKm: parseNumber(query.radiusKm, errors, 'radiusKm', { min: 0 }),
+    sort: query.sort || 'newest',
+    limit: parseNumber(query.limit, errors, 'limit', { integer: true, min: 1 }) || DEFAULT_LIMIT
+  };
+  c.limit = Math.min(c.limit, MAX_LIMIT);
+
+  if (c.propertyType && !PROPERTY_TYPES.includes(c.propertyType)) errors.push('Paramètre propertyType invalide.');
+  if (c.rentalType && !RENTAL_TYPES.includes(c.rentalType)) errors.push('Paramètre rentalType invalide.');
+  if (c.currency && !CURRENCY_CODES.includes(c.currency)) errors.push(`Paramètre currency invalide (${CURRENCY_CODES.join(', ')}).`);
+  const unknown = c.equipment.filter(key => !findAmenity(key));
+  if (unknown.length > 0) errors.push(`Équipement(s) inconnu(s) : ${unknown.join(', ')}.`);
+  if (!SORTS.includes(c.sort)) errors.push(`Paramètre sort invalide (${SORTS.join(', ')}).`);
+
+  if ((c.lat === undefined) !== (c.lng === undefined)) errors.push('lat et lng doivent être fournis ensemble.');
+  if (c.radiusKm !== undefined && c.lat === undefined) errors.push('radiusKm nécessite lat et lng.');
+  if (c.sort === 'distance' && c.lat === undefined) errors.push('Le tri par distance nécessite lat et lng.');
+
+  // bbox=minLat,minLng,maxLat,maxLng
+  if (query.bbox) {
+    const parts = parseList(query.bbox).map(Number);
+    if (parts.length !== 4 || parts.some(x => !Number.isFinite(x))) errors.push('Paramètre bbox invalide (minLat,minLng,maxLat,maxLng).');
+    else c.bbox = { minLat: parts[0], minLng: parts[1], maxLat: parts[2], maxLng: parts[3] };
+  }
+
+  if (query.from || query.to) {
+    const from = parseISODate(query.from);
+    const to = parseISODate(query.to);
+    if (!from || !to || !(to > from)) errors.push('Paramètres from/to invalides.');
+    else { c.from = startOfUTCDay(from); c.to = startOfUTCDay(to); }
+  }
+
+  if (query.cursor) {
+    c.cursor = decodeCursor(query.cursor);
+    if (!c.cursor) errors.push('Curseur invalide.');
+  }
+
+  return { criteria: c, errors };
+}
+
+// Devise de comparaison des prix (filtre et tri)
+function priceCurrency(c) {
+  return c.currency || DEFAULT_CURRENCY;
+}
+
+// Prix de référence d'un bien (filtre et tri) : par nuit en courte durée, par mois en longue durée
+function listedPrice(property) {
+  return property.rentalType === 'long_term' ? property.pricePerMonth : property.pricePerNight;
+}
+
+/* ---------- Filtre Prisma ---------- */
+// `rates` (lib/exchangeRates) : bornes de prix converties dans la devise de chaque bien
+function buildWhere(c, rates) {
+  const AND = [{ active: true }];
+
+  if (c.q) {
+    AND.push({
+      OR: [
+        { title: { contains: c.q, mode: 'insensitive' } },
+        { description: { contains: c.q, mode: 'insensitive' } }
+      ]
+    });
+  }
+  if (c.city) AND.push({ city: { equals: c.city, mode: 'insensitive' } });
+  if (c.country) AND.push({ country: { equals: c.country, mode: 'insensitive' } });
+  if (c.propertyType) AND.push({ propertyType: c.propertyType });
+  if (c.rentalType) AND.push({ rentalType: c.rentalType });
+  if (c.bedrooms !== undefined) AND.push({ bedrooms: { gte: c.bedrooms } });
+  if (c.bathrooms !== undefined) AND.push({ bathrooms: { gte: c.bathrooms } });
+  if (c.guests !== undefined) AND.push({ maxGuests: { gte: c.guests } });
+
+  // Prix : par nuit pour la courte durée, par mois pour la longue durée.
+  // Une fourchette par devise ; les biens d'une devise sans taux connu sont écartés.
+  if (c.minPrice !== undefined || c.maxPrice !== undefined) {
+    const from = priceCurrency(c);
+    const OR = [];
+    CURRENCY_CODES.forEach(currency => {
+      if (rates.rate(from, currency) === null) return;
+      const range = {};
+      if (c.minPrice !== undefined) range.gte = rates.convert(c.minPrice, from, currency);
+      if (c.maxPrice !== undefined) range.lte = rates.convert(c.maxPrice, from, currency);
+      OR.push(
+        { currency, rentalType: 'short_term', pricePerNight: range },
+        { currency, rentalType: 'long_term', pricePerMonth: range }
+      );
+    });
+    AND.push({ OR });
+  }
+
+  // Équipements (clés du catalogue) : tous ceux demandés doivent être présents et disponibles
+  c.equipment.forEach(name => {
+    AND.push({ equipment: { some: { name, available: true } } });
+  });
+
+  // Zone géographique : bbox explicite et/ou boîte englobante du rayon
+  const boxes = [];
+  if (c.bbox) boxes.push(c.bbox);
+  if (c.radiusKm !== undefined) boxes.push(boundingBox(c.lat, c.lng, c.radiusKm));
+  boxes.forEach(b => {
+    AND.push({ latitude: { gte: b.minLat, lte: b.maxLat } });
+    AND.push({ longitude: { gte: b.minLng, lte: b.maxLng } });
+  });
+
+  // Disponible sur [from, to) : même logique que le calendrier (réservations actives + blocs de l'hôte)
+  if (c.from) {
+    AND.push({
+      bookings: {
+        none: {
+          status: { in: BLOCKING_STATUSES },
+          checkInDate: { lt: c.to },
+          checkOutDate: { gt: c.from }
+        }
+      }
+    });
+    AND.push({ availability: { none: { available: false, date: { gte: c.from, lt: c.to } } } });
+  }
+
+  return { AND };
+}
+
+function orderByFor() {
+  return [{ createdAt: 'desc' }, { id: 'asc' }];
+}
+
+// Le tri par note / distance / prix (devises mélangées) et le filtre par rayon se font en mémoire
+// (pagination par offset, sur au plus MAX_IN_MEMORY_RESULTS biens)
+function needsInMemory(c) {
+  return c.sort !== 'newest' || c.radiusKm !== undefined;
+}
+
+// Prix affichés dans la devise demandée (null si pas de taux)
+function displayPrices(property, rates, currency) {
+  const rate = rates.rate(property.currency, currency);
+  const convert = amount => (rate === null ? null : rates.convert(amount, property.currency, currency));
+  return {
+    currency,
+    rate,
+    pricePerNight: convert(property.pricePerNight),
+    pricePerMonth: convert(property.pricePerMonth),
+    cleaningFee: convert(property.cleaningFee)
+  };
+}
+
+module.exports = {
+  MAX_IN_MEMORY_RESULTS,
+  parseSearchQuery,
+  priceCurrency,
+  listedPrice,
+  buildWhere,
+  orderByFor,
+  needsInMemory,
+  displayPrices,
+  haversineKm,
+  encodeCursor
+};
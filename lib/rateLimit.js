@@ -0,0 +1,164 @@
+// 🚦 Limitation de débit et verrouillage progressif
+// Le stockage est interchangeable : tout objet exposant les méthodes asynchrones de MemoryStore
+// (hit, get, set, reset) convient, par ex. un adaptateur Redis partagé entre plusieurs instances.
+// Par défaut : mémoire du processus (compteurs perdus au redémarrage, non partagés entre instances).
+
+class MemoryStore {
+  constructor({ sweepEvery = 1000 } = {}) {
+    this.entries = new Map(); // key → { value, expiresAt }
+    this.ops = 0;
+    this.sweepEvery = sweepEvery;
+  }
+
+  // Purge paresseuse des entrées expirées (pas de minuterie qui garderait le processus en vie)
+  sweep(now) {
+    if (++this.ops % this.sweepEvery !== 0) return;
+    for (const [key, entry] of this.entries) {
+      if (entry.expiresAt <= now) this.entries.delete(key);
+    }
+  }
+
+  live(key, now) {
+    const entry = this.entries.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt <= now) {
+      this.entries.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  // Incrémente un compteur à fenêtre fixe ; renvoie { count, resetAt }
+  async hit(key, windowMs) {
+    const now = Date.now();
+    this.sweep(now);
+    const entry = this.live(key, now);
+    if (entry) {
+      entry.value += 1;
+      return { count: entry.value, resetAt: entry.expiresAt };
+    }
+    const expiresAt = now + windowMs;
+    this.entries.set(key, { value: 1, expiresAt });
+    return { count: 1, resetAt: expiresAt };
+  }
+
+  async get(key) {
+    const entry = this.live(key, Date.now());
+    return entry ? { value: entry.value, expiresAt: entry.expiresAt } : null;
+  }
+
+  async set(key, value, ttlMs) {
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+  }
+
+  async reset(key) {
+    this.entries.delete(key);
+  }
+}
+
+let defaultStore = new MemoryStore();
+
+function getRateLimitStore() {
+  return defaultStore;
+}
+
+// À appeler au démarrage, avant le chargement des routeurs
+function setRateLimitStore(store) {
+  for (const method of ['hit', 'get', 'set', 'reset']) {
+    if (typeof store[method] !== 'function') throw new Error(`Store de limitation invalide : méthode ${method} manquante.`);
+  }
+  defaultStore = store;
+}
+
+// Limites surchargeables par variables d'environnement : <PREFIX>_MAX et <PREFIX>_WINDOW_SECONDS
+function limitFromEnv(prefix, { max, windowSeconds }) {
+  const envMax = Number(process.env[`${prefix}_MAX`]);
+  const envWindow = Number(process.env[`${prefix}_WINDOW_SECONDS`]);
+  return {
+    max: Number.isInteger(envMax) && envMax > 0 ? envMax : max,
+    windowMs: (Number.isFinite(envWindow) && envWindow > 0 ? envWindow : windowSeconds) * 1000
+  };
+}
+
+function clientIp(req) {
+  return req.ip || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+function sendTooMany(res, retryAfterSeconds, message) {
+  res.set('Retry-After', String(retryAfterSeconds));
+  return res.status(429).json({ error: message, retryAfter: retryAfterSeconds });
+}
+
+/* ---------- Middleware à fenêtre fixe ---------- */
+// rateLimit({ name, max, windowMs, key: req => string, skip: req => bool })
+function rateLimit({ name, max, windowMs, key = clientIp, skip = null, message = 'Trop de requêtes. Réessayez plus tard.', store = null }) {
+  return async (req, res, next) => {
+    if (skip && skip(req)) return next();
+    const k = key(req);
+    if (!k) return next();
+
+    try {
+      const { count, resetAt } = await (store || defaultStore).hit(`rl:${name}:${k}`, windowMs);
+      const retryAfter = Math.max(1, Math.ceil((resetAt - Date.now()) / 1000));
+      res.set('RateLimit-Limit', String(max));
+      res.set('RateLimit-Remaining', String(Math.max(0, max - count)));
+      res.set('RateLimit-Reset', String(retryAfter));
+      if (count > max) return sendTooMany(res, retryAfter, message);
+      next();
+    } catch (err) {
+      // Un stockage indisponible ne doit pas rendre l'API inaccessible
+      console.error('Erreur limitation de débit :', err);
+      next();
+    }
+  };
+}
+
+/* ---------- Verrouillage progressif ---------- */
+// Après `freeAttempts` échecs dans `windowMs`, chaque nouvel échec verrouille la clé
+// pendant baseLockMs, puis le double, etc. (plafonné à maxLockMs). Un succès remet à zéro.
+function createLockout({ name, freeAttempts = 5, windowMs = 15 * 60 * 1000, baseLockMs = 60 * 1000, maxLockMs = 60 * 60 * 1000, store = null }) {
+  const s = () => store || defaultStore;
+  const failKey = k => `lock:${name}:fails:${k}`;
+  const lockKey = k => `lock:${name}:until:${k}`;
+
+  return {
+    // Renvoie le nombre de secondes restantes si l'une des clés est verrouillée, sinon 0
+    async check(keys) {
+      let retryAfter = 0;
+      for (const k of keys.filter(Boolean)) {
+        const lock = await s().get(lockKey(k));
+        if (lock) retryAfter = Math.max(retryAfter, Math.ceil((lock.expiresAt - Date.now()) / 1000));
+      }
+      return retryAfter;
+    },
+
+    async fail(keys) {
+      for (const k of keys.filter(Boolean)) {
+        // Le compteur survit au verrou le plus long : l'escalade reprend là où elle s'était arrêtée
+        const { count } = await s().hit(failKey(k), Math.max(windowMs, maxLockMs));
+        if (count > freeAttempts) {
+          const lockMs = Math.min(baseLockMs * 2 ** (count - freeAttempts - 1), maxLockMs);
+          await s().set(lockKey(k), count, lockMs);
+        }
+      }
+    },
+
+    async succeed(keys) {
+      for (const k of keys.filter(Boolean)) {
+        await s().reset(failKey(k));
+        await s().reset(lockKey(k));
+      }
+    }
+  };
+}
+
+module.exports = {
+  MemoryStore,
+  getRateLimitStore,
+  setRateLimitStore,
+  limitFromEnv,
+  clientIp,
+  sendTooMany,
+  rateLimit,
+  createLockout
+};
@@ -0,0 +1,67 @@
+// ⭐ Agrégats des notes (avis) — partagés entre /reviews et /properties
+
+const RATING_FIELDS = [
+  'overallRating',
+  'cleanlinessRating',
+  'communicationRating',
+  'locationRating',
+  'accuracyRating',
+  'valueRating'
+];
+
+function roundRating(x) {
+  return x === null || x === undefined ? null : Math.round(x * 100) / 100;
+}
+
+// Moyennes par critère + nombre d'avis, pour un filtre `where` sur Review
+async function ratingSummary(prisma, where) {
+  const avg = {};
+  RATING_FIELDS.forEach(f => { avg[f] = true; });
+
+  const agg = await prisma.review.aggregate({
+    where,
+    _avg: avg,
+    _count: { _all: true }
+  });
+
+  const averages = {};
+  RATING_FIELDS.forEach(f => {
+    averages[f.replace('Rating', '')] = roundRating(agg._avg[f]);
+  });
+
+  return { count: agg._count._all, averages };
+}
+
+// Avis laissés par les voyageurs sur un bien
+function propertyRatingSummary(prisma, propertyId) {
+  return ratingSummary(prisma, { propertyId, reviewType: 'property' });
+}
+
+// Avis laissés par les voyageurs sur l'ensemble des biens d'un hôte
+function hostRatingSummary(prisma, hostId) {
+  return ratingSummary(prisma, { property: { hostId }, reviewType: 'property' });
+}
+
+// Avis laissés par les hôtes sur un voyageur
+function userRatingSummary(prisma, userId) {
+  return ratingSummary(prisma, { revieweeId: userId, reviewType: 'user' });
+}
+
+// Note globale moyenne + nombre d'avis pour une liste de biens → Map(propertyId → { average, count })
+async function propertyRatingsByIds(prisma, propertyIds) {
+  const rows = await prisma.review.groupBy({
+    by: ['propertyId'],
+    where: { propertyId: { in: propertyIds }, reviewType: 'property' },
+    _avg: { overallRating: true },
+    _count: { _all: true }
+  });
+  return new Map(rows.map(r => [r.propertyId, { average: roundRating(r._avg.overallRating), count: r._count._all }]));
+}
+
+module.exports = {
+  RATING_FIELDS,
+  propertyRatingSummary,
+  propertyRatingsByIds,
+  hostRatingSummary,
+  userRatingSummary
+};
@@ -0,0 +1,128 @@
+// 🪪 Sessions et jetons de rafraîchissement
+// Une connexion ouvre une Session côté serveur. Le refresh token (`<sessionId>.<secret>`) n'est stocké
+// que haché et change à chaque rafraîchissement (rotation) : présenter un ancien jeton révoque la session,
+// car il a probablement été volé.
+const crypto = require('crypto');
+const { signAccessToken, ACCESS_TOKEN_TTL_SECONDS } = require('./tokens');
+const { accountBlock } = require('./accounts');
+
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS || 30);
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function newSecret() {
+  return crypto.randomBytes(32).toString('base64url');
+}
+
+function refreshExpiry(now = new Date()) {
+  return new Date(now.getTime() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+}
+
+function parseRefreshToken(refreshToken) {
+  const [sessionId, secret] = String(refreshToken).split('.');
+  return sessionId && secret ? { sessionId, secret } : null;
+}
+
+function sessionError(code) {
+  return new Error(code);
+}
+
+function tokenPair(user, session, secret) {
+  return {
+    token: signAccessToken(user, session.id),
+    refreshToken: `${session.id}.${secret}`,
+    expiresIn: ACCESS_TOKEN_TTL_SECONDS
+  };
+}
+
+// Ouvre une session ; renvoie { token, refreshToken, expiresIn, sessionId }
+async function openSession(db, user, { userAgent, ipAddress } = {}) {
+  const secret = newSecret();
+  const session = await db.session.create({
+    data: {
+      userId: user.id,
+      tokenHash: hashSecret(secret),
+      userAgent: userAgent ? String(userAgent).slice(0, 500) : null,
+      ipAddress: ipAddress || null,
+      expiresAt: refreshExpiry()
+    }
+  });
+  return { ...tokenPair(user, session, secret), sessionId: session.id };
+}
+
+// Échange un refresh token contre une nouvelle paire ; l'ancien jeton devient inutilisable
+async function rotateSession(db, refreshToken, { ipAddress } = {}) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) throw sessionError('REFRESH_INVALID');
+
+  const session = await db.session.findUnique({ where: { id: parsed.sessionId }, include: { user: true } });
+  if (!session || session.revokedAt || session.expiresAt <= new Date()) throw sessionError('REFRESH_INVALID');
+  if (accountBlock(session.user)) throw sessionError('REFRESH_INVALID');
+
+  const presented = hashSecret(parsed.secret);
+  if (presented !== session.tokenHash) {
+    if (presented === session.previousTokenHash) {
+      await revokeSession(db, session.id);
+      throw sessionError('REFRESH_REUSED');
+    }
+    throw sessionError('REFRESH_INVALID');
+  }
+
+  // Rotation conditionnelle : deux rafraîchissements simultanés ne peuvent réussir tous les deux
+  const secret = newSecret();
+  const rotated = await db.session.updateMany({
+    where: { id: session.id, tokenHash: presented, revokedAt: null },
+    data: {
+      tokenHash: hashSecret(secret),
+      previousTokenHash: presented,
+      lastUsedAt: new Date(),
+      expiresAt: refreshExpiry(),
+      ...(ipAddress ? { ipAddress } : {})
+    }
+  });
+  if (rotated.count === 0) throw sessionError('REFRESH_INVALID');
+
+  return tokenPair(session.user, session, secret);
+}
+
+// Requêtes Prisma non attendues : utilisables dans un prisma.$transaction([...])
+function revokeSession(db, sessionId) {
+  return db.session.updateMany({
+    where: { id: sessionId, revokedAt: null },
+    data: { revokedAt: new Date() }
+  });
+}
+
+// Révoque toutes les sessions d'un utilisateur (sauf éventuellement la session courante)
+function revokeUserSessions(db, userId, { exceptId } = {}) {
+  return db.session.updateMany({
+    where: { userId, revokedAt: null, ...(exceptId ? { id: { not: exceptId } } : {}) },
+    data: { revokedAt: new Date() }
+  });
+}
+
+// Session ouverte correspondant à un refresh token (sans rotation)
+async function findSessionByRefreshToken(db, refreshToken) {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+  const session = await db.session.findUnique({ where: { id: parsed.sessionId } });
+  if (!session || session.revokedAt || session.tokenHash !== hashSecret(parsed.secret)) return null;
+  return session;
+}
+
+function sendSessionError(res, err) {
+  if (err.message === 'REFRESH_INVALID') { res.status(401).json({ error: 'Jeton de rafraîchissement invalide ou expiré.' }); return true; }
+  if (err.message === 'REFRESH_REUSED')  { res.status(401).json({ error: 'Jeton de rafraîchissement déjà utilisé : session révoquée par sécurité.' }); return true; }
+  return false;
+}
+
+module.exports = {
+  openSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken,
+  sendSessionError
+};
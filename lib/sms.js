@@ -0,0 +1,65 @@
+// 📱 Envoi de SMS derrière une interface de fournisseur
+// Un fournisseur est un objet { name, send({ to, body }) } qui renvoie une promesse.
+// Par défaut (SMS_PROVIDER=outbox), les messages sont ajoutés à un fichier local (JSON par ligne)
+// pour développer et tester sans passerelle SMS.
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_OUTBOX_PATH = path.join(__dirname, '..', 'var', 'sms-outbox.log');
+
+function outboxProvider(filePath = process.env.SMS_OUTBOX_PATH || DEFAULT_OUTBOX_PATH) {
+  return {
+    name: 'outbox',
+    async send({ to, body }) {
+      const entry = { to, body, sentAt: new Date().toISOString() };
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.promises.appendFile(filePath, `${JSON.stringify(entry)}\n`, 'utf8');
+      return { id: null, provider: 'outbox' };
+    }
+  };
+}
+
+function consoleProvider() {
+  return {
+    name: 'console',
+    async send({ to, body }) {
+      console.log(`[SMS] → ${to} : ${body}`);
+      return { id: null, provider: 'console' };
+    }
+  };
+}
+
+const PROVIDERS = {
+  outbox: outboxProvider,
+  console: consoleProvider
+};
+
+let provider = null;
+
+function getSmsProvider() {
+  if (!provider) {
+    const name = process.env.SMS_PROVIDER || 'outbox';
+    const factory = PROVIDERS[name];
+    if (!factory) throw new Error(`Fournisseur SMS inconnu : ${name}`);
+    provider = factory();
+  }
+  return provider;
+}
+
+// Permet de brancher une passerelle réelle (ou un double de test)
+function setSmsProvider(custom) {
+  if (!custom || typeof custom.send !== 'function') throw new Error('Fournisseur SMS invalide.');
+  provider = custom;
+}
+
+async function sendSms(to, body) {
+  return getSmsProvider().send({ to, body });
+}
+
+module.exports = {
+  outboxProvider,
+  consoleProvider,
+  getSmsProvider,
+  setSmsProvider,
+  sendSms
+};
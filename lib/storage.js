@@ -0,0 +1,72 @@
+// 🗄️ Stockage des fichiers derrière une interface d'adaptateur
+// Un adaptateur est un objet { name, put(key, buffer, { contentType }), get(key), remove(key) } :
+// - get renvoie un flux lisible, ou null si le fichier n'existe pas ;
+// - les clés sont des chemins relatifs (ex. `property_image/<id>/original.webp`).
+// Par défaut (STORAGE_DRIVER=local), les fichiers sont écrits sur le disque sous UPLOAD_DIR (var/uploads).
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_UPLOAD_DIR = path.join(__dirname, '..', 'var', 'uploads');
+
+function localDiskStorage(root = process.env.UPLOAD_DIR || DEFAULT_UPLOAD_DIR) {
+  const base = path.resolve(root);
+
+  // Refuse toute clé qui sortirait du répertoire racine
+  function resolveKey(key) {
+    const full = path.resolve(base, key);
+    if (!full.startsWith(base + path.sep)) throw new Error(`Clé de stockage invalide : ${key}`);
+    return full;
+  }
+
+  return {
+    name: 'local',
+    async put(key, buffer) {
+      const full = resolveKey(key);
+      await fs.promises.mkdir(path.dirname(full), { recursive: true });
+      await fs.promises.writeFile(full, buffer);
+      return { key };
+    },
+    async get(key) {
+      const full = resolveKey(key);
+      try {
+        await fs.promises.access(full, fs.constants.R_OK);
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(full);
+    },
+    async remove(key) {
+      await fs.promises.rm(resolveKey(key), { force: true });
+    }
+  };
+}
+
+const DRIVERS = {
+  local: localDiskStorage
+};
+
+let storage = null;
+
+function getStorage() {
+  if (!storage) {
+    const name = process.env.STORAGE_DRIVER || 'local';
+    const factory = DRIVERS[name];
+    if (!factory) throw new Error(`Stockage inconnu : ${name}`);
+    storage = factory();
+  }
+  return storage;
+}
+
+// Permet de brancher un stockage objet (S3…) ou un double de test
+function setStorage(custom) {
+  for (const method of ['put', 'get', 'remove']) {
+    if (!custom || typeof custom[method] !== 'function') throw new Error(`Stockage invalide : méthode ${method} manquante.`);
+  }
+  storage = custom;
+}
+
+module.exports = {
+  localDiskStorage,
+  getStorage,
+  setStorage
+};
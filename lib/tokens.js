@@ -0,0 +1,87 @@
+// 🔑 Jetons d'accès (JWT)
+// Jetons courts (ACCESS_TOKEN_TTL_SECONDS, 15 min par défaut) rattachés à une Session (`sid`),
+// renouvelés via /auth/refresh. Chaque jeton porte aussi la version de jetons de l'utilisateur (`tv`) :
+// incrémenter User.tokenVersion (changement ou réinitialisation du mot de passe) invalide tous les jetons émis.
+const jwt = require('jsonwebtoken');
+const { ACCOUNT_STATUS_SELECT, accountBlock, sendAccountBlocked } = require('./accounts');
+
+const DEV_SECRET = 'secret_key_dev';
+
+// En production, pas de secret par défaut : le serveur refuse de démarrer
+function resolveSecret() {
+  if (process.env.JWT_SECRET) return process.env.JWT_SECRET;
+  if (process.env.NODE_ENV === 'production') {
+    throw new Error('JWT_SECRET doit être défini en production.');
+  }
+  return DEV_SECRET;
+}
+
+const JWT_SECRET = resolveSecret();
+const ACCESS_TOKEN_TTL_SECONDS = Number(process.env.ACCESS_TOKEN_TTL_SECONDS || 15 * 60);
+
+function signAccessToken(user, sessionId) {
+  return jwt.sign(
+    { userId: user.id, tv: user.tokenVersion || 0, sid: sessionId },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL_SECONDS }
+  );
+}
+
+const TOKEN_USER_SELECT = { tokenVersion: true, ...ACCOUNT_STATUS_SELECT };
+
+// Le jeton est-il toujours valable côté serveur ? (utilisateur, version, session non révoquée)
+// Renvoie l'utilisateur (version et état du compte) ou null
+async function currentTokenUser(db, decoded) {
+  if (decoded.sid) {
+    const session = await db.session.findUnique({
+      where: { id: decoded.sid },
+      select: { userId: true, revokedAt: true, user: { select: TOKEN_USER_SELECT } }
+    });
+    const current = !!session && !session.revokedAt && session.userId === decoded.userId
+      && session.user.tokenVersion === (decoded.tv || 0);
+    return current ? session.user : null;
+  }
+  // Jetons émis avant les sessions : seule la version compte (`tv` absent vaut 0)
+  const user = await db.user.findUnique({ where: { id: decoded.userId }, select: TOKEN_USER_SELECT });
+  return user && user.tokenVersion === (decoded.tv || 0) ? user : null;
+}
+
+// Middleware d'authentification : `const authenticateToken = authenticate(prisma);`
+function authenticate(db) {
+  return async (req, res, next) => {
+    const authHeader = req.headers['authorization'];
+    const token = authHeader && authHeader.split(' ')[1];
+    if (!token) return res.status(401).json({ error: 'Token manquant.' });
+
+    let decoded;
+    try {
+      decoded = jwt.verify(token, JWT_SECRET);
+    } catch (err) {
+      // Jeton expiré : le client doit passer par /auth/refresh
+      if (err.name === 'TokenExpiredError') return res.status(401).json({ error: 'Token expiré.' });
+      return res.status(403).json({ error: 'Token invalide.' });
+    }
+    // Les autres JWT de l'API (ex. jeton de vérification OTP) ne sont pas des jetons d'accès
+    if (!decoded.userId) return res.status(403).json({ error: 'Token invalide.' });
+
+    try {
+      const user = await currentTokenUser(db, decoded);
+      if (!user) return res.status(401).json({ error: 'Session expirée. Veuillez vous reconnecter.' });
+      const block = accountBlock(user);
+      if (block) return sendAccountBlocked(res, block);
+    } catch (err) {
+      console.error('Erreur authentification :', err);
+      return res.status(500).json({ error: 'Erreur serveur.' });
+    }
+
+    req.user = decoded; // { userId, tv, sid }
+    next();
+  };
+}
+
+module.exports = {
+  JWT_SECRET,
+  ACCESS_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  authenticate
+};
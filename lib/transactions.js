@@ -0,0 +1,49 @@
+// 🔒 Transactions sérialisables : vérification + écriture dans la même transaction SERIALIZABLE
+// (calendrier des réservations, galerie photo, renouvellement des baux…). Pour les réservations,
+// la contrainte d'exclusion "Booking_no_overlap" (voir migration) refuse en dernier rempart tout chevauchement.
+const { Prisma } = require('@prisma/client');
+
+const MAX_ATTEMPTS = 3;
+
+// Échec de sérialisation / deadlock : la transaction peut être rejouée
+function isSerializationFailure(err) {
+  return err && err.code === 'P2034';
+}
+
+// Violation d'une contrainte d'exclusion (Postgres 23P01), ex. les dates d'une réservation
+function isExclusionViolation(err) {
+  const message = (err && err.message) || '';
+  return message.includes('Booking_no_overlap') || message.includes('23P01');
+}
+
+// Exécute `fn(tx)` en SERIALIZABLE, rejoue en cas de conflit de sérialisation.
+// Lève une erreur 'SERIALIZATION_CONFLICT' si le conflit persiste ou si une contrainte d'exclusion saute :
+// à chaque appelant de la traduire pour son domaine (créneau pris, galerie modifiée…).
+async function runSerializable(prisma, fn) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await prisma.$transaction(fn, {
+        isolationLevel: Prisma.TransactionIsolationLevel.Serializable
+      });
+    } catch (err) {
+      if (isExclusionViolation(err)) throw new Error('SERIALIZATION_CONFLICT');
+      if (isSerializationFailure(err)) {
+        if (attempt < MAX_ATTEMPTS) continue;
+        throw new Error('SERIALIZATION_CONFLICT');
+      }
+      throw err;
+    }
+  }
+}
+
+// Verrouille la réservation jusqu'à la fin de la transaction (SELECT … FOR UPDATE) : les écritures
+// concurrentes sur une même réservation (transition, litige, paiement) passent l'une après l'autre,
+// et chacune relit un état à jour après avoir obtenu le verrou.
+async function lockBooking(tx, bookingId) {
+  await tx.$queryRaw`SELECT "id" FROM "public"."Booking" WHERE "id" = ${bookingId} FOR UPDATE`;
+}
+
+module.exports = {
+  runSerializable,
+  lockBooking
+};
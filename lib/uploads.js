@@ -0,0 +1,220 @@
+// 📤 Fichiers envoyés (photos de biens, pièces KYC)
+// - type réel détecté sur les premiers octets (le Content-Type du client n'est pas cru)
+// - photos de biens : réorientées, débarrassées des métadonnées (EXIF, GPS), limitées à
+//   IMAGE_MAX_DIMENSION px et converties en WebP, avec une miniature THUMBNAIL_WIDTH × THUMBNAIL_HEIGHT
+// - pièces KYC : conservées telles quelles (valeur probante), privées
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const { UploadKind } = require('@prisma/client');
+const { enumValues } = require('./validation');
+const { getStorage } = require('./storage');
+
+const UPLOAD_KINDS = enumValues(UploadKind);
+const MB = 1024 * 1024;
+const IMAGE_MAX_DIMENSION = 2048;
+const THUMBNAIL_WIDTH = 480;
+const THUMBNAIL_HEIGHT = 320;
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const EXTENSIONS = {
+  'image/jpeg': 'jpg',
+  'image/png': 'png',
+  'image/webp': 'webp',
+  'application/pdf': 'pdf'
+};
+
+// Règles par usage ; tailles maximales surchargeables (UPLOAD_MAX_IMAGE_MB, UPLOAD_MAX_DOCUMENT_MB)
+const KIND_RULES = {
+  property_image: {
+    types: IMAGE_TYPES,
+    maxBytes: Number(process.env.UPLOAD_MAX_IMAGE_MB || 10) * MB,
+    maxFiles: 10,
+    private: false
+  },
+  kyc_document: {
+    types: [...IMAGE_TYPES, 'application/pdf'],
+    maxBytes: Number(process.env.UPLOAD_MAX_DOCUMENT_MB || 10) * MB,
+    maxFiles: 5,
+    private: true
+  }
+};
+
+// Signature binaire → type MIME (null si non reconnu)
+function sniffType(buffer) {
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) return 'image/jpeg';
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) return 'image/png';
+  if (buffer.length >= 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.length >= 5 && buffer.toString('ascii', 0, 5) === '%PDF-') return 'application/pdf';
+  return null;
+}
+
+function uploadError(code) {
+  return new Error(code);
+}
+
+// Photo de bien : { original, thumbnail, width, height }, tout en WebP
+async function processPropertyImage(buffer) {
+  try {
+    const original = await sharp(buffer)
+      .rotate()
+      .resize({ width: IMAGE_MAX_DIMENSION, height: IMAGE_MAX_DIMENSION, fit: 'inside', withoutEnlargement: true })
+      .webp({ quality: 82 })
+      .toBuffer({ resolveWithObject: true });
+    const thumbnail = await sharp(buffer)
+      .rotate()
+      .resize({ width: THUMBNAIL_WIDTH, height: THUMBNAIL_HEIGHT, fit: 'cover' })
+      .webp({ quality: 75 })
+      .toBuffer();
+    return { original: original.data, thumbnail, width: original.info.width, height: original.info.height };
+  } catch {
+    throw uploadError('UPLOAD_INVALID_IMAGE');
+  }
+}
+
+// Image KYC : contenu inchangé, mais doit être décodable
+async function imageSize(buffer) {
+  try {
+    const { width, height } = await sharp(buffer).metadata();
+    return { width, height };
+  } catch {
+    throw uploadError('UPLOAD_INVALID_IMAGE');
+  }
+}
+
+// Valide, transforme et stocke un fichier reçu par multer ; renvoie la ligne Upload créée
+async function storeUpload(db, ownerId, kind, file) {
+  const rules = KIND_RULES[kind];
+  const detected = sniffType(file.buffer);
+  if (!detected || !rules.types.includes(detected)) throw uploadError('UPLOAD_TYPE_NOT_ALLOWED');
+  if (file.buffer.length > rules.maxBytes) throw uploadError('UPLOAD_TOO_LARGE');
+
+  const id = crypto.randomUUID();
+  const storage = getStorage();
+  const stored = { mimeType: detected, width: null, height: null, thumbnailKey: null };
+  let content = file.buffer;
+  let thumbnail = null;
+
+  if (kind === 'property_image') {
+    const processed = await processPropertyImage(file.buffer);
+    content = processed.original;
+    thumbnail = processed.thumbnail;
+    Object.assign(stored, { mimeType: 'image/webp', width: processed.width, height: processed.height });
+  } else if (IMAGE_TYPES.includes(detected)) {
+    Object.assign(stored, await imageSize(file.buffer));
+  }
+
+  const storageKey = `${kind}/${id}/original.${EXTENSIONS[stored.mimeType]}`;
+  await storage.put(storageKey, content, { contentType: stored.mimeType });
+  if (thumbnail) {
+    stored.thumbnailKey = `${kind}/${id}/thumbnail.webp`;
+    await storage.put(stored.thumbnailKey, thumbnail, { contentType: 'image/webp' });
+  }
+
+  try {
+    return await db.upload.create({
+      data: {
+        id,
+        ownerId,
+        kind,
+        storageKey,
+        thumbnailKey: stored.thumbnailKey,
+        mimeType: stored.mimeType,
+        size: content.length,
+        originalName: file.originalname ? String(file.originalname).slice(0, 255) : null,
+        width: stored.width,
+        height: stored.height
+      }
+    });
+  } catch (err) {
+    await removeFiles(stored.thumbnailKey ? [storageKey, stored.thumbnailKey] : [storageKey]);
+    throw err;
+  }
+}
+
+async function removeFiles(keys) {
+  const storage = getStorage();
+  for (const key of keys) {
+    try {
+      await storage.remove(key);
+    } catch (err) {
+      console.error('Erreur suppression fichier :', key, err);
+    }
+  }
+}
+
+// Supprime la ligne puis les fichiers (un fichier orphelin vaut mieux qu'une ligne sans fichier)
+async function deleteUpload(db, upload) {
+  await db.upload.delete({ where: { id: upload.id } });
+  await removeFiles([upload.storageKey, upload.thumbnailKey].filter(Boolean));
+}
+
+// Chemins servis par l'API ; ce sont eux que l'on enregistre dans PropertyImage.url / KycVerification.documentUrls
+function uploadUrl(uploadId) {
+  return `/uploads/${uploadId}`;
+}
+
+function publicUpload(upload) {
+  return {
+    id: upload.id,
+    kind: upload.kind,
+    mimeType: upload.mimeType,
+    size: upload.size,
+    originalName: upload.originalName,
+    width: upload.width,
+    height: upload.height,
+    url: uploadUrl(upload.id),
+    thumbnailUrl: upload.thumbnailKey ? `${uploadUrl(upload.id)}/thumbnail` : null,
+    createdAt: upload.createdAt
+  };
+}
+
+// Middleware multer (mémoire) pour un usage donné : champ multipart `files`
+function receiveFiles(kind) {
+  const rules = KIND_RULES[kind];
+  const handler = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: rules.maxBytes, files: rules.maxFiles }
+  }).array('files', rules.maxFiles);
+
+  return (req, res, next) => {
+    handler(req, res, err => {
+      if (err) {
+        if (!sendUploadError(res, err, kind)) next(err);
+        return;
+      }
+      if (!req.files || req.files.length === 0) return res.status(400).json({ error: 'Aucun fichier reçu (champ multipart « files »).' });
+      next();
+    });
+  };
+}
+
+function sendUploadError(res, err, kind = null) {
+  const rules = kind ? KIND_RULES[kind] : null;
+  const maxMb = rules ? Math.round(rules.maxBytes / MB) : null;
+  if (err.code === 'LIMIT_FILE_SIZE' || err.message === 'UPLOAD_TOO_LARGE') {
+    res.status(413).json({ error: maxMb ? `Fichier trop volumineux (${maxMb} Mo maximum).` : 'Fichier trop volumineux.' }); return true;
+  }
+  if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+    res.status(400).json({ error: rules ? `Au plus ${rules.maxFiles} fichier(s), dans le champ « files ».` : 'Fichiers invalides.' }); return true;
+  }
+  if (err.name === 'MulterError') { res.status(400).json({ error: 'Requête multipart invalide.' }); return true; }
+  if (err.message === 'UPLOAD_TYPE_NOT_ALLOWED') {
+    const types = rules ? rules.types.map(t => EXTENSIONS[t].toUpperCase()).join(', ') : null;
+    res.status(415).json({ error: types ? `Type de fichier non accepté (${types}).` : 'Type de fichier non accepté.' }); return true;
+  }
+  if (err.message === 'UPLOAD_INVALID_IMAGE') { res.status(400).json({ error: 'Image illisible ou corrompue.' }); return true; }
+  return false;
+}
+
+module.exports = {
+  UPLOAD_KINDS,
+  KIND_RULES,
+  sniffType,
+  storeUpload,
+  deleteUpload,
+  uploadUrl,
+  publicUpload,
+  receiveFiles,
+  sendUploadError
+};
@@ -0,0 +1,138 @@
+// ✅ Validation des corps de requête
+// Chaque route déclare un schéma { champ: règle } ; le middleware `validateBody` :
+// - refuse les champs non déclarés (liste blanche par route),
+// - vérifie types, énumérations, bornes et formats,
+// - répond 400 avec la liste des erreurs par champ,
+// - remplace req.body par les seuls champs validés (dates converties en Date, téléphones en E.164).
+//
+// Règle : { type, required, nullable, min, max, minLength, maxLength, values, items, pattern, trim }
+// type ∈ string | integer | number | boolean | enum | date | uuid | url | phone | array
+const { normalizePhone } = require('./phone');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+// URL absolue http(s) ou chemin servi par l'API (ex. /uploads/…)
+const URL_RE = /^(https?:\/\/[^\s]+|\/[^\s]*)$/i;
+
+// Valeurs d'un enum Prisma ({ a: 'a', b: 'b' } → ['a', 'b'])
+function enumValues(prismaEnum) {
+  return Object.values(prismaEnum);
+}
+
+function checkValue(rule, value, field, errors) {
+  const fail = (message) => { errors.push({ field, message }); return undefined; };
+
+  switch (rule.type) {
+    case 'string':
+    case 'uuid':
+    case 'url': {
+      if (typeof value !== 'string') return fail('Doit être une chaîne de caractères.');
+      const v = rule.trim === false ? value : value.trim();
+      if (rule.type === 'uuid' && !UUID_RE.test(v)) return fail('Identifiant invalide.');
+      if (rule.type === 'url' && !URL_RE.test(v)) return fail('URL invalide.');
+      if (rule.minLength !== undefined && v.length < rule.minLength) return fail(`Au moins ${rule.minLength} caractère(s).`);
+      if (rule.maxLength !== undefined && v.length > rule.maxLength) return fail(`Au plus ${rule.maxLength} caractère(s).`);
+      if (rule.pattern && !rule.pattern.test(v)) return fail(rule.patternMessage || 'Format invalide.');
+      return v;
+    }
+    case 'phone': {
+      const v = normalizePhone(value);
+      if (!v) return fail('Numéro de téléphone invalide.');
+      return v;
+    }
+    case 'integer':
+    case 'number': {
+      if (typeof value !== 'number' || !Number.isFinite(value)) return fail('Doit être un nombre.');
+      if (rule.type === 'integer' && !Number.isInteger(value)) return fail('Doit être un entier.');
+      if (rule.min !== undefined && value < rule.min) return fail(`Doit être ≥ ${rule.min}.`);
+      if (rule.max !== undefined && value > rule.max) return fail(`Doit être ≤ ${rule.max}.`);
+      return value;
+    }
+    case 'boolean':
+      if (typeof value !== 'boolean') return fail('Doit être un booléen.');
+      return value;
+    case 'enum':
+      if (!rule.values.includes(value)) return fail(`Valeur attendue : ${rule.values.join(', ')}.`);
+      return value;
+    case 'date': {
+      const d = new Date(value);
+      if ((typeof value !== 'string' && typeof value !== 'number') || isNaN(d)) return fail('Date invalide (format ISO attendu).');
+      return d;
+    }
+    case 'array': {
+      if (!Array.isArray(value)) return fail('Doit être une liste.');
+      if (rule.minLength !== undefined && value.length < rule.minLength) return fail(`Au moins ${rule.minLength} élément(s).`);
+      if (rule.maxLength !== undefined && value.length > rule.maxLength) return fail(`Au plus ${rule.maxLength} élément(s).`);
+      if (!rule.items) return value;
+      const before = errors.length;
+      const out = value.map((item, i) => checkValue(rule.items, item, `${field}[${i}]`, errors));
+      return errors.length === before ? out : undefined;
+    }
+    default:
+      throw new Error(`Type de règle inconnu : ${rule.type}`);
+  }
+}
+
+// Valide un objet contre un schéma ; renvoie { value, errors }
+// `check(value)` optionnel : contrôles croisés entre champs, renvoie une liste d'erreurs
+function validate(schema, body, { check } = {}) {
+  const errors = [];
+  const input = (body && typeof body === 'object' && !Array.isArray(body)) ? body : {};
+  const value = {};
+
+  Object.keys(input).forEach(field => {
+    if (!schema[field]) errors.push({ field, message: 'Champ non autorisé.' });
+  });
+
+  Object.entries(schema).forEach(([field, rule]) => {
+    const raw = input[field];
+    if (raw === undefined) {
+      if (rule.required) errors.push({ field, message: 'Champ requis.' });
+      return;
+    }
+    if (raw === null) {
+      if (rule.nullable) value[field] = null;
+      else errors.push({ field, message: rule.required ? 'Champ requis.' : 'Ne peut pas être null.' });
+      return;
+    }
+    const v = checkValue(rule, raw, field, errors);
+    if (v !== undefined) value[field] = v;
+  });
+
+  if (errors.length === 0 && check) errors.push(...check(value));
+
+  return { value, errors };
+}
+
+// Copie d'un schéma où certains champs deviennent obligatoires (ex. création vs modification)
+function requireFields(schema, fields) {
+  const out = { ...schema };
+  fields.forEach(f => { out[f] = { ...schema[f], required: true }; });
+  return out;
+}
+
+// Contrôle croisé : au moins un champ fourni (PATCH)
+function atLeastOneField(value) {
+  return Object.keys(value).length === 0
+    ? [{ field: null, message: 'Aucun champ à mettre à jour.' }]
+    : [];
+}
+
+// Middleware Express
+function validateBody(schema, options = {}) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body, options);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Données invalides.', details: errors });
+    }
+    req.body = value;
+    next();
+  };
+}
+
+module.exports = {
+  enumValues,
+  requireFields,
+  atLeastOneField,
+  validate,
+  validateBody
+};
@@ -0,0 +1,2 @@
+-- CreateIndex
+CREATE UNIQUE INDEX "Review_bookingId_reviewType_key" ON "public"."Review"("bookingId", "reviewType");
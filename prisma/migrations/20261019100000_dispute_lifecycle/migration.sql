@@ -0,0 +1,18 @@
+-- CreateEnum
+CREATE TYPE "public"."DisputeStatus" AS ENUM ('open', 'under_review', 'resolved', 'rejected');
+
+-- AlterTable
+ALTER TABLE "public"."Dispute" ALTER COLUMN "status" DROP DEFAULT;
+ALTER TABLE "public"."Dispute" ALTER COLUMN "status" TYPE "public"."DisputeStatus" USING ("status"::"public"."DisputeStatus");
+ALTER TABLE "public"."Dispute" ALTER COLUMN "status" SET DEFAULT 'open';
+ALTER TABLE "public"."Dispute" ADD COLUMN     "evidenceUrls" TEXT[],
+ADD COLUMN     "resolvedById" TEXT;
+
+-- AlterTable
+ALTER TABLE "public"."Message" ADD COLUMN     "disputeId" TEXT;
+
+-- AddForeignKey
+ALTER TABLE "public"."Message" ADD CONSTRAINT "Message_disputeId_fkey" FOREIGN KEY ("disputeId") REFERENCES "public"."Dispute"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Dispute" ADD CONSTRAINT "Dispute_resolvedById_fkey" FOREIGN KEY ("resolvedById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
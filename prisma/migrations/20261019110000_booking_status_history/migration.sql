@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "public"."BookingStatusHistory" (
+    "id" TEXT NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "fromStatus" "public"."BookingStatus",
+    "toStatus" "public"."BookingStatus" NOT NULL,
+    "actorId" TEXT,
+    "note" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "BookingStatusHistory_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "BookingStatusHistory_bookingId_idx" ON "public"."BookingStatusHistory"("bookingId");
+
+-- AddForeignKey
+ALTER TABLE "public"."BookingStatusHistory" ADD CONSTRAINT "BookingStatusHistory_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "public"."Booking"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."BookingStatusHistory" ADD CONSTRAINT "BookingStatusHistory_actorId_fkey" FOREIGN KEY ("actorId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Backfill : statut courant des réservations existantes (acteur inconnu)
+INSERT INTO "public"."BookingStatusHistory" ("id", "bookingId", "fromStatus", "toStatus", "actorId", "note", "createdAt")
+SELECT gen_random_uuid()::text, "id", NULL, "status", NULL, 'Statut existant avant l’historisation', "updatedAt"
+FROM "public"."Booking";
@@ -0,0 +1,12 @@
+-- CreateEnum
+CREATE TYPE "public"."CancellationPolicy" AS ENUM ('flexible', 'moderate', 'strict');
+
+-- AlterTable
+ALTER TABLE "public"."Property" ADD COLUMN     "cancellationPolicy" "public"."CancellationPolicy" NOT NULL DEFAULT 'flexible',
+ADD COLUMN     "cancellationFullRefundDays" INTEGER,
+ADD COLUMN     "cancellationPartialRefundDays" INTEGER,
+ADD COLUMN     "cancellationPartialRefundPercent" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "refundAmount" DOUBLE PRECISION,
+ADD COLUMN     "cancelledAt" TIMESTAMP(3);
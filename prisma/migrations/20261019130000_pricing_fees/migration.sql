@@ -0,0 +1,8 @@
+-- AlterTable
+ALTER TABLE "public"."Property" ADD COLUMN     "cleaningFee" DOUBLE PRECISION,
+ADD COLUMN     "weeklyDiscountPercent" INTEGER,
+ADD COLUMN     "monthlyDiscountPercent" INTEGER,
+ADD COLUMN     "taxPercent" DOUBLE PRECISION;
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "priceBreakdown" JSONB;
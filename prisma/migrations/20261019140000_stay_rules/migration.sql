@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "public"."Property" ADD COLUMN     "minNights" INTEGER,
+ADD COLUMN     "maxNights" INTEGER,
+ADD COLUMN     "checkInDays" INTEGER[];
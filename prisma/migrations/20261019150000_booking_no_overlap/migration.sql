@@ -0,0 +1,13 @@
+-- Protection anti-chevauchement au niveau de la base :
+-- deux réservations actives (pending / confirmed) d'un même bien ne peuvent pas se recouvrir.
+-- Non représentable dans schema.prisma : contrainte gérée uniquement par cette migration.
+-- ⚠️ Échoue si des chevauchements existent déjà : les annuler avant de déployer.
+
+-- CreateExtension
+CREATE EXTENSION IF NOT EXISTS btree_gist;
+
+-- AddConstraint
+ALTER TABLE "public"."Booking" ADD CONSTRAINT "Booking_no_overlap" EXCLUDE USING gist (
+    "propertyId" WITH =,
+    tsrange("checkInDate", "checkOutDate", '[)') WITH &&
+) WHERE ("status" IN ('pending', 'confirmed'));
@@ -0,0 +1,5 @@
+-- CreateIndex
+CREATE INDEX "Property_active_city_idx" ON "public"."Property"("active", "city");
+
+-- CreateIndex
+CREATE INDEX "Property_latitude_longitude_idx" ON "public"."Property"("latitude", "longitude");
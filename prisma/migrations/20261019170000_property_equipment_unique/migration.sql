@@ -0,0 +1,9 @@
+-- Dédoublonnage avant la contrainte unique (on garde la ligne la plus ancienne)
+DELETE FROM "public"."PropertyEquipment" a
+USING "public"."PropertyEquipment" b
+WHERE a."propertyId" = b."propertyId"
+  AND a."name" = b."name"
+  AND (a."createdAt", a."id") > (b."createdAt", b."id");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PropertyEquipment_propertyId_name_key" ON "public"."PropertyEquipment"("propertyId", "name");
@@ -0,0 +1,62 @@
+-- CreateEnum
+CREATE TYPE "public"."PhoneVerificationPurpose" AS ENUM ('registration', 'login');
+
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "phoneVerifiedAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."PhoneVerification" (
+    "id" TEXT NOT NULL,
+    "phoneNumber" TEXT NOT NULL,
+    "purpose" "public"."PhoneVerificationPurpose" NOT NULL,
+    "codeHash" TEXT NOT NULL,
+    "attempts" INTEGER NOT NULL DEFAULT 0,
+    "expiresAt" TIMESTAMP(3) NOT NULL,
+    "consumedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PhoneVerification_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "PhoneVerification_phoneNumber_purpose_createdAt_idx" ON "public"."PhoneVerification"("phoneNumber", "purpose", "createdAt");
+
+-- Backfill : numéros existants → E.164, mêmes règles que lib/phone.js avec DEFAULT_COUNTRY_CODE=242 :
+-- séparateurs retirés, « 00 » initial → « + », « 242XXXXXXXXX » → +242…, numéro national à 9 chiffres → +242…
+-- Hypothèse : les comptes existants sont congolais (Brazzaville). Une SQL de migration ne lit pas l'environnement :
+-- un déploiement configuré avec un autre DEFAULT_COUNTRY_CODE (ex. 243) doit adapter ce backfill avant de l'appliquer,
+-- faute de quoi les numéros nationaux recevraient +242 alors que l'application leur donne un autre indicatif.
+CREATE TEMP TABLE "_PhoneBackfill" AS
+SELECT "id",
+  CASE
+    WHEN "raw" ~ '^\+[1-9][0-9]{7,14}$' THEN "raw"
+    WHEN "raw" ~ '^242[0-9]{9}$' THEN '+' || "raw"
+    WHEN "raw" ~ '^[0-9]{9}$' THEN '+242' || "raw"
+  END AS "normalized"
+FROM (
+  SELECT "id", regexp_replace(regexp_replace("phoneNumber", '[\s.()-]', '', 'g'), '^00', '+') AS "raw"
+  FROM "public"."User"
+) u;
+
+-- Numéro inconvertible ou partagé une fois normalisé : la migration échoue, à corriger à la main
+DO $$
+DECLARE
+  invalid_count INTEGER;
+  shared_count INTEGER;
+BEGIN
+  SELECT count(*) INTO invalid_count FROM "_PhoneBackfill" WHERE "normalized" IS NULL;
+  SELECT count(*) INTO shared_count FROM (
+    SELECT "normalized" FROM "_PhoneBackfill" WHERE "normalized" IS NOT NULL
+    GROUP BY "normalized" HAVING count(*) > 1
+  ) d;
+  IF invalid_count > 0 OR shared_count > 0 THEN
+    RAISE EXCEPTION 'Normalisation des numéros impossible : % numéro(s) invalide(s), % numéro(s) partagé(s) par plusieurs comptes', invalid_count, shared_count;
+  END IF;
+END $$;
+
+UPDATE "public"."User" u
+SET "phoneNumber" = b."normalized"
+FROM "_PhoneBackfill" b
+WHERE u."id" = b."id" AND u."phoneNumber" <> b."normalized";
+
+DROP TABLE "_PhoneBackfill";
@@ -0,0 +1,6 @@
+-- AlterEnum
+ALTER TYPE "public"."PhoneVerificationPurpose" ADD VALUE 'password_reset';
+
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "passwordChangedAt" TIMESTAMP(3),
+ADD COLUMN     "tokenVersion" INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,6 @@
+-- CreateEnum
+CREATE TYPE "public"."SupervisorPermission" AS ENUM ('manage_calendar', 'change_booking_status', 'message_guests');
+
+-- AlterTable
+-- Les supervisions existantes conservent tous les droits dont elles disposaient jusqu'ici
+ALTER TABLE "public"."Supervision" ADD COLUMN     "permissions" "public"."SupervisorPermission"[] DEFAULT ARRAY['manage_calendar', 'change_booking_status', 'message_guests']::"public"."SupervisorPermission"[];
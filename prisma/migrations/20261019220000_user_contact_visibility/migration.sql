@@ -0,0 +1,6 @@
+-- CreateEnum
+CREATE TYPE "public"."ContactVisibility" AS ENUM ('never', 'after_confirmation');
+
+-- AlterTable
+-- Aucun numéro n'était montré jusqu'ici : les hôtes existants doivent l'activer eux-mêmes
+ALTER TABLE "public"."User" ADD COLUMN     "contactVisibility" "public"."ContactVisibility" NOT NULL DEFAULT 'never';
@@ -0,0 +1,16 @@
+-- CreateEnum
+CREATE TYPE "public"."AccountStatus" AS ENUM ('active', 'suspended', 'banned');
+
+-- AlterTable
+ALTER TABLE "public"."User" ADD COLUMN     "currentRole" "public"."UserRole",
+ADD COLUMN     "status" "public"."AccountStatus" NOT NULL DEFAULT 'active',
+ADD COLUMN     "statusReason" TEXT,
+ADD COLUMN     "suspendedUntil" TIMESTAMP(3),
+ADD COLUMN     "statusChangedAt" TIMESTAMP(3),
+ADD COLUMN     "statusChangedById" TEXT;
+
+-- CreateIndex
+CREATE INDEX "User_status_idx" ON "public"."User"("status");
+
+-- AddForeignKey
+ALTER TABLE "public"."User" ADD CONSTRAINT "User_statusChangedById_fkey" FOREIGN KEY ("statusChangedById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
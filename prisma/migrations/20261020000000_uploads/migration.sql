@@ -0,0 +1,25 @@
+-- CreateEnum
+CREATE TYPE "public"."UploadKind" AS ENUM ('property_image', 'kyc_document');
+
+-- CreateTable
+CREATE TABLE "public"."Upload" (
+    "id" TEXT NOT NULL,
+    "ownerId" TEXT NOT NULL,
+    "kind" "public"."UploadKind" NOT NULL,
+    "storageKey" TEXT NOT NULL,
+    "thumbnailKey" TEXT,
+    "mimeType" TEXT NOT NULL,
+    "size" INTEGER NOT NULL,
+    "originalName" TEXT,
+    "width" INTEGER,
+    "height" INTEGER,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "Upload_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Upload_ownerId_kind_idx" ON "public"."Upload"("ownerId", "kind");
+
+-- AddForeignKey
+ALTER TABLE "public"."Upload" ADD CONSTRAINT "Upload_ownerId_fkey" FOREIGN KEY ("ownerId") REFERENCES "public"."User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
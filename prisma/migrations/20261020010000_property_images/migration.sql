@@ -0,0 +1,56 @@
+-- CreateEnum
+CREATE TYPE "public"."RoomTag" AS ENUM ('living_room', 'bedroom', 'kitchen', 'bathroom', 'dining_room', 'workspace', 'exterior', 'view', 'pool', 'other');
+
+-- CreateTable
+CREATE TABLE "public"."PropertyImage" (
+    "id" TEXT NOT NULL,
+    "propertyId" TEXT NOT NULL,
+    "uploadId" TEXT,
+    "url" TEXT NOT NULL,
+    "thumbnailUrl" TEXT,
+    "caption" TEXT,
+    "room" "public"."RoomTag",
+    "position" INTEGER NOT NULL,
+    "isCover" BOOLEAN NOT NULL DEFAULT false,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "PropertyImage_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PropertyImage_propertyId_uploadId_key" ON "public"."PropertyImage"("propertyId", "uploadId");
+
+-- CreateIndex
+CREATE INDEX "PropertyImage_propertyId_position_idx" ON "public"."PropertyImage"("propertyId", "position");
+
+-- CreateIndex
+-- Une seule photo de couverture par bien (index partiel, non exprimable dans schema.prisma)
+CREATE UNIQUE INDEX "PropertyImage_propertyId_cover_key" ON "public"."PropertyImage"("propertyId") WHERE "isCover";
+
+-- AddForeignKey
+ALTER TABLE "public"."PropertyImage" ADD CONSTRAINT "PropertyImage_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "public"."Property"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."PropertyImage" ADD CONSTRAINT "PropertyImage_uploadId_fkey" FOREIGN KEY ("uploadId") REFERENCES "public"."Upload"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- Reprise de Property.images : ordre conservé, doublons retirés, première photo en couverture,
+-- rattachement à l'Upload quand l'URL est un chemin /uploads/:id
+INSERT INTO "public"."PropertyImage" ("id", "propertyId", "uploadId", "url", "thumbnailUrl", "position", "isCover")
+SELECT
+    gen_random_uuid()::text,
+    img."propertyId",
+    u."id",
+    img."url",
+    CASE WHEN u."thumbnailKey" IS NOT NULL THEN img."url" || '/thumbnail' END,
+    (row_number() OVER (PARTITION BY img."propertyId" ORDER BY img."ord")) - 1,
+    row_number() OVER (PARTITION BY img."propertyId" ORDER BY img."ord") = 1
+FROM (
+    SELECT DISTINCT ON (p."id", i."url") p."id" AS "propertyId", i."url", i."ord"
+    FROM "public"."Property" p
+    CROSS JOIN LATERAL unnest(p."images") WITH ORDINALITY AS i("url", "ord")
+    ORDER BY p."id", i."url", i."ord"
+) img
+LEFT JOIN "public"."Upload" u ON u."kind" = 'property_image' AND img."url" = '/uploads/' || u."id";
+
+-- AlterTable
+ALTER TABLE "public"."Property" DROP COLUMN "images";
@@ -0,0 +1,29 @@
+-- CreateEnum
+CREATE TYPE "public"."NotificationEvent" AS ENUM ('booking_received', 'booking_confirmed', 'booking_cancelled', 'kyc_approved', 'kyc_rejected', 'supervisor_assigned');
+
+-- AlterTable
+ALTER TABLE "public"."Notification" ADD COLUMN     "event" "public"."NotificationEvent",
+ADD COLUMN     "title" TEXT,
+ADD COLUMN     "data" JSONB,
+ADD COLUMN     "smsSentAt" TIMESTAMP(3),
+ADD COLUMN     "readAt" TIMESTAMP(3);
+
+-- CreateTable
+CREATE TABLE "public"."NotificationPreference" (
+    "id" TEXT NOT NULL,
+    "userId" TEXT NOT NULL,
+    "event" "public"."NotificationEvent" NOT NULL,
+    "inApp" BOOLEAN NOT NULL,
+    "sms" BOOLEAN NOT NULL,
+
+    CONSTRAINT "NotificationPreference_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Notification_userId_read_sentAt_idx" ON "public"."Notification"("userId", "read", "sentAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "NotificationPreference_userId_event_key" ON "public"."NotificationPreference"("userId", "event");
+
+-- AddForeignKey
+ALTER TABLE "public"."NotificationPreference" ADD CONSTRAINT "NotificationPreference_userId_fkey" FOREIGN KEY ("userId") REFERENCES "public"."User"("id") ON DELETE CASCADE ON UPDATE CASCADE;
@@ -0,0 +1,48 @@
+-- CreateEnum
+CREATE TYPE "public"."JobRunStatus" AS ENUM ('running', 'succeeded', 'failed');
+
+-- AlterEnum
+ALTER TYPE "public"."NotificationEvent" ADD VALUE 'booking_expired';
+ALTER TYPE "public"."NotificationEvent" ADD VALUE 'checkin_reminder';
+ALTER TYPE "public"."NotificationEvent" ADD VALUE 'checkout_reminder';
+ALTER TYPE "public"."NotificationEvent" ADD VALUE 'review_prompt';
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "responseDeadline" TIMESTAMP(3),
+ADD COLUMN     "checkInReminderSentAt" TIMESTAMP(3),
+ADD COLUMN     "checkOutReminderSentAt" TIMESTAMP(3),
+ADD COLUMN     "reviewPromptSentAt" TIMESTAMP(3);
+
+-- Demandes en attente existantes : 24 h à partir de la création, sans dépasser la date d'arrivée
+UPDATE "public"."Booking"
+SET "responseDeadline" = LEAST("createdAt" + INTERVAL '24 hours', "checkInDate")
+WHERE "status" = 'pending';
+
+-- Séjours déjà passés : pas de rappel ni d'invitation à laisser un avis au premier passage des jobs
+UPDATE "public"."Booking"
+SET "checkInReminderSentAt" = CURRENT_TIMESTAMP, "checkOutReminderSentAt" = CURRENT_TIMESTAMP, "reviewPromptSentAt" = CURRENT_TIMESTAMP
+WHERE "checkOutDate" <= CURRENT_TIMESTAMP;
+
+-- CreateTable
+CREATE TABLE "public"."JobRun" (
+    "id" TEXT NOT NULL,
+    "job" TEXT NOT NULL,
+    "trigger" TEXT NOT NULL,
+    "status" "public"."JobRunStatus" NOT NULL DEFAULT 'running',
+    "startedAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" TIMESTAMP(3),
+    "processed" INTEGER NOT NULL DEFAULT 0,
+    "details" JSONB,
+    "error" TEXT,
+
+    CONSTRAINT "JobRun_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Booking_status_responseDeadline_idx" ON "public"."Booking"("status", "responseDeadline");
+
+-- CreateIndex
+CREATE INDEX "Booking_status_checkOutDate_idx" ON "public"."Booking"("status", "checkOutDate");
+
+-- CreateIndex
+CREATE INDEX "JobRun_job_startedAt_idx" ON "public"."JobRun"("job", "startedAt");
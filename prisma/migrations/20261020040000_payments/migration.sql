@@ -0,0 +1,97 @@
+-- CreateEnum
+CREATE TYPE "public"."PaymentStatus" AS ENUM ('pending', 'succeeded', 'failed');
+
+-- CreateEnum
+CREATE TYPE "public"."PaymentPurpose" AS ENUM ('deposit', 'balance');
+
+-- CreateEnum
+CREATE TYPE "public"."LedgerEntryType" AS ENUM ('charge', 'payment', 'refund', 'payout');
+
+-- AlterEnum
+ALTER TYPE "public"."NotificationEvent" ADD VALUE 'payment_succeeded';
+ALTER TYPE "public"."NotificationEvent" ADD VALUE 'payment_failed';
+
+-- AlterTable
+ALTER TABLE "public"."Property" ADD COLUMN     "depositPercent" INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "depositAmount" DOUBLE PRECISION;
+
+-- CreateTable
+CREATE TABLE "public"."Payment" (
+    "id" TEXT NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "payerId" TEXT NOT NULL,
+    "purpose" "public"."PaymentPurpose" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "currency" TEXT NOT NULL,
+    "phoneNumber" TEXT NOT NULL,
+    "provider" TEXT NOT NULL,
+    "providerRef" TEXT,
+    "status" "public"."PaymentStatus" NOT NULL DEFAULT 'pending',
+    "failureReason" TEXT,
+    "completedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Payment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."LedgerEntry" (
+    "id" TEXT NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "type" "public"."LedgerEntryType" NOT NULL,
+    "amount" DOUBLE PRECISION NOT NULL,
+    "paymentId" TEXT,
+    "reference" TEXT,
+    "settledAt" TIMESTAMP(3),
+    "note" TEXT,
+    "createdById" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "LedgerEntry_pkey" PRIMARY KEY ("id")
+);
+
+-- Réservations existantes non annulées : le montant dû ouvre leur grand livre
+INSERT INTO "public"."LedgerEntry" ("id", "bookingId", "type", "amount", "note", "createdAt")
+SELECT gen_random_uuid()::text, "id", 'charge', "totalAmount", 'Montant de la réservation (reprise)', "createdAt"
+FROM "public"."Booking"
+WHERE "status" <> 'cancelled';
+
+-- CreateIndex
+CREATE INDEX "Payment_bookingId_idx" ON "public"."Payment"("bookingId");
+
+-- CreateIndex
+CREATE INDEX "Payment_status_createdAt_idx" ON "public"."Payment"("status", "createdAt");
+
+-- CreateIndex
+-- Une seule demande de paiement en attente par réservation (index partiel, non exprimable dans schema.prisma)
+CREATE UNIQUE INDEX "Payment_bookingId_pending_key" ON "public"."Payment"("bookingId") WHERE "status" = 'pending';
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Payment_provider_providerRef_key" ON "public"."Payment"("provider", "providerRef");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_bookingId_createdAt_idx" ON "public"."LedgerEntry"("bookingId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "LedgerEntry_type_settledAt_idx" ON "public"."LedgerEntry"("type", "settledAt");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "LedgerEntry_paymentId_type_key" ON "public"."LedgerEntry"("paymentId", "type");
+
+-- AddForeignKey
+ALTER TABLE "public"."Payment" ADD CONSTRAINT "Payment_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "public"."Booking"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Payment" ADD CONSTRAINT "Payment_payerId_fkey" FOREIGN KEY ("payerId") REFERENCES "public"."User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."LedgerEntry" ADD CONSTRAINT "LedgerEntry_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "public"."Booking"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."LedgerEntry" ADD CONSTRAINT "LedgerEntry_paymentId_fkey" FOREIGN KEY ("paymentId") REFERENCES "public"."Payment"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."LedgerEntry" ADD CONSTRAINT "LedgerEntry_createdById_fkey" FOREIGN KEY ("createdById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,52 @@
+-- CreateEnum
+CREATE TYPE "public"."CurrencyCode" AS ENUM ('XAF', 'CDF', 'USD');
+
+-- Jusqu'ici tous les prix étaient implicitement en XAF (sans subdivision) :
+-- les montants existants sont arrondis à l'unité et deviennent des unités mineures XAF.
+-- Les devis figés (Booking.priceBreakdown) antérieurs restent tels qu'enregistrés.
+
+-- AlterTable
+ALTER TABLE "public"."Property" ADD COLUMN     "currency" "public"."CurrencyCode" NOT NULL DEFAULT 'XAF',
+ALTER COLUMN "pricePerNight" SET DATA TYPE INTEGER USING ROUND("pricePerNight")::INTEGER,
+ALTER COLUMN "pricePerMonth" SET DATA TYPE INTEGER USING ROUND("pricePerMonth")::INTEGER,
+ALTER COLUMN "cleaningFee" SET DATA TYPE INTEGER USING ROUND("cleaningFee")::INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."PropertyAvailability" ALTER COLUMN "priceOverride" SET DATA TYPE INTEGER USING ROUND("priceOverride")::INTEGER;
+
+-- AlterTable
+ALTER TABLE "public"."Booking" ADD COLUMN     "currency" "public"."CurrencyCode" NOT NULL DEFAULT 'XAF',
+ADD COLUMN     "guestCurrency" "public"."CurrencyCode",
+ADD COLUMN     "exchangeRate" DECIMAL(20,10),
+ADD COLUMN     "guestTotalAmount" INTEGER,
+ALTER COLUMN "totalAmount" SET DATA TYPE INTEGER USING ROUND("totalAmount")::INTEGER,
+ALTER COLUMN "depositAmount" SET DATA TYPE INTEGER USING ROUND("depositAmount")::INTEGER,
+ALTER COLUMN "refundAmount" SET DATA TYPE INTEGER USING ROUND("refundAmount")::INTEGER;
+
+-- La devise d'une réservation est toujours fournie par l'application (celle du bien)
+ALTER TABLE "public"."Booking" ALTER COLUMN "currency" DROP DEFAULT;
+
+-- AlterTable
+ALTER TABLE "public"."Payment" ALTER COLUMN "amount" SET DATA TYPE INTEGER USING ROUND("amount")::INTEGER,
+ALTER COLUMN "currency" SET DATA TYPE "public"."CurrencyCode" USING "currency"::"public"."CurrencyCode";
+
+-- AlterTable
+ALTER TABLE "public"."LedgerEntry" ALTER COLUMN "amount" SET DATA TYPE INTEGER USING ROUND("amount")::INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."ExchangeRate" (
+    "id" TEXT NOT NULL,
+    "baseCurrency" "public"."CurrencyCode" NOT NULL,
+    "quoteCurrency" "public"."CurrencyCode" NOT NULL,
+    "rate" DECIMAL(20,10) NOT NULL,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+    "updatedById" TEXT,
+
+    CONSTRAINT "ExchangeRate_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "ExchangeRate_baseCurrency_quoteCurrency_key" ON "public"."ExchangeRate"("baseCurrency", "quoteCurrency");
+
+-- AddForeignKey
+ALTER TABLE "public"."ExchangeRate" ADD CONSTRAINT "ExchangeRate_updatedById_fkey" FOREIGN KEY ("updatedById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,119 @@
+-- CreateEnum
+CREATE TYPE "public"."LeaseStatus" AS ENUM ('active', 'notice_given', 'ended', 'cancelled');
+
+-- CreateEnum
+CREATE TYPE "public"."RentInstallmentStatus" AS ENUM ('pending', 'paid', 'cancelled');
+
+-- AlterEnum
+ALTER TYPE "public"."PaymentPurpose" ADD VALUE 'rent';
+
+-- AlterEnum
+ALTER TYPE "public"."NotificationEvent" ADD VALUE 'rent_due';
+ALTER TYPE "public"."NotificationEvent" ADD VALUE 'rent_overdue';
+ALTER TYPE "public"."NotificationEvent" ADD VALUE 'lease_notice';
+ALTER TYPE "public"."NotificationEvent" ADD VALUE 'lease_renewal';
+
+-- AlterTable
+ALTER TABLE "public"."Property" ADD COLUMN     "rentDueDay" INTEGER,
+ADD COLUMN     "securityDeposit" INTEGER,
+ADD COLUMN     "lateFeeGraceDays" INTEGER,
+ADD COLUMN     "lateFeePercent" INTEGER,
+ADD COLUMN     "lateFeeAmount" INTEGER,
+ADD COLUMN     "leaseNoticeDays" INTEGER;
+
+-- CreateTable
+CREATE TABLE "public"."Lease" (
+    "id" TEXT NOT NULL,
+    "bookingId" TEXT NOT NULL,
+    "propertyId" TEXT NOT NULL,
+    "tenantId" TEXT NOT NULL,
+    "status" "public"."LeaseStatus" NOT NULL DEFAULT 'active',
+    "currency" "public"."CurrencyCode" NOT NULL,
+    "monthlyRent" INTEGER NOT NULL,
+    "securityDeposit" INTEGER NOT NULL DEFAULT 0,
+    "rentDueDay" INTEGER NOT NULL,
+    "startDate" TIMESTAMP(3) NOT NULL,
+    "endDate" TIMESTAMP(3) NOT NULL,
+    "lateFeeGraceDays" INTEGER NOT NULL,
+    "lateFeePercent" INTEGER,
+    "lateFeeAmount" INTEGER,
+    "noticeDays" INTEGER NOT NULL,
+    "noticeGivenAt" TIMESTAMP(3),
+    "noticeGivenById" TEXT,
+    "noticeReason" TEXT,
+    "renewalMonths" INTEGER,
+    "renewalProposedAt" TIMESTAMP(3),
+    "renewalProposedById" TEXT,
+    "renewalCount" INTEGER NOT NULL DEFAULT 0,
+    "depositSettledAt" TIMESTAMP(3),
+    "endedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Lease_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "public"."RentInstallment" (
+    "id" TEXT NOT NULL,
+    "leaseId" TEXT NOT NULL,
+    "sequence" INTEGER NOT NULL,
+    "periodStart" TIMESTAMP(3) NOT NULL,
+    "periodEnd" TIMESTAMP(3) NOT NULL,
+    "dueDate" TIMESTAMP(3) NOT NULL,
+    "overdueAt" TIMESTAMP(3) NOT NULL,
+    "rent" INTEGER NOT NULL,
+    "fees" INTEGER NOT NULL DEFAULT 0,
+    "lateFee" INTEGER NOT NULL DEFAULT 0,
+    "paidAmount" INTEGER NOT NULL DEFAULT 0,
+    "status" "public"."RentInstallmentStatus" NOT NULL DEFAULT 'pending',
+    "paidAt" TIMESTAMP(3),
+    "reminderSentAt" TIMESTAMP(3),
+    "lateNoticeSentAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "RentInstallment_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "Lease_bookingId_key" ON "public"."Lease"("bookingId");
+
+-- CreateIndex
+CREATE INDEX "Lease_status_endDate_idx" ON "public"."Lease"("status", "endDate");
+
+-- CreateIndex
+CREATE INDEX "Lease_tenantId_idx" ON "public"."Lease"("tenantId");
+
+-- CreateIndex
+CREATE INDEX "Lease_propertyId_idx" ON "public"."Lease"("propertyId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "RentInstallment_leaseId_sequence_key" ON "public"."RentInstallment"("leaseId", "sequence");
+
+-- CreateIndex
+CREATE INDEX "RentInstallment_status_dueDate_idx" ON "public"."RentInstallment"("status", "dueDate");
+
+-- CreateIndex
+CREATE INDEX "RentInstallment_status_overdueAt_idx" ON "public"."RentInstallment"("status", "overdueAt");
+
+-- AddForeignKey
+ALTER TABLE "public"."Lease" ADD CONSTRAINT "Lease_bookingId_fkey" FOREIGN KEY ("bookingId") REFERENCES "public"."Booking"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Lease" ADD CONSTRAINT "Lease_propertyId_fkey" FOREIGN KEY ("propertyId") REFERENCES "public"."Property"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Lease" ADD CONSTRAINT "Lease_tenantId_fkey" FOREIGN KEY ("tenantId") REFERENCES "public"."User"("id") ON DELETE RESTRICT ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Lease" ADD CONSTRAINT "Lease_noticeGivenById_fkey" FOREIGN KEY ("noticeGivenById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."Lease" ADD CONSTRAINT "Lease_renewalProposedById_fkey" FOREIGN KEY ("renewalProposedById") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
+
+-- AddForeignKey
+ALTER TABLE "public"."RentInstallment" ADD CONSTRAINT "RentInstallment_leaseId_fkey" FOREIGN KEY ("leaseId") REFERENCES "public"."Lease"("id") ON DELETE CASCADE ON UPDATE CASCADE;
+
+-- Les réservations longue durée déjà confirmées reçoivent leur bail au prochain passage
+-- de la tâche open-leases (lib/leaseJobs).
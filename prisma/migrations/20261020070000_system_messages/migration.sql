@@ -0,0 +1,10 @@
+-- Messages système (transitions automatiques des réservations) : sans expéditeur
+
+-- DropForeignKey
+ALTER TABLE "public"."Message" DROP CONSTRAINT "Message_senderId_fkey";
+
+-- AlterTable
+ALTER TABLE "public"."Message" ALTER COLUMN "senderId" DROP NOT NULL;
+
+-- AddForeignKey
+ALTER TABLE "public"."Message" ADD CONSTRAINT "Message_senderId_fkey" FOREIGN KEY ("senderId") REFERENCES "public"."User"("id") ON DELETE SET NULL ON UPDATE CASCADE;
@@ -0,0 +1,4 @@
+-- CreateIndex
+-- Un seul litige actif (open, under_review) par réservation (index partiel, non exprimable dans schema.prisma).
+-- Échoue si des réservations ont déjà plusieurs litiges actifs : les clôturer avant de relancer.
+CREATE UNIQUE INDEX "Dispute_bookingId_active_key" ON "public"."Dispute"("bookingId") WHERE "status" IN ('open', 'under_review');
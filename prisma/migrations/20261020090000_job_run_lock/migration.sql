@@ -0,0 +1,13 @@
+-- Exécutions « running » en double (avant le verrou) : seule la plus récente de chaque tâche est conservée
+UPDATE "public"."JobRun" r
+SET "status" = 'failed', "finishedAt" = CURRENT_TIMESTAMP, "error" = 'Exécution abandonnée (processus arrêté en cours).'
+WHERE r."status" = 'running'
+  AND EXISTS (
+    SELECT 1 FROM "public"."JobRun" o
+    WHERE o."job" = r."job" AND o."status" = 'running'
+      AND (o."startedAt" > r."startedAt" OR (o."startedAt" = r."startedAt" AND o."id" > r."id"))
+  );
+
+-- CreateIndex
+-- Une seule exécution en cours par tâche, toutes instances confondues (index partiel, non exprimable dans schema.prisma)
+CREATE UNIQUE INDEX "JobRun_job_running_key" ON "public"."JobRun"("job") WHERE "status" = 'running';
@@ -0,0 +1,409 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient, UserRole, JobRunStatus } = require('@prisma/client');
+const { enumValues, validateBody } = require('../lib/validation');
+const { authenticate, requireRole } = require('../lib/auth');
+const { ACCOUNT_STATUSES } = require('../lib/accounts');
+const { revokeUserSessions } = require('../lib/sessions');
+const { runSerializable } = require('../lib/transactions');
+const { JOB_NAMES, jobsEnabled, runJob, describeJobs } = require('../lib/jobs');
+const { CURRENCY_CODES } = require('../lib/money');
+
+const prisma = new PrismaClient();
+
+// --- Auth : toutes les routes sont réservées aux administrateurs
+const authenticateToken = authenticate(prisma);
+const isAdmin = requireRole(prisma, 'admin');
+router.use(authenticateToken, isAdmin);
+
+const USER_ROLES = enumValues(UserRole);
+const JOB_RUN_STATUSES = enumValues(JobRunStatus);
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const grantRoleSchema = {
+  role: { type: 'enum', required: true, values: USER_ROLES }
+};
+
+const roleActiveSchema = {
+  active: { type: 'boolean', required: true }
+};
+
+const accountStatusSchema = {
+  status:         { type: 'enum', required: true, values: ACCOUNT_STATUSES },
+  reason:         { type: 'string', maxLength: 1000, nullable: true },
+  suspendedUntil: { type: 'date', nullable: true }
+};
+
+function checkAccountStatus(value) {
+  if (value.suspendedUntil && value.status !== 'suspended') {
+    return [{ field: 'suspendedUntil', message: 'Réservé au statut suspended.' }];
+  }
+  if (value.suspendedUntil && value.suspendedUntil <= new Date()) {
+    return [{ field: 'suspendedUntil', message: 'Doit être dans le futur.' }];
+  }
+  return [];
+}
+
+const adminUserSelect = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  phoneNumber: true,
+  verified: true,
+  phoneVerifiedAt: true,
+  status: true,
+  statusReason: true,
+  suspendedUntil: true,
+  statusChangedAt: true,
+  createdAt: true,
+  roles: { select: { role: true, active: true, createdAt: true } }
+};
+
+function pageSize(limit) {
+  const n = parseInt(limit, 10);
+  if (!Number.isInteger(n) || n <= 0) return DEFAULT_PAGE_SIZE;
+  return Math.min(n, MAX_PAGE_SIZE);
+}
+
+// Reste-t-il un autre administrateur actif (rôle actif, compte actif) que `userId` ?
+async function hasOtherActiveAdmin(db, userId) {
+  const count = await db.userRoleOnUser.count({
+    where: { role: 'admin', active: true, userId: { not: userId }, user: { status: 'active' } }
+  });
+  return count > 0;
+}
+
+// Retrait d'un administrateur (rôle ou compte) : contrôle et écriture dans la même transaction
+// sérialisable, pour que deux administrateurs ne puissent pas se retirer mutuellement en même temps.
+// Lève 'LAST_ADMIN' s'il n'en resterait aucun.
+async function guardLastAdmin(tx, userId) {
+  if (!(await hasOtherActiveAdmin(tx, userId))) throw new Error('LAST_ADMIN');
+}
+
+function sendLastAdminError(res, err) {
+  if (err.message === 'LAST_ADMIN') { res.status(409).json(LAST_ADMIN_ERROR); return true; }
+  if (err.message === 'SERIALIZATION_CONFLICT') { res.status(409).json({ error: 'Modification concurrente des administrateurs, réessayez.' }); return true; }
+  return false;
+}
+
+// :role doit être une valeur de l'enum UserRole
+function roleParam(req, res, next) {
+  if (!USER_ROLES.includes(req.params.role)) return res.status(400).json({ error: 'Rôle invalide.' });
+  next();
+}
+
+const LAST_ADMIN_ERROR = { error: 'Impossible : il doit rester au moins un administrateur actif.' };
+
+/* =========================
+   🔎 Utilisateurs
+========================= */
+// GET /admin/users?q=&role=&status=&cursor=&limit=
+// q : nom, prénom ou numéro (contient, insensible à la casse)
+router.get('/users', async (req, res) => {
+  const { q, role, status, cursor } = req.query;
+
+  if (role && !USER_ROLES.includes(role)) return res.status(400).json({ error: 'Rôle invalide.' });
+  if (status && !ACCOUNT_STATUSES.includes(status)) return res.status(400).json({ error: 'Statut invalide.' });
+
+  const where = {};
+  if (q && String(q).trim()) {
+    const term = String(q).trim();
+    where.OR = [
+      { firstName: { contains: term, mode: 'insensitive' } },
+      { lastName: { contains: term, mode: 'insensitive' } },
+      { phoneNumber: { contains: term.replace(/\s+/g, '') } }
+    ];
+  }
+  if (role) where.roles = { some: { role, active: true } };
+  if (status) where.status = status;
+
+  try {
+    const take = pageSize(req.query.limit);
+    const rows = await prisma.user.findMany({
+      where,
+      select: adminUserSelect,
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: take + 1,
+      ...(cursor ? { cursor: { id: String(cursor) }, skip: 1 } : {})
+    });
+
+    const hasMore = rows.length > take;
+    const users = hasMore ? rows.slice(0, take) : rows;
+    res.json({ users, nextCursor: hasMore ? users[users.length - 1].id : null });
+  } catch (err) {
+    console.error('Erreur GET /admin/users :', err);
+    if (err.code === 'P2025') return res.status(400).json({ error: 'Curseur invalide.' });
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// GET /admin/users/:id
+router.get('/users/:id', async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: {
+        ...adminUserSelect,
+        statusChangedBy: { select: { id: true, firstName: true, lastName: true } },
+        _count: { select: { properties: true, bookings: true, disputesRaised: true } }
+      }
+    });
+    if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé.' });
+    res.json(user);
+  } catch (err) {
+    console.error('Erreur GET /admin/users/:id :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🎭 Rôles
+========================= */
+// POST /admin/users/:id/roles { role } : attribuer (ou réactiver) un rôle
+router.post('/users/:id/roles', validateBody(grantRoleSchema), async (req, res) => {
+  const { role } = req.body;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.params.id }, select: { id: true } });
+    if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé.' });
+
+    const granted = await prisma.userRoleOnUser.upsert({
+      where: { userId_role: { userId: user.id, role } },
+      update: { active: true },
+      create: { userId: user.id, role, active: true }
+    });
+    res.status(201).json({ message: 'Rôle attribué.', role: granted });
+  } catch (err) {
+    console.error('Erreur POST /admin/users/:id/roles :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// PATCH /admin/users/:id/roles/:role { active } : activer / désactiver sans perdre l'historique
+// Un rôle désactivé n'est plus réattribué implicitement (premier bien, affectation de superviseur).
+router.patch('/users/:id/roles/:role', roleParam, validateBody(roleActiveSchema), async (req, res) => {
+  const { id, role } = req.params;
+  const { active } = req.body;
+
+  try {
+    const existing = await prisma.userRoleOnUser.findUnique({ where: { userId_role: { userId: id, role } } });
+    if (!existing) return res.status(404).json({ error: 'Rôle non attribué à cet utilisateur.' });
+
+    const updated = await runSerializable(prisma, async (tx) => {
+      const current = await tx.userRoleOnUser.findUnique({ where: { id: existing.id }, select: { active: true } });
+      if (role === 'admin' && !active && current && current.active) await guardLastAdmin(tx, id);
+      return tx.userRoleOnUser.update({ where: { id: existing.id }, data: { active } });
+    });
+    res.json({ message: active ? 'Rôle activé.' : 'Rôle désactivé.', role: updated });
+  } catch (err) {
+    if (sendLastAdminError(res, err)) return;
+    console.error('Erreur PATCH /admin/users/:id/roles/:role :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// DELETE /admin/users/:id/roles/:role : retirer un rôle (il pourra de nouveau être attribué implicitement)
+router.delete('/users/:id/roles/:role', roleParam, async (req, res) => {
+  const { id, role } = req.params;
+
+  try {
+    const existing = await prisma.userRoleOnUser.findUnique({ where: { userId_role: { userId: id, role } } });
+    if (!existing) return res.status(404).json({ error: 'Rôle non attribué à cet utilisateur.' });
+
+    await runSerializable(prisma, async (tx) => {
+      const current = await tx.userRoleOnUser.findUnique({ where: { id: existing.id }, select: { active: true } });
+      if (role === 'admin' && current && current.active) await guardLastAdmin(tx, id);
+      await tx.userRoleOnUser.delete({ where: { id: existing.id } });
+    });
+    res.json({ message: 'Rôle retiré.' });
+  } catch (err) {
+    if (sendLastAdminError(res, err)) return;
+    console.error('Erreur DELETE /admin/users/:id/roles/:role :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🚫 Suspension / bannissement
+========================= */
+// PATCH /admin/users/:id/status { status: active | suspended | banned, reason?, suspendedUntil? }
+// Suspendre ou bannir révoque toutes les sessions et invalide les jetons déjà émis.
+router.patch('/users/:id/status', validateBody(accountStatusSchema, { check: checkAccountStatus }), async (req, res) => {
+  const { id } = req.params;
+  const { status, reason, suspendedUntil } = req.body;
+
+  if (id === req.user.userId) return res.status(400).json({ error: 'Vous ne pouvez pas modifier le statut de votre propre compte.' });
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id }, select: { id: true } });
+    if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé.' });
+
+    const blocking = status !== 'active';
+    const data = {
+      status,
+      statusReason: reason || null,
+      suspendedUntil: status === 'suspended' ? suspendedUntil || null : null,
+      statusChangedAt: new Date(),
+      statusChangedById: req.user.userId,
+      ...(blocking ? { tokenVersion: { increment: 1 } } : {})
+    };
+
+    const updated = await runSerializable(prisma, async (tx) => {
+      if (blocking) {
+        const isAdminAccount = await tx.userRoleOnUser.count({ where: { userId: id, role: 'admin', active: true } });
+        if (isAdminAccount) await guardLastAdmin(tx, id);
+        await revokeUserSessions(tx, id);
+      }
+      return tx.user.update({ where: { id }, data, select: adminUserSelect });
+    });
+
+    res.json({ message: 'Statut du compte mis à jour.', user: updated });
+  } catch (err) {
+    if (sendLastAdminError(res, err)) return;
+    console.error('Erreur PATCH /admin/users/:id/status :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🗓️ Tâches planifiées
+========================= */
+// GET /admin/jobs : tâches connues et leur dernière exécution
+router.get('/jobs', async (req, res) => {
+  try {
+    const jobs = await Promise.all(describeJobs().map(async job => ({
+      ...job,
+      lastRun: await prisma.jobRun.findFirst({ where: { job: job.name }, orderBy: { startedAt: 'desc' } })
+    })));
+    res.json({ schedulerEnabled: jobsEnabled(), jobs });
+  } catch (err) {
+    console.error('Erreur GET /admin/jobs :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// GET /admin/jobs/runs?job=&status=&cursor=<id>&limit=20 (plus récentes d'abord)
+router.get('/jobs/runs', async (req, res) => {
+  const { job, status, cursor } = req.query;
+
+  if (job && !JOB_NAMES.includes(job)) return res.status(400).json({ error: `Tâche attendue : ${JOB_NAMES.join(', ')}.` });
+  if (status && !JOB_RUN_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Statut attendu : ${JOB_RUN_STATUSES.join(', ')}.` });
+  }
+
+  try {
+    const take = pageSize(req.query.limit);
+    const rows = await prisma.jobRun.findMany({
+      where: { ...(job ? { job } : {}), ...(status ? { status } : {}) },
+      orderBy: [{ startedAt: 'desc' }, { id: 'desc' }],
+      take: take + 1,
+      ...(cursor ? { cursor: { id: String(cursor) }, skip: 1 } : {})
+    });
+
+    const hasMore = rows.length > take;
+    const runs = hasMore ? rows.slice(0, take) : rows;
+    res.json({ runs, nextCursor: hasMore ? runs[runs.length - 1].id : null });
+  } catch (err) {
+    console.error('Erreur GET /admin/jobs/runs :', err);
+    if (err.code === 'P2025') return res.status(400).json({ error: 'Curseur invalide.' });
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// POST /admin/jobs/:name/run : exécution immédiate (attend la fin de la tâche)
+router.post('/jobs/:name/run', async (req, res) => {
+  const { name } = req.params;
+  if (!JOB_NAMES.includes(name)) return res.status(404).json({ error: 'Tâche inconnue.' });
+
+  try {
+    const run = await runJob(prisma, name, { trigger: 'admin' });
+    if (!run) return res.status(409).json({ error: 'Tâche déjà en cours d’exécution.' });
+    res.status(run.status === 'failed' ? 500 : 200).json({
+      message: run.status === 'failed' ? 'La tâche a échoué.' : 'Tâche exécutée.',
+      run
+    });
+  } catch (err) {
+    console.error('Erreur POST /admin/jobs/:name/run :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   💱 Taux de change
+========================= */
+const exchangeRateSchema = {
+  // 1 unité de :base = rate unités de :quote (unités principales)
+  rate: { type: 'number', min: 0.0000000001, max: 1000000000, required: true }
+};
+
+const exchangeRateSelect = {
+  baseCurrency: true,
+  quoteCurrency: true,
+  rate: true,
+  updatedAt: true,
+  updatedBy: { select: { id: true, firstName: true, lastName: true } }
+};
+
+function parsePair(params) {
+  const { base, quote } = params;
+  if (!CURRENCY_CODES.includes(base) || !CURRENCY_CODES.includes(quote)) {
+    return { error: `Devises attendues : ${CURRENCY_CODES.join(', ')}.` };
+  }
+  if (base === quote) return { error: 'Les deux devises doivent être différentes.' };
+  return { baseCurrency: base, quoteCurrency: quote };
+}
+
+// GET /admin/exchange-rates
+router.get('/exchange-rates', async (req, res) => {
+  try {
+    const rates = await prisma.exchangeRate.findMany({
+      select: exchangeRateSelect,
+      orderBy: [{ baseCurrency: 'asc' }, { quoteCurrency: 'asc' }]
+    });
+    res.json(rates);
+  } catch (err) {
+    console.error('Erreur GET /admin/exchange-rates :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// PUT /admin/exchange-rates/:base/:quote { rate }
+// Un seul sens par paire : enregistrer XAF/USD remplace un éventuel USD/XAF (déduit comme 1 / rate)
+router.put('/exchange-rates/:base/:quote', validateBody(exchangeRateSchema), async (req, res) => {
+  const pair = parsePair(req.params);
+  if (pair.error) return res.status(400).json({ error: pair.error });
+
+  try {
+    const [, saved] = await prisma.$transaction([
+      prisma.exchangeRate.deleteMany({ where: { baseCurrency: pair.quoteCurrency, quoteCurrency: pair.baseCurrency } }),
+      prisma.exchangeRate.upsert({
+        where: { baseCurrency_quoteCurrency: pair },
+        update: { rate: req.body.rate, updatedById: req.user.userId },
+        create: { ...pair, rate: req.body.rate, updatedById: req.user.userId },
+        select: exchangeRateSelect
+      })
+    ]);
+    res.json({ message: 'Taux de change enregistré.', exchangeRate: saved });
+  } catch (err) {
+    console.error('Erreur PUT /admin/exchange-rates/:base/:quote :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// DELETE /admin/exchange-rates/:base/:quote (les réservations gardent leur taux figé)
+router.delete('/exchange-rates/:base/:quote', async (req, res) => {
+  const pair = parsePair(req.params);
+  if (pair.error) return res.status(400).json({ error: pair.error });
+
+  try {
+    const { count } = await prisma.exchangeRate.deleteMany({ where: pair });
+    if (count === 0) return res.status(404).json({ error: 'Taux de change introuvable.' });
+    res.json({ message: 'Taux de change supprimé.' });
+  } catch (err) {
+    console.error('Erreur DELETE /admin/exchange-rates/:base/:quote :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+module.exports = router;
@@ -1,19 +1,184 @@
 const express = require('express');
 const router = express.Router();
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
 const { PrismaClient } = require('@prisma/client');
+const { validateBody } = require('../lib/validation');
+const { OTP_PURPOSES, OTP_LENGTH, OTP_TTL_MINUTES, requestOtp, verifyOtp, checkVerificationToken, sendOtpError } = require('../lib/otp');
+const { sendSms } = require('../lib/sms');
+const { accountBlock, sendAccountBlocked } = require('../lib/accounts');
+const { rateLimit, createLockout, limitFromEnv, clientIp, sendTooMany } = require('../lib/rateLimit');
+const { signAccessToken } = require('../lib/tokens');
+const { authenticate } = require('../lib/auth');
+const {
+  openSession,
+  rotateSession,
+  revokeSession,
+  revokeUserSessions,
+  findSessionByRefreshToken,
+  sendSessionError
+} = require('../lib/sessions');
 const prisma = new PrismaClient();
+const authenticateToken = authenticate(prisma);
 
 const SALT_ROUNDS = 10;
-const JWT_SECRET = process.env.JWT_SECRET || 'secret_key_dev';
+// Comparé quand le numéro est inconnu : même temps de réponse qu'un mauvais mot de passe
+const DUMMY_PASSWORD_HASH = bcrypt.hashSync('ukuu-dummy-password', SALT_ROUNDS);
+
+// Réponses identiques que le compte existe ou non
+const INVALID_CREDENTIALS_ERROR = { error: 'Numéro ou mot de passe incorrect.' };
+const CODE_SENT_MESSAGE = 'Si ce numéro peut recevoir un code, il vient de lui être envoyé par SMS.';
+const TOO_MANY_ATTEMPTS_MESSAGE = 'Trop de tentatives. Réessayez plus tard.';
+
+const PHONE_NOT_VERIFIED_ERROR = {
+  error: 'Numéro de téléphone non vérifié. Demandez un code (POST /auth/otp/request) puis reconnectez-vous avec le verificationToken.',
+  code: 'PHONE_NOT_VERIFIED'
+};
+
+const registerSchema = {
+  firstName:         { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  lastName:          { type: 'string', required: true, minLength: 1, maxLength: 100 },
+  phoneNumber:       { type: 'phone', required: true },
+  password:          { type: 'string', required: true, minLength: 8, maxLength: 128, trim: false },
+  verificationToken: { type: 'string', required: true }
+};
+
+const loginSchema = {
+  phoneNumber:       { type: 'phone', required: true },
+  password:          { type: 'string', required: true, minLength: 1, maxLength: 128, trim: false },
+  verificationToken: { type: 'string' }
+};
+
+// Les codes de réinitialisation passent par /auth/password/forgot
+const PHONE_OTP_PURPOSES = OTP_PURPOSES.filter(p => p !== 'password_reset');
+
+const otpCodeRule = { type: 'string', required: true, pattern: new RegExp(`^\\d{${OTP_LENGTH}}$`), patternMessage: `Code à ${OTP_LENGTH} chiffres attendu.` };
+const newPasswordRule = { type: 'string', required: true, minLength: 8, maxLength: 128, trim: false };
+
+const otpRequestSchema = {
+  phoneNumber: { type: 'phone', required: true },
+  purpose:     { type: 'enum', values: PHONE_OTP_PURPOSES, required: true }
+};
+
+const otpVerifySchema = {
+  ...otpRequestSchema,
+  code: otpCodeRule
+};
+
+const forgotPasswordSchema = {
+  phoneNumber: { type: 'phone', required: true }
+};
+
+const resetPasswordSchema = {
+  phoneNumber: { type: 'phone', required: true },
+  code:        otpCodeRule,
+  newPassword: newPasswordRule
+};
+
+const refreshTokenSchema = {
+  refreshToken: { type: 'string', required: true, maxLength: 200 }
+};
+
+const changePasswordSchema = {
+  currentPassword: { type: 'string', required: true, minLength: 1, maxLength: 128, trim: false },
+  newPassword:     newPasswordRule
+};
+
+// Contexte client enregistré avec la session (liste « mes sessions »)
+function clientMeta(req) {
+  return { userAgent: req.get('user-agent'), ipAddress: req.ip };
+}
+
+/* =========================
+   🚦 Anti-force brute
+========================= */
+// Par IP (fenêtre fixe) ; limites surchargeables : RATE_LIMIT_AUTH_*, RATE_LIMIT_OTP_*, RATE_LIMIT_REFRESH_*
+const authLimiter = rateLimit({ name: 'auth', ...limitFromEnv('RATE_LIMIT_AUTH', { max: 20, windowSeconds: 15 * 60 }) });
+const otpLimiter = rateLimit({ name: 'otp', ...limitFromEnv('RATE_LIMIT_OTP', { max: 10, windowSeconds: 15 * 60 }) });
+const refreshLimiter = rateLimit({ name: 'refresh', ...limitFromEnv('RATE_LIMIT_REFRESH', { max: 60, windowSeconds: 15 * 60 }) });
+// Par numéro (après validation : numéro normalisé), que le compte existe ou non
+const otpPhoneLimiter = rateLimit({
+  name: 'otp-phone',
+  ...limitFromEnv('RATE_LIMIT_OTP_PHONE', { max: 3, windowSeconds: 10 * 60 }),
+  key: req => req.body.phoneNumber
+});
+
+// Verrouillage progressif sur échecs : mot de passe (numéro et IP) et codes OTP (numéro)
+const passwordPhoneLockout = createLockout({ name: 'password-phone', freeAttempts: 5 });
+const passwordIpLockout = createLockout({ name: 'password-ip', freeAttempts: 20 });
+const codeLockout = createLockout({ name: 'otp-code', freeAttempts: 5 });
+
+// Envoie un code sans révéler l'existence du compte : les refus du module OTP (délai, quota) sont muets
+async function sendCodeQuietly(phoneNumber, purpose) {
+  try {
+    await requestOtp(prisma, phoneNumber, purpose);
+  } catch (err) {
+    if (err.message !== 'OTP_COOLDOWN' && err.message !== 'OTP_TOO_MANY_REQUESTS') throw err;
+  }
+}
+
+// Vérifie un code OTP avec verrouillage progressif par numéro ; `sent` : réponse 429 déjà envoyée
+async function verifyCodeOrRespond(res, phoneNumber, purpose, code) {
+  const locked = await codeLockout.check([phoneNumber]);
+  if (locked) {
+    sendTooMany(res, locked, TOO_MANY_ATTEMPTS_MESSAGE);
+    return { sent: true };
+  }
+  try {
+    const result = await verifyOtp(prisma, phoneNumber, purpose, code);
+    await codeLockout.succeed([phoneNumber]);
+    return { sent: false, ...result };
+  } catch (err) {
+    if (err.message === 'OTP_INVALID') await codeLockout.fail([phoneNumber]);
+    throw err;
+  }
+}
+
+/* =========================
+   📲 Vérification du numéro (OTP)
+========================= */
+// POST /auth/otp/request { phoneNumber, purpose: registration | login }
+// Réponse identique dans tous les cas ; un numéro déjà inscrit reçoit un rappel au lieu d'un code d'inscription
+router.post('/otp/request', otpLimiter, validateBody(otpRequestSchema), otpPhoneLimiter, async (req, res) => {
+  const { phoneNumber, purpose } = req.body;
+
+  try {
+    const existing = await prisma.user.findUnique({ where: { phoneNumber }, select: { id: true } });
+    if (purpose === 'registration' && existing) {
+      await sendSms(phoneNumber, 'Ukuu : un compte existe déjà pour ce numéro. Connectez-vous ou réinitialisez votre mot de passe.');
+    } else if (purpose === 'registration' || existing) {
+      await sendCodeQuietly(phoneNumber, purpose);
+    }
+
+    res.status(202).json({ message: CODE_SENT_MESSAGE, expiresInMinutes: OTP_TTL_MINUTES });
+  } catch (err) {
+    if (sendOtpError(res, err)) return;
+    console.error('Erreur POST /auth/otp/request :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// POST /auth/otp/verify { phoneNumber, purpose, code } → verificationToken (15 min)
+router.post('/otp/verify', otpLimiter, validateBody(otpVerifySchema), async (req, res) => {
+  const { phoneNumber, purpose, code } = req.body;
+
+  try {
+    const { sent, verificationToken } = await verifyCodeOrRespond(res, phoneNumber, purpose, code);
+    if (sent) return;
+    res.json({ message: 'Numéro vérifié.', verificationToken });
+  } catch (err) {
+    if (sendOtpError(res, err)) return;
+    console.error('Erreur POST /auth/otp/verify :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
 
 // 🔐 Inscription utilisateur
-router.post('/register', async (req, res) => {
-  const { firstName, lastName, phoneNumber, password } = req.body;
+// verificationToken obligatoire (issu de /auth/otp/verify) : seul le détenteur du numéro apprend s'il est déjà inscrit
+router.post('/register', authLimiter, validateBody(registerSchema), async (req, res) => {
+  const { firstName, lastName, phoneNumber, password, verificationToken } = req.body;
 
-  if (!firstName || !lastName || !phoneNumber || !password) {
-    return res.status(400).json({ error: 'Champs requis manquants.' });
+  if (!checkVerificationToken(verificationToken, phoneNumber, ['registration'])) {
+    return res.status(400).json({ error: 'Jeton de vérification invalide ou expiré.' });
   }
 
   try {
@@ -29,7 +194,8 @@ router.post('/register', async (req, res) => {
         firstName,
         lastName,
         phoneNumber,
-        verified: false, // ✅ à changer plus tard si SMS réel
+        verified: false, // validé par le KYC
+        phoneVerifiedAt: new Date(),
         bio: '',
         roles: {
           create: {
@@ -44,33 +210,177 @@ router.post('/register', async (req, res) => {
       }
     });
 
-    return res.status(201).json({ message: 'Utilisateur créé avec succès.', user: { id: user.id, phoneNumber: user.phoneNumber } });
+    return res.status(201).json({ message: 'Utilisateur créé avec succès.', user: { id: user.id, phoneNumber: user.phoneNumber, phoneVerified: !!user.phoneVerifiedAt } });
   } catch (err) {
+    // Inscription concurrente du même numéro : l'autre requête a créé le compte entre-temps
+    if (err.code === 'P2002') return res.status(409).json({ error: 'Numéro déjà enregistré.' });
     console.error(err);
     res.status(500).json({ error: 'Erreur serveur.' });
   }
 });
 
 // 🔐 Connexion utilisateur
-router.post('/login', async (req, res) => {
-  const { phoneNumber, password } = req.body;
+// Un numéro encore non vérifié doit l'être via OTP : verificationToken requis (usage login ou registration)
+// Échecs répétés : verrouillage progressif par numéro et par IP
+router.post('/login', authLimiter, validateBody(loginSchema), async (req, res) => {
+  const { phoneNumber, password, verificationToken } = req.body;
+  const ip = clientIp(req);
+
+  try {
+    const locked = Math.max(await passwordPhoneLockout.check([phoneNumber]), await passwordIpLockout.check([ip]));
+    if (locked) return sendTooMany(res, locked, TOO_MANY_ATTEMPTS_MESSAGE);
+
+    const user = await prisma.user.findUnique({ where: { phoneNumber } });
+    const match = await bcrypt.compare(password, user ? user.password : DUMMY_PASSWORD_HASH);
+    if (!user || !match) {
+      await passwordPhoneLockout.fail([phoneNumber]);
+      await passwordIpLockout.fail([ip]);
+      return res.status(401).json(INVALID_CREDENTIALS_ERROR);
+    }
+    await passwordPhoneLockout.succeed([phoneNumber]);
 
-  if (!phoneNumber || !password) {
-    return res.status(400).json({ error: 'Téléphone et mot de passe requis.' });
+    // Compte suspendu ou banni : révélé seulement après un mot de passe correct
+    const block = accountBlock(user);
+    if (block) return sendAccountBlocked(res, block);
+
+    if (!user.phoneVerifiedAt) {
+      if (!verificationToken || !checkVerificationToken(verificationToken, phoneNumber, ['login', 'registration'])) {
+        return res.status(403).json(PHONE_NOT_VERIFIED_ERROR);
+      }
+      await prisma.user.update({ where: { id: user.id }, data: { phoneVerifiedAt: new Date() } });
+    }
+
+    const tokens = await openSession(prisma, user, clientMeta(req));
+
+    res.json({ message: 'Connexion réussie', ...tokens });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ error: 'Erreur serveur.' });
   }
+});
 
+/* =========================
+   🔄 Sessions
+========================= */
+// POST /auth/refresh { refreshToken } → nouvelle paire { token, refreshToken, expiresIn }
+router.post('/refresh', refreshLimiter, validateBody(refreshTokenSchema), async (req, res) => {
   try {
-    const user = await prisma.user.findUnique({ where: { phoneNumber } });
+    const tokens = await rotateSession(prisma, req.body.refreshToken, clientMeta(req));
+    res.json({ message: 'Jetons renouvelés.', ...tokens });
+  } catch (err) {
+    if (sendSessionError(res, err)) return;
+    console.error('Erreur POST /auth/refresh :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// POST /auth/logout { refreshToken } : ferme la session (idempotent)
+router.post('/logout', validateBody(refreshTokenSchema), async (req, res) => {
+  try {
+    const session = await findSessionByRefreshToken(prisma, req.body.refreshToken);
+    if (session) await revokeSession(prisma, session.id);
+    res.json({ message: 'Déconnecté.' });
+  } catch (err) {
+    console.error('Erreur POST /auth/logout :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🔑 Mot de passe
+========================= */
+// Nouveau mot de passe + révocation des jetons d'accès émis (tokenVersion) ; les sessions sont fermées à part
+function passwordUpdateData(hashedPassword) {
+  return {
+    password: hashedPassword,
+    passwordChangedAt: new Date(),
+    tokenVersion: { increment: 1 }
+  };
+}
+
+// POST /auth/password/forgot { phoneNumber }
+// Réponse identique que le numéro soit connu ou non
+router.post('/password/forgot', otpLimiter, validateBody(forgotPasswordSchema), otpPhoneLimiter, async (req, res) => {
+  const { phoneNumber } = req.body;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { phoneNumber }, select: { id: true } });
+    if (user) await sendCodeQuietly(phoneNumber, 'password_reset');
+
+    res.status(202).json({ message: 'Si ce numéro est enregistré, un code de réinitialisation a été envoyé par SMS.' });
+  } catch (err) {
+    if (sendOtpError(res, err)) return;
+    console.error('Erreur POST /auth/password/forgot :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// POST /auth/password/reset { phoneNumber, code, newPassword }
+router.post('/password/reset', otpLimiter, validateBody(resetPasswordSchema), async (req, res) => {
+  const { phoneNumber, code, newPassword } = req.body;
+
+  try {
+    // Numéro inconnu : aucun code en attente, d'où la même erreur « Code invalide. »
+    const { sent } = await verifyCodeOrRespond(res, phoneNumber, 'password_reset', code);
+    if (sent) return;
+
+    const user = await prisma.user.findUnique({ where: { phoneNumber }, select: { id: true, phoneVerifiedAt: true } });
+    if (!user) return res.status(400).json({ error: 'Code invalide.' });
+
+    const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: {
+          ...passwordUpdateData(hashedPassword),
+          // Le code reçu par SMS prouve aussi la possession du numéro
+          ...(user.phoneVerifiedAt ? {} : { phoneVerifiedAt: new Date() })
+        }
+      }),
+      revokeUserSessions(prisma, user.id)
+    ]);
+
+    res.json({ message: 'Mot de passe réinitialisé. Veuillez vous reconnecter.' });
+  } catch (err) {
+    if (sendOtpError(res, err)) return;
+    console.error('Erreur POST /auth/password/reset :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// POST /auth/password/change { currentPassword, newPassword } (connecté)
+// Les autres sessions sont révoquées ; un nouveau jeton est renvoyé pour la session courante
+router.post('/password/change', authLimiter, authenticateToken, validateBody(changePasswordSchema), async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: req.user.userId } });
     if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé.' });
 
-    const match = await bcrypt.compare(password, user.password);
-    if (!match) return res.status(401).json({ error: 'Mot de passe incorrect.' });
+    const match = await bcrypt.compare(currentPassword, user.password);
+    if (!match) return res.status(401).json({ error: 'Mot de passe actuel incorrect.' });
+
+    if (await bcrypt.compare(newPassword, user.password)) {
+      return res.status(400).json({ error: 'Le nouveau mot de passe doit être différent de l’actuel.' });
+    }
 
-    const token = jwt.sign({ userId: user.id }, JWT_SECRET, { expiresIn: '7d' });
+    const hashedPassword = await bcrypt.hash(newPassword, SALT_ROUNDS);
+    const [updated] = await prisma.$transaction([
+      prisma.user.update({
+        where: { id: user.id },
+        data: passwordUpdateData(hashedPassword)
+      }),
+      revokeUserSessions(prisma, user.id, { exceptId: req.user.sid })
+    ]);
 
-    res.json({ message: 'Connexion réussie', token });
+    // Session courante conservée (nouveau jeton d'accès) ; jeton antérieur aux sessions : nouvelle session
+    const tokens = req.user.sid
+      ? { token: signAccessToken(updated, req.user.sid) }
+      : await openSession(prisma, updated, clientMeta(req));
+
+    res.json({ message: 'Mot de passe modifié.', ...tokens });
   } catch (err) {
-    console.error(err);
+    console.error('Erreur POST /auth/password/change :', err);
     res.status(500).json({ error: 'Erreur serveur.' });
   }
 });
@@ -1,148 +1,191 @@
 const express = require('express');
 const router = express.Router();
-const { PrismaClient } = require('@prisma/client');
-const jwt = require('jsonwebtoken');
+const { PrismaClient, BookingStatus } = require('@prisma/client');
+const { emitBookingRequest } = require('../lib/messages');
+const {
+  checkTransition,
+  recordStatusChange,
+  applyTransition,
+  responseDeadlineFor
+} = require('../lib/bookingStatus');
+const { assertNoActiveDispute } = require('../lib/disputes');
+const { computeRefund } = require('../lib/cancellation');
+const { computeQuote, sendPricingError } = require('../lib/pricing');
+const { CURRENCY_CODES } = require('../lib/money');
+const { convertAmount, loadRates, requireRate, sendRateError } = require('../lib/exchangeRates');
+const { STAY_RULES_SELECT, validateStay } = require('../lib/availability');
+const { runSerializable } = require('../lib/transactions');
+const { startOfUTCDay } = require('../lib/dates');
+const { HOST_CONTACT_SELECT, hostPhoneFor } = require('../lib/contact');
+const { notify, notifyBookingStatus } = require('../lib/notifications');
+const { createLease, cancelLease } = require('../lib/leases');
+const {
+  depositAmountFor,
+  ledgerSummary,
+  adjustCharge,
+  openLedger,
+  settleCancellation
+} = require('../lib/payments');
+const { enumValues, requireFields, atLeastOneField, validateBody } = require('../lib/validation');
+const {
+  authenticate,
+  requireRole,
+  authorize,
+  accessContext,
+  bookingActorRoles,
+  policies
+} = require('../lib/auth');
 
 const prisma = new PrismaClient();
-const JWT_SECRET = process.env.JWT_SECRET || 'secret_key_dev';
 
 /* =========================
    🔐 Auth & Roles
 ========================= */
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'Token manquant.' });
-
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(403).json({ error: 'Token invalide.' });
-    req.user = decoded; // { userId: ... }
-    next();
-  });
-}
-
-function authorizeRoles(...allowedRoles) {
-  return async (req, res, next) => {
-    try {
-      const roles = await prisma.userRoleOnUser.findMany({
-        where: { userId: req.user.userId, active: true },
-        select: { role: true }
-      });
-      const userRoles = roles.map(r => r.role);
-      const hasAccess = userRoles.some(role => allowedRoles.includes(role));
-      if (!hasAccess) return res.status(403).json({ error: 'Accès interdit. Rôle insuffisant.' });
-      next();
-    } catch (err) {
-      console.error('Erreur autorisation rôle :', err);
-      res.status(500).json({ error: 'Erreur serveur.' });
-    }
-  };
+const authenticateToken = authenticate(prisma);
+const isAdmin = requireRole(prisma, 'admin');
+const guestOnly = authorize(prisma, { booking: 'id' }, [policies.guestOfBooking]);
+
+const BOOKING_CONFLICT_ERROR = { error: 'Ce créneau vient d’être réservé. Merci de choisir d’autres dates.' };
+const STATUS_CHANGED_ERROR = { error: 'La réservation vient de changer de statut. Rechargez-la avant de réessayer.' };
+const DISPUTE_FROZEN_ERROR = { error: 'Un litige est en cours sur cette réservation. Modification impossible.' };
+const LEASE_STARTED_ERROR = { error: 'Bail en cours : donnez plutôt un préavis (POST /leases/:id/notice).' };
+const LEASE_DATES_ERROR = { error: 'Les dates d’un bail se modifient par renouvellement ou préavis (/leases/:id).' };
+
+// Réservation longue durée confirmée : c'est un bail, annulable seulement avant l'entrée dans les lieux
+function leaseStarted(booking, now = new Date()) {
+  return booking.rentalType === 'long_term' && booking.status === 'confirmed' && now >= booking.checkInDate;
 }
 
-const isAdmin = authorizeRoles('admin');
+/* =========================
+   ✅ Schémas de validation
+========================= */
+const BOOKING_FIELDS = {
+  checkInDate:     { type: 'date' },
+  checkOutDate:    { type: 'date' },
+  guestsCount:     { type: 'integer', min: 1 },
+  specialRequests: { type: 'string', maxLength: 2000, nullable: true }
+};
+
+const createBookingSchema = {
+  propertyId: { type: 'uuid', required: true },
+  // Devise d'affichage du voyageur : le taux du jour est figé sur la réservation
+  currency:   { type: 'enum', values: CURRENCY_CODES },
+  ...requireFields(BOOKING_FIELDS, ['checkInDate', 'checkOutDate', 'guestsCount'])
+};
+
+const statusSchema = {
+  status: { type: 'enum', values: enumValues(BookingStatus), required: true },
+  note:   { type: 'string', maxLength: 1000, nullable: true }
+};
+
+const cancelSchema = {
+  reason: { type: 'string', maxLength: 1000, nullable: true }
+};
 
 /* =========================
    🛠 Utils (dates & calculs)
 ========================= */
-function toDate(d) { return new Date(d); }
+// Les séjours sont gérés au jour près (UTC) : heures d'arrivée/départ portées par le bien
+function toDate(d) {
+  const x = new Date(d);
+  return isNaN(x) ? x : startOfUTCDay(x);
+}
 function isValidRange(start, end) {
   return start instanceof Date && end instanceof Date && !isNaN(start) && !isNaN(end) && end > start;
 }
 
-// Vérifie s'il existe une réservation qui chevauche [start, end) pour ce bien
-async function hasOverlap(propertyId, start, end, excludeBookingId = null) {
-  const where = {
-    propertyId,
-    status: { in: ['pending', 'confirmed'] }, // on bloque si déjà réservé/confirmé
-    NOT: [
-      { checkOutDate: { lte: start } }, // fin ≤ début demandé
-      { checkInDate:  { gte: end } }    // début ≥ fin demandée
-    ]
-  };
-  if (excludeBookingId) where.id = { not: excludeBookingId };
-  const count = await prisma.booking.count({ where });
-  return count > 0;
-}
-
-async function getPropertyRentalType(propertyId) {
+async function getPropertyBookingInfo(propertyId) {
   const data = await prisma.property.findUnique({
     where: { id: propertyId },
-    select: { rentalType: true }
+    select: { ...STAY_RULES_SELECT, title: true, currency: true, depositPercent: true }
   });
-  return data?.rentalType || null;
-}
-
-// Recalcule le montant selon le rentalType du bien
-async function computeTotalAmount(propertyId, start, end) {
-  const prop = await prisma.property.findUnique({
-    where: { id: propertyId },
-    select: { rentalType: true, pricePerNight: true, pricePerMonth: true }
-  });
-  if (!prop) throw new Error('PROPERTY_NOT_FOUND');
-
-  const durationInDays = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-
-  if (prop.rentalType === 'short_term') {
-    if (!prop.pricePerNight) throw new Error('MISSING_NIGHT_PRICE');
-    return durationInDays * prop.pricePerNight;
-  }
-  if (prop.rentalType === 'long_term') {
-    if (!prop.pricePerMonth) throw new Error('MISSING_MONTH_PRICE');
-    return prop.pricePerMonth;
-  }
-  throw new Error('INVALID_RENTAL_TYPE');
+  return data || null;
 }
 
 /* =========================
    📥 Créer une réservation
 ========================= */
 // POST /bookings
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, validateBody(createBookingSchema), async (req, res) => {
   const {
     propertyId,
     checkInDate,
     checkOutDate,
     guestsCount,
-    specialRequests
-  } = req.body || {};
+    specialRequests,
+    currency
+  } = req.body;
 
   try {
     const start = toDate(checkInDate);
     const end   = toDate(checkOutDate);
 
-    if (!propertyId || !guestsCount || !isValidRange(start, end)) {
-      return res.status(400).json({ error: 'Paramètres invalides.' });
+    if (!isValidRange(start, end)) {
+      return res.status(400).json({ error: 'Plage de dates invalide.' });
     }
 
-    // Refus si chevauchement
-    if (await hasOverlap(propertyId, start, end)) {
-      return res.status(409).json({ error: 'Ce créneau est déjà réservé.' });
+    const property    = await getPropertyBookingInfo(propertyId);
+    if (!property) return res.status(404).json({ error: 'Bien introuvable.' });
+
+    // Taux figé si le voyageur a choisi une autre devise que celle du bien
+    let guestRate = null;
+    if (currency && currency !== property.currency) {
+      guestRate = requireRate(await loadRates(prisma), property.currency, currency);
     }
 
-    const totalAmount = await computeTotalAmount(propertyId, start, end);
-    const rentalType  = await getPropertyRentalType(propertyId);
-    if (!rentalType) return res.status(404).json({ error: 'Bien introuvable.' });
-
-    const booking = await prisma.booking.create({
-      data: {
-        propertyId,
-        guestId: req.user.userId,
-        checkInDate: start,
-        checkOutDate: end,
-        guestsCount,
-        rentalType,              // injecté automatiquement depuis la propriété
-        totalAmount,
-        specialRequests: specialRequests || null
-      }
+    // Vérification + insertion atomiques : deux demandes concurrentes sur les mêmes dates
+    // ne peuvent pas réussir toutes les deux (la seconde reçoit un 409).
+    const result = await runSerializable(prisma, async (tx) => {
+      // Refus si bien inactif, capacité dépassée, règles de séjour non respectées
+      // ou jours indisponibles (déjà réservés / bloqués par l'hôte)
+      const invalid = await validateStay(tx, property, start, end, guestsCount);
+      if (invalid) return { invalid };
+
+      const quote = await computeQuote(tx, propertyId, start, end, { guests: guestsCount });
+
+      const created = await tx.booking.create({
+        data: {
+          propertyId,
+          guestId: req.user.userId,
+          checkInDate: start,
+          checkOutDate: end,
+          guestsCount,
+          rentalType: property.rentalType, // injecté automatiquement depuis la propriété
+          currency: quote.currency,
+          totalAmount: quote.total,
+          priceBreakdown: quote,
+          depositAmount: depositAmountFor(quote.total, property.depositPercent),
+          ...(guestRate !== null ? {
+            guestCurrency: currency,
+            exchangeRate: guestRate,
+            guestTotalAmount: convertAmount(quote.total, quote.currency, currency, guestRate)
+          } : {}),
+          specialRequests: specialRequests || null,
+          responseDeadline: responseDeadlineFor(start)
+        }
+      });
+      await openLedger(tx, created);
+      await recordStatusChange(tx, {
+        bookingId: created.id,
+        toStatus: created.status,
+        actorId: req.user.userId
+      });
+      // 📨 Message automatique "booking_request" vers l'hôte
+      await emitBookingRequest(tx, created, property.hostId);
+      return { booking: created };
     });
 
+    if (result.invalid) return res.status(result.invalid.status).json(result.invalid);
+    const { booking } = result;
+
+    await notify(prisma, property.hostId, 'booking_received', { booking, property });
+
     res.status(201).json({ message: 'Réservation enregistrée.', booking });
   } catch (err) {
     console.error('Erreur POST /bookings :', err);
-    if (err.message === 'PROPERTY_NOT_FOUND')   return res.status(404).json({ error: 'Bien introuvable.' });
-    if (err.message === 'MISSING_NIGHT_PRICE')  return res.status(400).json({ error: 'Tarif par nuit manquant pour ce bien.' });
-    if (err.message === 'MISSING_MONTH_PRICE')  return res.status(400).json({ error: 'Tarif mensuel manquant pour ce bien.' });
-    if (err.message === 'INVALID_RENTAL_TYPE')  return res.status(400).json({ error: 'Type de location invalide.' });
+    if (err.message === 'SERIALIZATION_CONFLICT') return res.status(409).json(BOOKING_CONFLICT_ERROR);
+    if (sendPricingError(res, err)) return;
+    if (sendRateError(res, err)) return;
     res.status(500).json({ error: 'Erreur serveur.' });
   }
 });
@@ -151,16 +194,25 @@ router.post('/', authenticateToken, async (req, res) => {
    📄 Voir ses réservations (guest)
 ========================= */
 // GET /bookings
+// Le numéro de l'hôte n'apparaît que s'il l'autorise (contactVisibility) et que la réservation est confirmée
 router.get('/', authenticateToken, async (req, res) => {
   try {
     const bookings = await prisma.booking.findMany({
       where: { guestId: req.user.userId },
       include: {
-        property: { select: { id: true, title: true, address: true, city: true } }
+        property: {
+          select: {
+            id: true, title: true, address: true, city: true,
+            host: { select: { id: true, firstName: true, lastName: true, ...HOST_CONTACT_SELECT } }
+          }
+        }
       },
       orderBy: { createdAt: 'desc' }
     });
-    res.json(bookings);
+    res.json(bookings.map(b => {
+      const { phoneNumber, contactVisibility, ...host } = b.property.host;
+      return { ...b, property: { ...b.property, host: { ...host, phoneNumber: hostPhoneFor(b) } } };
+    }));
   } catch (err) {
     console.error('Erreur GET /bookings :', err);
     res.status(500).json({ error: 'Erreur serveur.' });
@@ -168,18 +220,22 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 /* =========================
-   ✏️ Modifier une réservation (guest) 
-   + anti-overlap + recalcul
+   ✏️ Modifier une réservation (guest)
+   + calendrier / capacité + recalcul
 ========================= */
 // PATCH /bookings/:id
-router.patch('/:id', authenticateToken, async (req, res) => {
+router.patch('/:id', authenticateToken, validateBody(BOOKING_FIELDS, { check: atLeastOneField }), guestOnly, async (req, res) => {
   const { id } = req.params;
-  const { checkInDate, checkOutDate, guestsCount, specialRequests } = req.body || {};
+  const { checkInDate, checkOutDate, guestsCount, specialRequests } = req.body;
 
   try {
     const existing = await prisma.booking.findUnique({ where: { id } });
-    if (!existing) return res.status(404).json({ error: 'Réservation introuvable.' });
-    if (existing.guestId !== req.user.userId) return res.status(403).json({ error: 'Non autorisé.' });
+    if (!['pending', 'confirmed'].includes(existing.status)) {
+      return res.status(400).json({ error: 'Seule une réservation en attente ou confirmée peut être modifiée.' });
+    }
+    if ((checkInDate || checkOutDate) && existing.rentalType === 'long_term' && existing.status === 'confirmed') {
+      return res.status(409).json(LEASE_DATES_ERROR);
+    }
 
     const start = checkInDate ? toDate(checkInDate) : existing.checkInDate;
     const end   = checkOutDate ? toDate(checkOutDate) : existing.checkOutDate;
@@ -187,31 +243,59 @@ router.patch('/:id', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Plage de dates invalide.' });
     }
 
-    // Refus si chevauchement (on exclut la resa elle-même)
-    if (await hasOverlap(existing.propertyId, start, end, existing.id)) {
-      return res.status(409).json({ error: 'Ce créneau est déjà réservé.' });
-    }
+    const property = await getPropertyBookingInfo(existing.propertyId);
+    const newGuestsCount = (guestsCount !== undefined ? guestsCount : existing.guestsCount);
+    const datesChanged = !!(checkInDate || checkOutDate);
 
-    // Recalcul si les dates changent
-    let totalAmount = existing.totalAmount;
-    if (checkInDate || checkOutDate) {
-      totalAmount = await computeTotalAmount(existing.propertyId, start, end);
+    if (!datesChanged && (!Number.isInteger(newGuestsCount) || newGuestsCount < 1 || newGuestsCount > property.maxGuests)) {
+      return res.status(400).json({ error: `Nombre de voyageurs invalide (maximum ${property.maxGuests}).` });
     }
 
-    const updated = await prisma.booking.update({
-      where: { id },
-      data: {
-        checkInDate: start,
-        checkOutDate: end,
-        guestsCount: (typeof guestsCount === 'number' ? guestsCount : existing.guestsCount),
-        specialRequests: (specialRequests !== undefined ? specialRequests : existing.specialRequests),
-        totalAmount
+    const result = await runSerializable(prisma, async (tx) => {
+      await assertNoActiveDispute(tx, id);
+      // Recalcul si les dates changent
+      let pricing = {};
+      if (datesChanged) {
+        // Mêmes règles qu'à la création (on exclut la resa elle-même du calendrier)
+        const invalid = await validateStay(tx, property, start, end, newGuestsCount, {
+          excludeBookingId: existing.id,
+          allowPastStart: start.getTime() === startOfUTCDay(existing.checkInDate).getTime()
+        });
+        if (invalid) return { invalid };
+
+        const quote = await computeQuote(tx, existing.propertyId, start, end, { guests: newGuestsCount });
+        pricing = { totalAmount: quote.total, priceBreakdown: quote };
+        // Montant converti recalculé au taux figé à la réservation
+        if (existing.guestCurrency) {
+          pricing.guestTotalAmount = convertAmount(quote.total, existing.currency, existing.guestCurrency, existing.exchangeRate);
+        }
+        // Acompte recalculé tant que la demande n'est pas confirmée
+        if (existing.status === 'pending') pricing.depositAmount = depositAmountFor(quote.total, property.depositPercent);
+        await adjustCharge(tx, id, quote.total, 'Modification de la réservation');
       }
+
+      const booking = await tx.booking.update({
+        where: { id },
+        data: {
+          checkInDate: start,
+          checkOutDate: end,
+          guestsCount: newGuestsCount,
+          specialRequests: (specialRequests !== undefined ? specialRequests : existing.specialRequests),
+          ...pricing
+        }
+      });
+      return { booking };
     });
 
+    if (result.invalid) return res.status(result.invalid.status).json(result.invalid);
+    const updated = result.booking;
+
     res.json({ message: 'Réservation modifiée.', booking: updated });
   } catch (err) {
+    if (err.message === 'DISPUTE_FROZEN') return res.status(409).json(DISPUTE_FROZEN_ERROR);
     console.error('Erreur PATCH /bookings/:id :', err);
+    if (err.message === 'SERIALIZATION_CONFLICT') return res.status(409).json(BOOKING_CONFLICT_ERROR);
+    if (sendPricingError(res, err)) return;
     res.status(500).json({ error: 'Erreur serveur.' });
   }
 });
@@ -245,12 +329,14 @@ router.get('/received', authenticateToken, async (req, res) => {
 });
 
 /* =========================
-   ✅ Changer statut (host ou superviseur assigné)
+   ✅ Changer statut (machine à états)
+   - voyageur : annuler
+   - hôte / superviseur assigné : confirmer, annuler, terminer (après le départ)
 ========================= */
 // PATCH /bookings/:id/status
-router.patch('/:id/status', authenticateToken, async (req, res) => {
+router.patch('/:id/status', authenticateToken, validateBody(statusSchema), async (req, res) => {
   const { id } = req.params;
-  const { status } = (req.body || {}); // expected: confirmed, cancelled, completed
+  const { status, note } = req.body; // expected: confirmed, cancelled, completed
   const userId = req.user.userId;
 
   try {
@@ -262,41 +348,148 @@ router.patch('/:id/status', authenticateToken, async (req, res) => {
 
     const property = booking.property;
 
-    const isHost = property.hostId === userId;
-    const isAssignedSupervisor = await prisma.supervision.findFirst({
-      where: { propertyId: property.id, supervisorId: userId, active: true }
-    });
-
-    if (!isHost && !isAssignedSupervisor) {
+    // Superviseurs : seulement avec la permission change_booking_status
+    const ctx = await accessContext(prisma, userId, { booking });
+    const actorRoles = bookingActorRoles(ctx, 'change_booking_status');
+    if (actorRoles.length === 0) {
       return res.status(403).json({ error: 'Non autorisé à modifier cette réservation.' });
     }
 
-    const updated = await prisma.booking.update({
-      where: { id },
-      data: { status }
+    const check = checkTransition(booking, status, actorRoles);
+    if (!check.ok) return res.status(check.status).json({ error: check.error });
+
+    if (status === 'cancelled' && leaseStarted(booking)) return res.status(409).json(LEASE_STARTED_ERROR);
+
+    // Confirmation : l'acompte éventuel doit avoir été encaissé
+    if (status === 'confirmed' && booking.depositAmount) {
+      const summary = await ledgerSummary(prisma, booking);
+      if (!summary.depositPaid) {
+        return res.status(409).json({
+          error: 'Acompte non réglé : la réservation ne peut pas encore être confirmée.',
+          depositAmount: booking.depositAmount,
+          paid: summary.paid
+        });
+      }
+    }
+
+    // Annulation : remboursement calculé (total si l'hôte ou un superviseur annule)
+    let refund = null;
+    const data = {};
+    if (status === 'cancelled') {
+      refund = computeRefund(booking, property, { byHost: !actorRoles.includes('guest') });
+      data.refundAmount = refund.refundAmount;
+      data.cancelledAt = new Date();
+    }
+
+    const updated = await prisma.$transaction(async (tx) => {
+      await assertNoActiveDispute(tx, id);
+      const result = await applyTransition(tx, booking, property.hostId, status, userId, { note: note || null, data });
+      if (status === 'cancelled') {
+        await settleCancellation(tx, booking, refund.refundAmount);
+        await cancelLease(tx, booking.id);
+      }
+      // Longue durée : la confirmation ouvre le bail et son échéancier
+      if (status === 'confirmed' && booking.rentalType === 'long_term') await createLease(tx, result, property);
+      return result;
     });
+    await notifyBookingStatus(prisma, updated, property, userId);
 
-    res.json({ message: 'Statut mis à jour.', booking: updated });
+    res.json({ message: 'Statut mis à jour.', booking: updated, ...(refund ? { refund } : {}) });
   } catch (err) {
+    if (err.message === 'BOOKING_STATUS_CHANGED') return res.status(409).json(STATUS_CHANGED_ERROR);
+    if (err.message === 'DISPUTE_FROZEN') return res.status(409).json(DISPUTE_FROZEN_ERROR);
     console.error('Erreur PATCH /bookings/:id/status :', err);
     res.status(500).json({ error: 'Erreur serveur.' });
   }
 });
 
 /* =========================
-   ❌ Annuler une réservation (guest)
+   🕓 Historique des statuts
 ========================= */
-// DELETE /bookings/:id
-router.delete('/:id', authenticateToken, async (req, res) => {
+// GET /bookings/:id/history
+router.get('/:id/history', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
   try {
-    const booking = await prisma.booking.findUnique({ where: { id: req.params.id } });
-    if (!booking || booking.guestId !== req.user.userId) {
+    const booking = await prisma.booking.findUnique({
+      where: { id },
+      include: { property: { select: { id: true, hostId: true } } }
+    });
+    if (!booking) return res.status(404).json({ error: 'Réservation introuvable.' });
+
+    const ctx = await accessContext(prisma, userId, { booking });
+    if (bookingActorRoles(ctx).length === 0 && !policies.admin(ctx)) {
       return res.status(403).json({ error: 'Non autorisé.' });
     }
 
-    await prisma.booking.delete({ where: { id: req.params.id } });
-    res.json({ message: 'Réservation annulée.' });
+    const history = await prisma.bookingStatusHistory.findMany({
+      where: { bookingId: id },
+      include: { actor: { select: { id: true, firstName: true, lastName: true } } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json(history);
+  } catch (err) {
+    console.error('Erreur GET /bookings/:id/history :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   ❌ Annuler une réservation (guest)
+   Annulation logique : statut "cancelled" + remboursement selon la politique du bien
+========================= */
+// GET /bookings/:id/refund-preview : montant remboursable si le voyageur annule maintenant
+router.get('/:id/refund-preview', authenticateToken, guestOnly, async (req, res) => {
+  try {
+    const booking = await prisma.booking.findUnique({
+      where: { id: req.params.id },
+      include: { property: true }
+    });
+
+    const check = checkTransition(booking, 'cancelled', ['guest']);
+    if (!check.ok) return res.status(check.status).json({ error: check.error });
+
+    res.json(computeRefund(booking, booking.property));
+  } catch (err) {
+    console.error('Erreur GET /bookings/:id/refund-preview :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// DELETE /bookings/:id
+router.delete('/:id', authenticateToken, validateBody(cancelSchema), guestOnly, async (req, res) => {
+  const userId = req.user.userId;
+
+  try {
+    const booking = await prisma.booking.findUnique({
+      where: { id: req.params.id },
+      include: { property: true }
+    });
+
+    const check = checkTransition(booking, 'cancelled', ['guest']);
+    if (!check.ok) return res.status(check.status).json({ error: check.error });
+
+    if (leaseStarted(booking)) return res.status(409).json(LEASE_STARTED_ERROR);
+
+    const refund = computeRefund(booking, booking.property);
+    const updated = await prisma.$transaction(async (tx) => {
+      await assertNoActiveDispute(tx, booking.id);
+      const result = await applyTransition(tx, booking, booking.property.hostId, 'cancelled', userId, {
+        note: req.body.reason || null,
+        data: { refundAmount: refund.refundAmount, cancelledAt: new Date() }
+      });
+      await settleCancellation(tx, booking, refund.refundAmount);
+      await cancelLease(tx, booking.id);
+      return result;
+    });
+    await notifyBookingStatus(prisma, updated, booking.property, userId);
+
+    res.json({ message: 'Réservation annulée.', refund, booking: updated });
   } catch (err) {
+    if (err.message === 'BOOKING_STATUS_CHANGED') return res.status(409).json(STATUS_CHANGED_ERROR);
+    if (err.message === 'DISPUTE_FROZEN') return res.status(409).json(DISPUTE_FROZEN_ERROR);
     console.error('Erreur DELETE /bookings/:id :', err);
     res.status(500).json({ error: 'Erreur serveur.' });
   }
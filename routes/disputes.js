@@ -0,0 +1,316 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient, DisputeStatus } = require('@prisma/client');
+const {
+  ACTIVE_DISPUTE_STATUSES,
+  canTransitionDispute,
+  isDisputeClosed
+} = require('../lib/disputes');
+const { lockBooking } = require('../lib/transactions');
+const { validateBody, enumValues } = require('../lib/validation');
+const { authenticate, requireRole, hasRole } = require('../lib/auth');
+
+const prisma = new PrismaClient();
+
+// --- Auth middleware
+const authenticateToken = authenticate(prisma);
+
+// --- Role middleware
+const isAdmin = requireRole(prisma, 'admin');
+
+/* =========================
+   🛠 Utils
+========================= */
+const evidenceListRule = { type: 'array', items: { type: 'url', maxLength: 2048 }, maxLength: 20 };
+
+const createDisputeSchema = {
+  bookingId:    { type: 'uuid', required: true },
+  reason:       { type: 'string', required: true, minLength: 1, maxLength: 2000 },
+  evidenceUrls: evidenceListRule
+};
+
+const disputeMessageSchema = {
+  content: { type: 'string', required: true, minLength: 1, maxLength: 5000 }
+};
+
+const addEvidenceSchema = {
+  evidenceUrls: { ...evidenceListRule, required: true, minLength: 1 }
+};
+
+const disputeStatusSchema = {
+  status:     { type: 'enum', values: enumValues(DisputeStatus), required: true },
+  resolution: { type: 'string', maxLength: 5000 }
+};
+
+// Parties du litige : voyageur et hôte de la réservation
+function disputeParties(dispute) {
+  return [dispute.booking.guestId, dispute.booking.property.hostId];
+}
+
+// Un seul litige actif par réservation
+function findActiveDispute(bookingId) {
+  return prisma.dispute.findFirst({
+    where: { bookingId, status: { in: ACTIVE_DISPUTE_STATUSES } },
+    select: { id: true }
+  });
+}
+
+function sendAlreadyActive(res, active) {
+  return res.status(409).json({ error: 'Un litige est déjà en cours sur cette réservation.', disputeId: active ? active.id : null });
+}
+
+async function loadDispute(id) {
+  return prisma.dispute.findUnique({
+    where: { id },
+    include: {
+      booking: {
+        select: {
+          id: true,
+          guestId: true,
+          status: true,
+          checkInDate: true,
+          checkOutDate: true,
+          property: { select: { id: true, title: true, hostId: true } }
+        }
+      },
+      raisedBy:   { select: { id: true, firstName: true, lastName: true } },
+      resolvedBy: { select: { id: true, firstName: true, lastName: true } }
+    }
+  });
+}
+
+/* =========================
+   🚩 Ouvrir un litige
+========================= */
+// POST /disputes { bookingId, reason, evidenceUrls? }
+router.post('/', authenticateToken, validateBody(createDisputeSchema), async (req, res) => {
+  const { bookingId, reason, evidenceUrls = [] } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: { property: { select: { hostId: true } } }
+    });
+    if (!booking) return res.status(404).json({ error: 'Réservation introuvable.' });
+
+    const hostId = booking.property.hostId;
+    if (userId !== booking.guestId && userId !== hostId) {
+      return res.status(403).json({ error: 'Seuls le voyageur et l’hôte peuvent ouvrir un litige.' });
+    }
+
+    const active = await findActiveDispute(bookingId);
+    if (active) return sendAlreadyActive(res, active);
+
+    const againstUser = userId === booking.guestId ? hostId : booking.guestId;
+
+    // Verrou de la réservation : une transition en cours (routes /bookings) se termine avant l'ouverture.
+    // L'index unique partiel Dispute_bookingId_active_key refuse un second litige actif (P2002).
+    const dispute = await prisma.$transaction(async (tx) => {
+      await lockBooking(tx, bookingId);
+      const created = await tx.dispute.create({
+        data: {
+          bookingId,
+          raisedById: userId,
+          againstUser,
+          reason,
+          evidenceUrls
+        }
+      });
+      // 📨 Message "dispute" vers la partie adverse
+      await tx.message.create({
+        data: {
+          senderId: userId,
+          recipientId: againstUser,
+          bookingId,
+          disputeId: created.id,
+          messageType: 'dispute',
+          content: `Litige ouvert : ${created.reason}`
+        }
+      });
+      return created;
+    });
+
+    res.status(201).json({ message: 'Litige ouvert. La réservation est gelée jusqu’à sa résolution.', dispute });
+  } catch (err) {
+    if (err.code === 'P2002') return sendAlreadyActive(res, await findActiveDispute(bookingId));
+    console.error('Erreur POST /disputes :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   📄 Mes litiges
+========================= */
+// GET /disputes
+router.get('/', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+
+  try {
+    const disputes = await prisma.dispute.findMany({
+      where: { OR: [{ raisedById: userId }, { againstUser: userId }] },
+      include: {
+        booking: { select: { id: true, checkInDate: true, checkOutDate: true, property: { select: { id: true, title: true } } } }
+      },
+      orderBy: { createdAt: 'desc' }
+    });
+    res.json(disputes);
+  } catch (err) {
+    console.error('Erreur GET /disputes :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🛡️ Tous les litiges (admin)
+========================= */
+// GET /disputes/all?status=open
+router.get('/all', authenticateToken, isAdmin, async (req, res) => {
+  const { status } = req.query;
+
+  try {
+    const disputes = await prisma.dispute.findMany({
+      where: status ? { status } : {},
+      include: {
+        booking:  { select: { id: true, guestId: true, property: { select: { id: true, title: true, hostId: true } } } },
+        raisedBy: { select: { id: true, firstName: true, lastName: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+    res.json(disputes);
+  } catch (err) {
+    console.error('Erreur GET /disputes/all :', err);
+    if (err.name === 'PrismaClientValidationError') return res.status(400).json({ error: 'Statut invalide.' });
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🔍 Détail d'un litige (parties + admin)
+========================= */
+// GET /disputes/:id
+router.get('/:id', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+
+  try {
+    const dispute = await loadDispute(req.params.id);
+    if (!dispute) return res.status(404).json({ error: 'Litige introuvable.' });
+
+    if (!disputeParties(dispute).includes(userId) && !(await hasRole(prisma, userId, 'admin'))) {
+      return res.status(403).json({ error: 'Non autorisé.' });
+    }
+
+    const messages = await prisma.message.findMany({
+      where: { disputeId: dispute.id },
+      include: { sender: { select: { id: true, firstName: true, lastName: true } } },
+      orderBy: { createdAt: 'asc' }
+    });
+
+    res.json({ ...dispute, messages });
+  } catch (err) {
+    console.error('Erreur GET /disputes/:id :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   💬 Message sur un litige
+========================= */
+// POST /disputes/:id/messages { content }
+// Partie → partie adverse ; admin → les deux parties
+router.post('/:id/messages', authenticateToken, validateBody(disputeMessageSchema), async (req, res) => {
+  const { content } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const dispute = await loadDispute(req.params.id);
+    if (!dispute) return res.status(404).json({ error: 'Litige introuvable.' });
+    if (isDisputeClosed(dispute)) return res.status(400).json({ error: 'Ce litige est clôturé.' });
+
+    const parties = disputeParties(dispute);
+    let recipients;
+    if (parties.includes(userId)) recipients = parties.filter(p => p !== userId);
+    else if (await hasRole(prisma, userId, 'admin')) recipients = parties;
+    else return res.status(403).json({ error: 'Non autorisé.' });
+
+    const messages = await prisma.$transaction(recipients.map(recipientId =>
+      prisma.message.create({
+        data: {
+          senderId: userId,
+          recipientId,
+          bookingId: dispute.bookingId,
+          disputeId: dispute.id,
+          messageType: 'dispute',
+          content
+        }
+      })
+    ));
+
+    res.status(201).json({ message: 'Message ajouté au litige.', messages });
+  } catch (err) {
+    console.error('Erreur POST /disputes/:id/messages :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   📎 Ajouter des preuves
+========================= */
+// POST /disputes/:id/evidence { evidenceUrls: [...] }
+router.post('/:id/evidence', authenticateToken, validateBody(addEvidenceSchema), async (req, res) => {
+  const { evidenceUrls } = req.body;
+
+  try {
+    const dispute = await loadDispute(req.params.id);
+    if (!dispute) return res.status(404).json({ error: 'Litige introuvable.' });
+    if (!disputeParties(dispute).includes(req.user.userId)) return res.status(403).json({ error: 'Non autorisé.' });
+    if (isDisputeClosed(dispute)) return res.status(400).json({ error: 'Ce litige est clôturé.' });
+
+    const updated = await prisma.dispute.update({
+      where: { id: dispute.id },
+      data: { evidenceUrls: { push: evidenceUrls } }
+    });
+
+    res.json({ message: 'Preuves ajoutées.', dispute: updated });
+  } catch (err) {
+    console.error('Erreur POST /disputes/:id/evidence :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🛡️ Arbitrage (admin)
+========================= */
+// PATCH /disputes/:id/status { status, resolution? }
+// open → under_review → resolved | rejected (résolution obligatoire pour clôturer)
+router.patch('/:id/status', authenticateToken, isAdmin, validateBody(disputeStatusSchema), async (req, res) => {
+  const { status, resolution } = req.body;
+
+  try {
+    const dispute = await prisma.dispute.findUnique({ where: { id: req.params.id } });
+    if (!dispute) return res.status(404).json({ error: 'Litige introuvable.' });
+
+    if (!canTransitionDispute(dispute.status, status)) {
+      return res.status(400).json({ error: `Transition ${dispute.status} → ${status} non autorisée.` });
+    }
+
+    const closing = status === 'resolved' || status === 'rejected';
+    if (closing && !resolution) {
+      return res.status(400).json({ error: 'Une résolution est requise pour clôturer le litige.' });
+    }
+
+    const updated = await prisma.dispute.update({
+      where: { id: dispute.id },
+      data: closing
+        ? { status, resolution, resolvedAt: new Date(), resolvedById: req.user.userId }
+        : { status }
+    });
+
+    res.json({ message: 'Statut du litige mis à jour.', dispute: updated });
+  } catch (err) {
+    console.error('Erreur PATCH /disputes/:id/status :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+module.exports = router;
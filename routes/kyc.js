@@ -1,55 +1,44 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
-const jwt = require('jsonwebtoken');
+const { validateBody } = require('../lib/validation');
+const { authenticate, requireRole } = require('../lib/auth');
+const { uploadUrl } = require('../lib/uploads');
+const { notify } = require('../lib/notifications');
 
 const prisma = new PrismaClient();
-const JWT_SECRET = process.env.JWT_SECRET || 'secret_key_dev';
 
 // --- Auth middleware
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'Token manquant.' });
-
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(403).json({ error: 'Token invalide.' });
-    req.user = decoded; // { userId: ... }
-    next();
-  });
-}
+const authenticateToken = authenticate(prisma);
 
 // --- Role middleware
-function authorizeRoles(...allowedRoles) {
-  return async (req, res, next) => {
-    try {
-      const roles = await prisma.userRoleOnUser.findMany({
-        where: { userId: req.user.userId, active: true },
-        select: { role: true }
-      });
-      const userRoles = roles.map(r => r.role);
-      const ok = userRoles.some(r => allowedRoles.includes(r));
-      if (!ok) return res.status(403).json({ error: 'Accès interdit. Rôle insuffisant.' });
-      next();
-    } catch (err) {
-      console.error('Erreur autorisation rôle :', err);
-      res.status(500).json({ error: 'Erreur serveur.' });
-    }
-  };
-}
+const isAdmin = requireRole(prisma, 'admin');
+
+const submitKycSchema = {
+  // Fichiers envoyés au préalable via POST /uploads/kyc-documents (privés)
+  documentIds:  { type: 'array', required: true, minLength: 1, maxLength: 10, items: { type: 'uuid' } },
+  note:         { type: 'string', maxLength: 1000, nullable: true }
+};
 
-const isAdmin = authorizeRoles('admin');
+const reviewKycSchema = {
+  note: { type: 'string', maxLength: 1000, nullable: true }
+};
 
 // ---------------------------
 // 👤 Utilisateur : soumettre KYC
-router.post('/submit', authenticateToken, async (req, res) => {
-  const { documentUrls, note } = req.body || {};
-
-  if (!Array.isArray(documentUrls) || documentUrls.length === 0) {
-    return res.status(400).json({ error: 'Au moins un document est requis.' });
-  }
+router.post('/submit', authenticateToken, validateBody(submitKycSchema), async (req, res) => {
+  const documentIds = [...new Set(req.body.documentIds)];
+  const { note } = req.body;
 
   try {
+    const uploads = await prisma.upload.findMany({
+      where: { id: { in: documentIds }, ownerId: req.user.userId, kind: 'kyc_document' },
+      select: { id: true }
+    });
+    if (uploads.length !== documentIds.length) {
+      return res.status(400).json({ error: 'Documents introuvables : envoyez-les via /uploads/kyc-documents.' });
+    }
+
     const existingPending = await prisma.kycVerification.findFirst({
       where: { userId: req.user.userId, status: 'pending' }
     });
@@ -60,7 +49,7 @@ router.post('/submit', authenticateToken, async (req, res) => {
     const kyc = await prisma.kycVerification.create({
       data: {
         userId: req.user.userId,
-        documentUrls,
+        documentUrls: documentIds.map(uploadUrl),
         note: note || null
       }
     });
@@ -142,9 +131,9 @@ router.get('/:id', authenticateToken, isAdmin, async (req, res) => {
 });
 
 // 🛡️ Admin : approuver
-router.patch('/:id/approve', authenticateToken, isAdmin, async (req, res) => {
+router.patch('/:id/approve', authenticateToken, isAdmin, validateBody(reviewKycSchema), async (req, res) => {
   const { id } = req.params;
-  const { note } = req.body || {};
+  const { note } = req.body;
 
   try {
     const kyc = await prisma.kycVerification.findUnique({ where: { id } });
@@ -166,6 +155,7 @@ router.patch('/:id/approve', authenticateToken, isAdmin, async (req, res) => {
         data: { verified: true }
       })
     ]);
+    await notify(prisma, kyc.userId, 'kyc_approved', { kyc: updated[0] });
 
     res.json({ message: 'KYC approuvé. Utilisateur vérifié.', kyc: updated[0] });
   } catch (err) {
@@ -175,9 +165,9 @@ router.patch('/:id/approve', authenticateToken, isAdmin, async (req, res) => {
 });
 
 // 🛡️ Admin : rejeter
-router.patch('/:id/reject', authenticateToken, isAdmin, async (req, res) => {
+router.patch('/:id/reject', authenticateToken, isAdmin, validateBody(reviewKycSchema), async (req, res) => {
   const { id } = req.params;
-  const { note } = req.body || {};
+  const { note } = req.body;
 
   try {
     const kyc = await prisma.kycVerification.findUnique({ where: { id } });
@@ -193,6 +183,7 @@ router.patch('/:id/reject', authenticateToken, isAdmin, async (req, res) => {
         note: note || null
       }
     });
+    await notify(prisma, kyc.userId, 'kyc_rejected', { kyc: updated });
 
     res.json({ message: 'KYC rejeté.', kyc: updated });
   } catch (err) {
@@ -0,0 +1,286 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, accessContext, bookingActorRoles, policies } = require('../lib/auth');
+const { validateBody } = require('../lib/validation');
+const { runSerializable } = require('../lib/transactions');
+const { startOfUTCDay, toISOyyyyMMdd } = require('../lib/dates');
+const { notify } = require('../lib/notifications');
+const {
+  MAX_RENEWAL_MONTHS,
+  INSTALLMENT_STATES,
+  presentInstallment,
+  leaseSummary,
+  earliestNoticeEnd,
+  giveNotice,
+  proposeRenewal,
+  clearRenewal,
+  acceptRenewal,
+  sendLeaseError
+} = require('../lib/leases');
+
+const prisma = new PrismaClient();
+
+/* =========================
+   🔐 Auth & Roles
+========================= */
+const authenticateToken = authenticate(prisma);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const LEASE_STATUSES = ['active', 'notice_given', 'ended', 'cancelled'];
+
+const noticeSchema = {
+  // Fin du bail souhaitée ; par défaut la plus proche permise par le préavis
+  endDate: { type: 'date' },
+  reason:  { type: 'string', maxLength: 1000, nullable: true }
+};
+
+const renewalSchema = {
+  months: { type: 'integer', min: 1, max: MAX_RENEWAL_MONTHS, required: true }
+};
+
+const LEASE_PROPERTY_SELECT = { id: true, title: true, address: true, city: true, hostId: true };
+
+function pageSize(limit) {
+  const n = parseInt(limit, 10);
+  if (!Number.isInteger(n) || n <= 0) return DEFAULT_PAGE_SIZE;
+  return Math.min(n, MAX_PAGE_SIZE);
+}
+
+// Bail et rôles de l'utilisateur vis-à-vis de lui (guest = locataire / host / supervisor / admin)
+async function loadLeaseAccess(id, userId) {
+  const lease = await prisma.lease.findUnique({
+    where: { id },
+    include: {
+      property: { select: LEASE_PROPERTY_SELECT },
+      tenant: { select: { id: true, firstName: true, lastName: true, phoneNumber: true } },
+      installments: { orderBy: { sequence: 'asc' } }
+    }
+  });
+  if (!lease) return { lease: null, roles: [] };
+  const ctx = await accessContext(prisma, userId, { booking: { guestId: lease.tenantId, property: lease.property } });
+  const roles = bookingActorRoles(ctx);
+  if (policies.admin(ctx)) roles.push('admin');
+  return { lease, roles };
+}
+
+// Parties au bail : locataire et hôte (préavis, renouvellement)
+function isParty(roles) {
+  return roles.includes('guest') || roles.includes('host');
+}
+
+// L'autre partie au bail
+function counterpartOf(lease, userId) {
+  return userId === lease.tenantId ? lease.property.hostId : lease.tenantId;
+}
+
+async function presentLease(lease, now = new Date()) {
+  const { installments, ...rest } = lease;
+  return {
+    ...rest,
+    summary: await leaseSummary(prisma, lease, now),
+    installments: installments.map(i => presentInstallment(i, now))
+  };
+}
+
+/* =========================
+   📋 Mes baux
+========================= */
+// GET /leases?role=tenant|host&status=&cursor=<id>&limit=20
+// Locataire et hôte ; sans `role`, les deux (plus récents d'abord)
+router.get('/', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+  const { role, status, cursor } = req.query;
+
+  if (role && !['tenant', 'host'].includes(role)) return res.status(400).json({ error: 'Rôle attendu : tenant ou host.' });
+  if (status && !LEASE_STATUSES.includes(status)) {
+    return res.status(400).json({ error: `Statut attendu : ${LEASE_STATUSES.join(', ')}.` });
+  }
+
+  const parties = [];
+  if (role !== 'host') parties.push({ tenantId: userId });
+  if (role !== 'tenant') parties.push({ property: { hostId: userId } });
+
+  try {
+    const take = pageSize(req.query.limit);
+    const now = new Date();
+    const rows = await prisma.lease.findMany({
+      where: { OR: parties, ...(status ? { status } : {}) },
+      include: {
+        property: { select: LEASE_PROPERTY_SELECT },
+        tenant: { select: { id: true, firstName: true, lastName: true } },
+        installments: { orderBy: { sequence: 'asc' } }
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: take + 1,
+      ...(cursor ? { cursor: { id: String(cursor) }, skip: 1 } : {})
+    });
+
+    const hasMore = rows.length > take;
+    const page = hasMore ? rows.slice(0, take) : rows;
+    const leases = await Promise.all(page.map(async ({ installments, ...lease }) => ({
+      ...lease,
+      summary: await leaseSummary(prisma, { ...lease, installments }, now)
+    })));
+    res.json({ leases, nextCursor: hasMore ? page[page.length - 1].id : null });
+  } catch (err) {
+    console.error('Erreur GET /leases :', err);
+    if (err.code === 'P2025') return res.status(400).json({ error: 'Curseur invalide.' });
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🔎 Détail & échéancier
+========================= */
+// GET /leases/:id : conditions, totaux (dû, en retard, prochaine échéance) et échéancier complet
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const { lease, roles } = await loadLeaseAccess(req.params.id, req.user.userId);
+    if (!lease || roles.length === 0) return res.status(404).json({ error: 'Bail introuvable.' });
+    res.json(await presentLease(lease));
+  } catch (err) {
+    console.error('Erreur GET /leases/:id :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// GET /leases/:id/installments?status=upcoming|due|overdue|paid|cancelled
+router.get('/:id/installments', authenticateToken, async (req, res) => {
+  const { status } = req.query;
+  if (status && !INSTALLMENT_STATES.includes(status)) {
+    return res.status(400).json({ error: `Statut attendu : ${INSTALLMENT_STATES.join(', ')}.` });
+  }
+
+  try {
+    const { lease, roles } = await loadLeaseAccess(req.params.id, req.user.userId);
+    if (!lease || roles.length === 0) return res.status(404).json({ error: 'Bail introuvable.' });
+
+    const now = new Date();
+    const installments = lease.installments.map(i => presentInstallment(i, now));
+    res.json({
+      currency: lease.currency,
+      installments: status ? installments.filter(i => i.status === status) : installments
+    });
+  } catch (err) {
+    console.error('Erreur GET /leases/:id/installments :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   📤 Préavis de résiliation (locataire ou hôte)
+========================= */
+// POST /leases/:id/notice { endDate?, reason? }
+// endDate ≥ aujourd'hui + préavis du bail, avant la fin prévue ; les loyers au-delà sont annulés
+router.post('/:id/notice', authenticateToken, validateBody(noticeSchema), async (req, res) => {
+  const userId = req.user.userId;
+
+  try {
+    const { lease, roles } = await loadLeaseAccess(req.params.id, userId);
+    if (!lease || roles.length === 0) return res.status(404).json({ error: 'Bail introuvable.' });
+    if (!isParty(roles)) return res.status(403).json({ error: 'Seuls le locataire et l’hôte peuvent donner un préavis.' });
+    if (lease.status !== 'active') return sendLeaseError(res, new Error('LEASE_NOT_ACTIVE'));
+
+    const earliest = earliestNoticeEnd(lease);
+    const endDate = req.body.endDate ? startOfUTCDay(req.body.endDate) : earliest;
+    if (endDate < earliest) {
+      return res.status(400).json({
+        error: `Préavis de ${lease.noticeDays} jours : fin du bail au plus tôt le ${toISOyyyyMMdd(earliest)}.`,
+        earliestEndDate: toISOyyyyMMdd(earliest)
+      });
+    }
+    if (endDate >= lease.endDate) {
+      return res.status(400).json({ error: `Le bail prend déjà fin le ${toISOyyyyMMdd(lease.endDate)}.` });
+    }
+
+    const updated = await prisma.$transaction(tx =>
+      giveNotice(tx, lease, { endDate, actorId: userId, reason: req.body.reason || null })
+    );
+    await notify(prisma, counterpartOf(lease, userId), 'lease_notice', { lease: updated, property: lease.property });
+
+    const { lease: current } = await loadLeaseAccess(lease.id, userId);
+    res.json({ message: `Préavis enregistré : fin du bail le ${toISOyyyyMMdd(endDate)}.`, lease: await presentLease(current) });
+  } catch (err) {
+    if (sendLeaseError(res, err)) return;
+    console.error('Erreur POST /leases/:id/notice :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🔁 Renouvellement (proposé par une partie, accepté par l'autre)
+========================= */
+// POST /leases/:id/renewal { months } : prolongation aux mêmes conditions
+router.post('/:id/renewal', authenticateToken, validateBody(renewalSchema), async (req, res) => {
+  const userId = req.user.userId;
+
+  try {
+    const { lease, roles } = await loadLeaseAccess(req.params.id, userId);
+    if (!lease || roles.length === 0) return res.status(404).json({ error: 'Bail introuvable.' });
+    if (!isParty(roles)) return res.status(403).json({ error: 'Seuls le locataire et l’hôte peuvent proposer un renouvellement.' });
+
+    const updated = await proposeRenewal(prisma, lease, { months: req.body.months, actorId: userId });
+    await notify(prisma, counterpartOf(lease, userId), 'lease_renewal', {
+      lease: updated, property: lease.property, stage: 'proposed', months: req.body.months
+    });
+    res.status(201).json({ message: 'Renouvellement proposé.', lease: updated });
+  } catch (err) {
+    if (sendLeaseError(res, err)) return;
+    console.error('Erreur POST /leases/:id/renewal :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// POST /leases/:id/renewal/accept : par l'autre partie ; échéances ajoutées, réservation prolongée
+router.post('/:id/renewal/accept', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+
+  try {
+    const { lease, roles } = await loadLeaseAccess(req.params.id, userId);
+    if (!lease || roles.length === 0) return res.status(404).json({ error: 'Bail introuvable.' });
+    if (!isParty(roles)) return res.status(403).json({ error: 'Seuls le locataire et l’hôte peuvent accepter un renouvellement.' });
+    if (lease.renewalMonths === null) return sendLeaseError(res, new Error('NO_RENEWAL'));
+    if (lease.renewalProposedById === userId) {
+      return res.status(403).json({ error: 'Le renouvellement doit être accepté par l’autre partie.' });
+    }
+
+    const updated = await runSerializable(prisma, tx => acceptRenewal(tx, lease));
+    await notify(prisma, lease.renewalProposedById, 'lease_renewal', { lease: updated, property: lease.property, stage: 'accepted' });
+
+    const { lease: current } = await loadLeaseAccess(lease.id, userId);
+    res.json({ message: `Bail renouvelé jusqu’au ${toISOyyyyMMdd(updated.endDate)}.`, lease: await presentLease(current) });
+  } catch (err) {
+    if (sendLeaseError(res, err)) return;
+    if (err.message === 'SERIALIZATION_CONFLICT') {
+      return res.status(409).json({ error: 'Le bien n’est pas disponible sur la période de renouvellement.' });
+    }
+    console.error('Erreur POST /leases/:id/renewal/accept :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// DELETE /leases/:id/renewal : retrait par son auteur ou refus par l'autre partie
+router.delete('/:id/renewal', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+
+  try {
+    const { lease, roles } = await loadLeaseAccess(req.params.id, userId);
+    if (!lease || roles.length === 0) return res.status(404).json({ error: 'Bail introuvable.' });
+    if (!isParty(roles)) return res.status(403).json({ error: 'Non autorisé.' });
+
+    const updated = await clearRenewal(prisma, lease);
+    if (lease.renewalProposedById && lease.renewalProposedById !== userId) {
+      await notify(prisma, lease.renewalProposedById, 'lease_renewal', { lease: updated, property: lease.property, stage: 'declined' });
+    }
+    res.json({ message: 'Proposition de renouvellement retirée.', lease: updated });
+  } catch (err) {
+    if (sendLeaseError(res, err)) return;
+    console.error('Erreur DELETE /leases/:id/renewal :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+module.exports = router;
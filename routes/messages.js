@@ -0,0 +1,306 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { getBookingParticipants } = require('../lib/messages');
+const { validateBody } = require('../lib/validation');
+const { authenticate } = require('../lib/auth');
+
+const prisma = new PrismaClient();
+
+// --- Auth middleware
+const authenticateToken = authenticate(prisma);
+
+/* =========================
+   🛠 Utils
+========================= */
+const DEFAULT_PAGE_SIZE = 30;
+const MAX_PAGE_SIZE = 100;
+
+const sendMessageSchema = {
+  bookingId:   { type: 'uuid', required: true },
+  content:     { type: 'string', required: true, minLength: 1, maxLength: 5000 },
+  recipientId: { type: 'uuid' }
+};
+
+const markReadSchema = {
+  bookingId:     { type: 'uuid' },
+  counterpartId: { type: 'uuid' }
+};
+
+const userSelect = { id: true, firstName: true, lastName: true, avatarUrl: true };
+
+function pageSize(limit) {
+  const n = parseInt(limit, 10);
+  if (!Number.isInteger(n) || n <= 0) return DEFAULT_PAGE_SIZE;
+  return Math.min(n, MAX_PAGE_SIZE);
+}
+
+// Historique paginé (du plus récent au plus ancien), curseur = id du dernier message reçu
+async function paginateMessages(where, { cursor, limit }) {
+  const take = pageSize(limit);
+  const rows = await prisma.message.findMany({
+    where,
+    include: {
+      sender:    { select: userSelect },
+      recipient: { select: userSelect }
+    },
+    orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+    take: take + 1,
+    ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {})
+  });
+
+  const hasMore = rows.length > take;
+  const messages = hasMore ? rows.slice(0, take) : rows;
+  return { messages, nextCursor: hasMore ? messages[messages.length - 1].id : null };
+}
+
+// Messages où l'utilisateur est expéditeur ou destinataire
+function involving(userId) {
+  return { OR: [{ senderId: userId }, { recipientId: userId }] };
+}
+
+/* =========================
+   🗂 Conversations
+========================= */
+// Fil d'un message (ou d'un groupe bookingId/senderId/recipientId) pour l'utilisateur.
+// Message système (sender null) : rattaché à sa réservation, ou au fil « system ».
+function threadKey(m, userId, groupBy) {
+  const counterpartId = m.senderId === userId ? m.recipientId : m.senderId;
+  const userKey = counterpartId ? `user:${counterpartId}` : 'system';
+  return groupBy === 'booking' && m.bookingId ? `booking:${m.bookingId}` : userKey;
+}
+
+// Curseur = "<date du dernier message>|<clé du fil>" du dernier fil reçu
+function parseThreadCursor(cursor) {
+  const sep = String(cursor).indexOf('|');
+  if (sep < 0) return null;
+  const lastAt = new Date(String(cursor).slice(0, sep));
+  const key = String(cursor).slice(sep + 1);
+  return Number.isNaN(lastAt.getTime()) || !key ? null : { lastAt, key };
+}
+
+// Fils triés du plus récent au plus ancien (à date égale, par clé)
+function compareThreads(a, b) {
+  return b.lastAt - a.lastAt || (a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+}
+
+// GET /messages/conversations?groupBy=booking|counterpart&cursor=&limit=
+router.get('/conversations', authenticateToken, async (req, res) => {
+  const userId = req.user.userId;
+  const groupBy = req.query.groupBy || 'booking';
+
+  if (!['booking', 'counterpart'].includes(groupBy)) {
+    return res.status(400).json({ error: 'groupBy doit valoir booking ou counterpart.' });
+  }
+  const cursor = req.query.cursor ? parseThreadCursor(req.query.cursor) : null;
+  if (req.query.cursor && !cursor) {
+    return res.status(400).json({ error: 'Curseur invalide.' });
+  }
+  const take = pageSize(req.query.limit);
+
+  try {
+    // Un groupe par (réservation, expéditeur, destinataire) : on ne charge pas tout l'historique
+    const groups = await prisma.message.groupBy({
+      by: ['bookingId', 'senderId', 'recipientId'],
+      where: involving(userId),
+      _max: { createdAt: true }
+    });
+
+    const threads = new Map();
+    for (const g of groups) {
+      const key = threadKey(g, userId, groupBy);
+      if (!threads.has(key)) threads.set(key, { key, lastAt: g._max.createdAt, tuples: [] });
+      const thread = threads.get(key);
+      thread.tuples.push({ bookingId: g.bookingId, senderId: g.senderId, recipientId: g.recipientId });
+      if (g._max.createdAt > thread.lastAt) thread.lastAt = g._max.createdAt;
+    }
+
+    const sorted = [...threads.values()]
+      .filter(t => !cursor || compareThreads(cursor, t) < 0)
+      .sort(compareThreads);
+    const page = sorted.slice(0, take);
+
+    const conversations = [];
+    for (const thread of page) {
+      const where = { OR: thread.tuples };
+      const counterpartIds = [...new Set(thread.tuples.flatMap(t => [t.senderId, t.recipientId]))]
+        .filter(id => id && id !== userId);
+      const [lastMessage, unreadCount, participants] = await Promise.all([
+        prisma.message.findFirst({
+          where,
+          include: {
+            sender:    { select: userSelect },
+            recipient: { select: userSelect },
+            booking:   { select: { id: true, checkInDate: true, checkOutDate: true, status: true, property: { select: { id: true, title: true } } } }
+          },
+          orderBy: [{ createdAt: 'desc' }, { id: 'desc' }]
+        }),
+        prisma.message.count({ where: { ...where, recipientId: userId, readAt: null } }),
+        prisma.user.findMany({
+          where: { id: { in: counterpartIds } },
+          select: userSelect
+        })
+      ]);
+      conversations.push({
+        bookingId: groupBy === 'booking' ? lastMessage.bookingId : null,
+        booking: groupBy === 'booking' ? lastMessage.booking : null,
+        counterparts: participants,
+        lastMessage,
+        unreadCount
+      });
+    }
+
+    const last = page[page.length - 1];
+    const nextCursor = sorted.length > take ? `${last.lastAt.toISOString()}|${last.key}` : null;
+    res.json({ conversations, nextCursor });
+  } catch (err) {
+    console.error('Erreur GET /messages/conversations :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🔔 Non lus
+========================= */
+// GET /messages/unread-count
+router.get('/unread-count', authenticateToken, async (req, res) => {
+  try {
+    const unread = await prisma.message.count({
+      where: { recipientId: req.user.userId, readAt: null }
+    });
+    res.json({ unread });
+  } catch (err) {
+    console.error('Erreur GET /messages/unread-count :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   📜 Historique d'une réservation
+========================= */
+// GET /messages/booking/:bookingId?cursor=<messageId>&limit=30
+router.get('/booking/:bookingId', authenticateToken, async (req, res) => {
+  const { bookingId } = req.params;
+  const userId = req.user.userId;
+
+  try {
+    const participants = await getBookingParticipants(prisma, bookingId);
+    if (!participants) return res.status(404).json({ error: 'Réservation introuvable.' });
+    if (!participants.all.has(userId)) return res.status(403).json({ error: 'Non autorisé.' });
+
+    const page = await paginateMessages(
+      { bookingId, ...involving(userId) },
+      { cursor: req.query.cursor, limit: req.query.limit }
+    );
+    res.json(page);
+  } catch (err) {
+    console.error('Erreur GET /messages/booking/:bookingId :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   📜 Historique avec un interlocuteur
+========================= */
+// GET /messages/user/:userId?cursor=<messageId>&limit=30
+router.get('/user/:userId', authenticateToken, async (req, res) => {
+  const me = req.user.userId;
+  const other = req.params.userId;
+
+  try {
+    const page = await paginateMessages(
+      {
+        OR: [
+          { senderId: me, recipientId: other },
+          { senderId: other, recipientId: me }
+        ]
+      },
+      { cursor: req.query.cursor, limit: req.query.limit }
+    );
+    res.json(page);
+  } catch (err) {
+    console.error('Erreur GET /messages/user/:userId :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   ✉️ Envoyer un message
+========================= */
+// POST /messages { bookingId, content, recipientId? }
+// Sans recipientId : voyageur → hôte, hôte/superviseur → voyageur
+router.post('/', authenticateToken, validateBody(sendMessageSchema), async (req, res) => {
+  const { bookingId, content, recipientId } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const participants = await getBookingParticipants(prisma, bookingId);
+    if (!participants) return res.status(404).json({ error: 'Réservation introuvable.' });
+    if (!participants.writers.has(userId)) {
+      return res.status(403).json({ error: 'Seuls les participants de la réservation autorisés peuvent écrire.' });
+    }
+
+    const to = recipientId || (userId === participants.guestId ? participants.hostId : participants.guestId);
+    if (to === userId || !participants.all.has(to)) {
+      return res.status(400).json({ error: 'Destinataire invalide pour cette réservation.' });
+    }
+
+    const message = await prisma.message.create({
+      data: {
+        senderId: userId,
+        recipientId: to,
+        bookingId,
+        messageType: 'text',
+        content
+      }
+    });
+
+    res.status(201).json({ message: 'Message envoyé.', data: message });
+  } catch (err) {
+    console.error('Erreur POST /messages :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   ✅ Marquer comme lu
+========================= */
+// PATCH /messages/read { bookingId? , counterpartId? }
+// Marque comme lus les messages reçus (tous si aucun filtre)
+router.patch('/read', authenticateToken, validateBody(markReadSchema), async (req, res) => {
+  const { bookingId, counterpartId } = req.body;
+
+  try {
+    const where = { recipientId: req.user.userId, readAt: null };
+    if (bookingId) where.bookingId = bookingId;
+    if (counterpartId) where.senderId = counterpartId;
+
+    const result = await prisma.message.updateMany({ where, data: { readAt: new Date() } });
+    res.json({ message: 'Messages marqués comme lus.', count: result.count });
+  } catch (err) {
+    console.error('Erreur PATCH /messages/read :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// PATCH /messages/:id/read
+router.patch('/:id/read', authenticateToken, async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const message = await prisma.message.findUnique({ where: { id } });
+    if (!message) return res.status(404).json({ error: 'Message introuvable.' });
+    if (message.recipientId !== req.user.userId) return res.status(403).json({ error: 'Non autorisé.' });
+
+    const updated = message.readAt
+      ? message
+      : await prisma.message.update({ where: { id }, data: { readAt: new Date() } });
+
+    res.json({ message: 'Message marqué comme lu.', data: updated });
+  } catch (err) {
+    console.error('Erreur PATCH /messages/:id/read :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+module.exports = router;
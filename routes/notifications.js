@@ -0,0 +1,154 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { authenticate } = require('../lib/auth');
+const { validateBody, atLeastOneField } = require('../lib/validation');
+const { NOTIFICATION_EVENTS, DEFAULT_CHANNELS, getPreferences } = require('../lib/notifications');
+
+const prisma = new PrismaClient();
+
+// --- Auth middleware : toutes les routes concernent l'utilisateur connecté
+const authenticateToken = authenticate(prisma);
+router.use(authenticateToken);
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+
+const notificationSelect = {
+  id: true,
+  type: true,
+  event: true,
+  title: true,
+  content: true,
+  data: true,
+  sentAt: true,
+  read: true,
+  readAt: true
+};
+
+const preferenceSchema = {
+  inApp: { type: 'boolean' },
+  sms:   { type: 'boolean' }
+};
+
+function pageSize(limit) {
+  const n = parseInt(limit, 10);
+  if (!Number.isInteger(n) || n <= 0) return DEFAULT_PAGE_SIZE;
+  return Math.min(n, MAX_PAGE_SIZE);
+}
+
+/* =========================
+   📥 Boîte de réception
+========================= */
+// GET /notifications?unread=true&cursor=<id>&limit=20 (plus récentes d'abord)
+router.get('/', async (req, res) => {
+  const userId = req.user.userId;
+  const { cursor } = req.query;
+
+  try {
+    const take = pageSize(req.query.limit);
+    const rows = await prisma.notification.findMany({
+      where: { userId, ...(req.query.unread === 'true' ? { read: false } : {}) },
+      select: notificationSelect,
+      orderBy: [{ sentAt: 'desc' }, { id: 'desc' }],
+      take: take + 1,
+      ...(cursor ? { cursor: { id: String(cursor) }, skip: 1 } : {})
+    });
+
+    const hasMore = rows.length > take;
+    const notifications = hasMore ? rows.slice(0, take) : rows;
+    res.json({ notifications, nextCursor: hasMore ? notifications[notifications.length - 1].id : null });
+  } catch (err) {
+    console.error('Erreur GET /notifications :', err);
+    if (err.code === 'P2025') return res.status(400).json({ error: 'Curseur invalide.' });
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// GET /notifications/unread-count
+router.get('/unread-count', async (req, res) => {
+  try {
+    const count = await prisma.notification.count({ where: { userId: req.user.userId, read: false } });
+    res.json({ count });
+  } catch (err) {
+    console.error('Erreur GET /notifications/unread-count :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// POST /notifications/read-all
+router.post('/read-all', async (req, res) => {
+  try {
+    const result = await prisma.notification.updateMany({
+      where: { userId: req.user.userId, read: false },
+      data: { read: true, readAt: new Date() }
+    });
+    res.json({ message: 'Notifications marquées comme lues.', count: result.count });
+  } catch (err) {
+    console.error('Erreur POST /notifications/read-all :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   ⚙️ Préférences (canaux par événement)
+========================= */
+// GET /notifications/preferences → [{ event, inApp, sms }]
+router.get('/preferences', async (req, res) => {
+  try {
+    res.json(await getPreferences(prisma, req.user.userId));
+  } catch (err) {
+    console.error('Erreur GET /notifications/preferences :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// PUT /notifications/preferences/:event { inApp?, sms? }
+router.put('/preferences/:event', validateBody(preferenceSchema, { check: atLeastOneField }), async (req, res) => {
+  const { event } = req.params;
+  const userId = req.user.userId;
+
+  if (!NOTIFICATION_EVENTS.includes(event)) {
+    return res.status(400).json({ error: `Événement attendu : ${NOTIFICATION_EVENTS.join(', ')}.` });
+  }
+
+  try {
+    const pref = await prisma.notificationPreference.upsert({
+      where: { userId_event: { userId, event } },
+      update: req.body,
+      create: { userId, event, ...DEFAULT_CHANNELS[event], ...req.body },
+      select: { event: true, inApp: true, sms: true }
+    });
+    res.json({ message: 'Préférence enregistrée.', preference: pref });
+  } catch (err) {
+    console.error('Erreur PUT /notifications/preferences/:event :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   ✅ Lecture d'une notification
+========================= */
+// PATCH /notifications/:id/read
+router.patch('/:id/read', async (req, res) => {
+  try {
+    const notification = await prisma.notification.findUnique({ where: { id: req.params.id }, select: { userId: true, read: true } });
+    if (!notification || notification.userId !== req.user.userId) {
+      return res.status(404).json({ error: 'Notification introuvable.' });
+    }
+
+    const updated = notification.read
+      ? await prisma.notification.findUnique({ where: { id: req.params.id }, select: notificationSelect })
+      : await prisma.notification.update({
+        where: { id: req.params.id },
+        data: { read: true, readAt: new Date() },
+        select: notificationSelect
+      });
+    res.json({ message: 'Notification lue.', notification: updated });
+  } catch (err) {
+    console.error('Erreur PATCH /notifications/:id/read :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+module.exports = router;
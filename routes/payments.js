@@ -0,0 +1,264 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient, Prisma, PaymentPurpose } = require('@prisma/client');
+const { authenticate, requireRole, accessContext, bookingActorRoles, policies } = require('../lib/auth');
+const { enumValues, validateBody } = require('../lib/validation');
+const { getPaymentProvider } = require('../lib/mobileMoney');
+const { formatMoney } = require('../lib/money');
+const {
+  summarizeLedger,
+  initiatePayment,
+  settlePayment,
+  refreshPayment,
+  sendPaymentError
+} = require('../lib/payments');
+
+const prisma = new PrismaClient();
+
+/* =========================
+   🔐 Auth & Roles
+========================= */
+const authenticateToken = authenticate(prisma);
+const isAdmin = requireRole(prisma, 'admin');
+
+const initiatePaymentSchema = {
+  purpose:     { type: 'enum', values: enumValues(PaymentPurpose), required: true },
+  // Numéro Mobile Money à débiter ; par défaut celui du compte
+  phoneNumber: { type: 'phone' }
+};
+
+const payoutSchema = {
+  amount:    { type: 'integer', min: 1 },   // unités mineures de la devise de la réservation
+  reference: { type: 'string', minLength: 1, maxLength: 120, required: true },
+  note:      { type: 'string', maxLength: 1000, nullable: true }
+};
+
+const settleRefundSchema = {
+  reference: { type: 'string', minLength: 1, maxLength: 120, required: true }
+};
+
+const paymentSelect = {
+  id: true,
+  bookingId: true,
+  purpose: true,
+  amount: true,
+  currency: true,
+  phoneNumber: true,
+  provider: true,
+  status: true,
+  failureReason: true,
+  createdAt: true,
+  completedAt: true
+};
+
+function publicPayment(payment) {
+  return Object.fromEntries(Object.keys(paymentSelect).map(key => [key, payment[key]]));
+}
+
+// Réservation et rôles de l'utilisateur vis-à-vis d'elle (guest / host / supervisor / admin)
+async function loadBookingAccess(bookingId, userId) {
+  const booking = await prisma.booking.findUnique({
+    where: { id: bookingId },
+    include: { property: { select: { id: true, title: true, hostId: true } } }
+  });
+  if (!booking) return { booking: null, roles: [] };
+  const ctx = await accessContext(prisma, userId, { booking });
+  const roles = bookingActorRoles(ctx);
+  if (policies.admin(ctx)) roles.push('admin');
+  return { booking, roles };
+}
+
+/* =========================
+   📲 Payer une réservation (voyageur)
+========================= */
+// POST /payments/bookings/:bookingId { purpose: deposit | balance | rent, phoneNumber? }
+// rent : bail en cours (réservation longue durée confirmée), montant dû d'après l'échéancier (GET /leases/:id)
+// 202 : demande envoyée, à valider sur le téléphone ; suivre avec GET /payments/:id
+router.post('/bookings/:bookingId', authenticateToken, validateBody(initiatePaymentSchema), async (req, res) => {
+  const userId = req.user.userId;
+
+  try {
+    const booking = await prisma.booking.findUnique({ where: { id: req.params.bookingId } });
+    if (!booking || booking.guestId !== userId) return res.status(404).json({ error: 'Réservation introuvable.' });
+
+    let phoneNumber = req.body.phoneNumber;
+    if (!phoneNumber) {
+      const user = await prisma.user.findUnique({ where: { id: userId }, select: { phoneNumber: true } });
+      phoneNumber = user.phoneNumber;
+    }
+
+    const payment = await initiatePayment(prisma, booking, userId, { purpose: req.body.purpose, phoneNumber });
+    res.status(payment.status === 'pending' ? 202 : 200).json({
+      message: payment.status === 'pending' ? 'Demande de paiement envoyée : validez-la sur votre téléphone.' : 'Paiement traité.',
+      payment: publicPayment(payment)
+    });
+  } catch (err) {
+    if (sendPaymentError(res, err)) return;
+    console.error('Erreur POST /payments/bookings/:bookingId :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   📒 Grand livre d'une réservation
+========================= */
+// GET /payments/bookings/:bookingId : paiements, écritures et soldes (voyageur, hôte, superviseur, admin)
+router.get('/bookings/:bookingId', authenticateToken, async (req, res) => {
+  try {
+    const { booking, roles } = await loadBookingAccess(req.params.bookingId, req.user.userId);
+    if (!booking) return res.status(404).json({ error: 'Réservation introuvable.' });
+    if (roles.length === 0) return res.status(403).json({ error: 'Non autorisé.' });
+
+    const [payments, entries] = await Promise.all([
+      prisma.payment.findMany({ where: { bookingId: booking.id }, select: paymentSelect, orderBy: { createdAt: 'asc' } }),
+      prisma.ledgerEntry.findMany({
+        where: { bookingId: booking.id },
+        select: { id: true, type: true, amount: true, paymentId: true, reference: true, settledAt: true, note: true, createdAt: true },
+        orderBy: { createdAt: 'asc' }
+      })
+    ]);
+
+    res.json({ summary: summarizeLedger(entries, booking), payments, entries });
+  } catch (err) {
+    console.error('Erreur GET /payments/bookings/:bookingId :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🛠️ Remboursements & versements (admin)
+========================= */
+// GET /payments/refunds/pending : remboursements dus, à effectuer hors plateforme
+router.get('/refunds/pending', authenticateToken, isAdmin, async (req, res) => {
+  try {
+    const refunds = await prisma.ledgerEntry.findMany({
+      where: { type: 'refund', settledAt: null },
+      include: {
+        booking: { select: { id: true, guest: { select: { id: true, firstName: true, lastName: true, phoneNumber: true } } } },
+        payment: { select: { phoneNumber: true } }
+      },
+      orderBy: { createdAt: 'asc' }
+    });
+    res.json(refunds);
+  } catch (err) {
+    console.error('Erreur GET /payments/refunds/pending :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// POST /payments/refunds/:entryId/settle { reference } : remboursement effectué
+router.post('/refunds/:entryId/settle', authenticateToken, isAdmin, validateBody(settleRefundSchema), async (req, res) => {
+  try {
+    const { count } = await prisma.ledgerEntry.updateMany({
+      where: { id: req.params.entryId, type: 'refund', settledAt: null },
+      data: { settledAt: new Date(), reference: req.body.reference }
+    });
+    if (count === 0) {
+      const entry = await prisma.ledgerEntry.findUnique({ where: { id: req.params.entryId }, select: { type: true } });
+      if (!entry || entry.type !== 'refund') return res.status(404).json({ error: 'Remboursement introuvable.' });
+      return res.status(409).json({ error: 'Remboursement déjà effectué.' });
+    }
+    const entry = await prisma.ledgerEntry.findUnique({ where: { id: req.params.entryId } });
+    res.json({ message: 'Remboursement enregistré comme effectué.', entry });
+  } catch (err) {
+    console.error('Erreur POST /payments/refunds/:entryId/settle :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// POST /payments/bookings/:bookingId/payouts { amount?, reference, note? } : versement à l'hôte
+// Séjour terminé uniquement ; montant par défaut : tout le solde de l'hôte.
+router.post('/bookings/:bookingId/payouts', authenticateToken, isAdmin, validateBody(payoutSchema), async (req, res) => {
+  const { amount, reference, note } = req.body;
+
+  try {
+    const booking = await prisma.booking.findUnique({ where: { id: req.params.bookingId } });
+    if (!booking) return res.status(404).json({ error: 'Réservation introuvable.' });
+    if (booking.status !== 'completed') return res.status(409).json({ error: 'Versement possible seulement après la fin du séjour.' });
+
+    // Sérialisable : deux versements simultanés ne peuvent pas dépasser le solde
+    const result = await prisma.$transaction(async (tx) => {
+      const entries = await tx.ledgerEntry.findMany({ where: { bookingId: booking.id } });
+      const { hostBalance } = summarizeLedger(entries);
+      const payoutAmount = amount ?? hostBalance;
+      if (payoutAmount <= 0 || payoutAmount > hostBalance) return { hostBalance };
+
+      const entry = await tx.ledgerEntry.create({
+        data: {
+          bookingId: booking.id,
+          type: 'payout',
+          amount: payoutAmount,
+          reference,
+          settledAt: new Date(),
+          note: note || null,
+          createdById: req.user.userId
+        }
+      });
+      return { entry };
+    }, { isolationLevel: Prisma.TransactionIsolationLevel.Serializable });
+
+    if (!result.entry) {
+      return res.status(409).json({
+        error: `Montant invalide : solde à verser ${formatMoney(result.hostBalance, booking.currency)}.`,
+        hostBalance: result.hostBalance
+      });
+    }
+    res.status(201).json({ message: 'Versement enregistré.', entry: result.entry });
+  } catch (err) {
+    console.error('Erreur POST /payments/bookings/:bookingId/payouts :', err);
+    if (err.code === 'P2034') return res.status(409).json({ error: 'Versement concurrent en cours, réessayez.' });
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🔔 Webhook du fournisseur (signé, sans authentification utilisateur)
+========================= */
+// POST /payments/webhooks/:provider { providerRef, status, failureReason? }
+router.post('/webhooks/:provider', async (req, res) => {
+  try {
+    const provider = getPaymentProvider();
+    if (req.params.provider !== provider.name) return res.status(404).json({ error: 'Fournisseur inconnu.' });
+
+    const event = provider.parseWebhook(req);
+    const payment = event.providerRef
+      ? await prisma.payment.findUnique({ where: { provider_providerRef: { provider: provider.name, providerRef: String(event.providerRef) } } })
+      : null;
+    if (!payment) return res.status(404).json({ error: 'Paiement introuvable.' });
+
+    await settlePayment(prisma, payment.id, event);
+    res.json({ received: true });
+  } catch (err) {
+    if (err.message === 'WEBHOOK_INVALID_SIGNATURE') return res.status(401).json({ error: 'Signature invalide.' });
+    console.error('Erreur POST /payments/webhooks/:provider :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🔎 Suivi d'un paiement
+========================= */
+// GET /payments/:id : le statut est rafraîchi auprès du fournisseur tant qu'il est en attente
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const payment = await prisma.payment.findUnique({ where: { id: req.params.id } });
+    if (!payment) return res.status(404).json({ error: 'Paiement introuvable.' });
+    if (payment.payerId !== req.user.userId) {
+      const { roles } = await loadBookingAccess(payment.bookingId, req.user.userId);
+      if (roles.length === 0) return res.status(404).json({ error: 'Paiement introuvable.' });
+    }
+
+    let current = payment;
+    try {
+      current = await refreshPayment(prisma, payment);
+    } catch (err) {
+      console.error('Erreur interrogation fournisseur de paiement :', err);
+    }
+    res.json(publicPayment(current));
+  } catch (err) {
+    console.error('Erreur GET /payments/:id :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+module.exports = router;
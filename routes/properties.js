@@ -1,43 +1,191 @@
 const express = require('express');
 const router = express.Router();
-const { PrismaClient } = require('@prisma/client');
-const jwt = require('jsonwebtoken');
+const { PrismaClient, PropertyType, RentalType, CancellationPolicy } = require('@prisma/client');
+const { propertyRatingSummary, propertyRatingsByIds } = require('../lib/ratings');
+const { computeQuote, convertQuote, sendPricingError } = require('../lib/pricing');
+const { CURRENCY_CODES, CURRENCIES, currencyForCountry } = require('../lib/money');
+const { loadRates, requireRate, sendRateError } = require('../lib/exchangeRates');
+const { BLOCKING_STATUSES, buildCalendar } = require('../lib/availability');
+const { parseISODate, toISOyyyyMMdd, addDays } = require('../lib/dates');
+const { findAmenity, amenityCatalog } = require('../lib/amenities');
+const {
+  MAX_IN_MEMORY_RESULTS,
+  parseSearchQuery,
+  priceCurrency,
+  listedPrice,
+  buildWhere,
+  orderByFor,
+  needsInMemory,
+  displayPrices,
+  haversineKm,
+  encodeCursor
+} = require('../lib/propertySearch');
+const { enumValues, requireFields, atLeastOneField, validateBody } = require('../lib/validation');
+const { authenticate, authorize, policies, ensureRole } = require('../lib/auth');
+const { rateLimit, limitFromEnv } = require('../lib/rateLimit');
+const {
+  ROOM_TAGS,
+  MAX_PROPERTY_IMAGES,
+  GALLERY_ORDER,
+  GALLERY_SELECT,
+  COVER_IMAGE_INCLUDE,
+  coverThumbnail,
+  imagesFromUploads,
+  requireImage,
+  normalizeGallery,
+  setCover,
+  sendGalleryError
+} = require('../lib/gallery');
+const { runSerializable } = require('../lib/transactions');
 
 const prisma = new PrismaClient();
-const JWT_SECRET = process.env.JWT_SECRET || 'secret_key_dev';
 
 /* ===================== Auth ===================== */
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Format: Bearer <token>
-
-  if (!token) return res.status(401).json({ error: 'Token manquant.' });
-
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(403).json({ error: 'Token invalide.' });
+const authenticateToken = authenticate(prisma);
+
+// Droits sur un bien (:id) : hôte seul, gestion du calendrier, gestion courante (équipements…)
+const hostOnly = authorize(prisma, { property: 'id' }, [policies.hostOfProperty]);
+const calendarManagers = authorize(prisma, { property: 'id' }, [
+  policies.hostOfProperty,
+  policies.supervisorOfProperty('manage_calendar')
+]);
+const listingManagers = authorize(prisma, { property: 'id' }, [
+  policies.hostOfProperty,
+  policies.supervisorOfProperty()
+]);
+
+// Consultation publique (GET) limitée par IP : RATE_LIMIT_PUBLIC_MAX / RATE_LIMIT_PUBLIC_WINDOW_SECONDS
+router.use(rateLimit({
+  name: 'properties-public',
+  ...limitFromEnv('RATE_LIMIT_PUBLIC', { max: 120, windowSeconds: 60 }),
+  skip: req => req.method !== 'GET'
+}));
+
+// ?currency= : devise d'affichage des prix ; null si absente, false si invalide
+function displayCurrencyParam(query) {
+  if (query.currency === undefined || query.currency === '') return null;
+  return CURRENCY_CODES.includes(query.currency) ? query.currency : false;
+}
 
-    req.user = decoded; // { userId: ... }
-    next();
-  });
+const INVALID_CURRENCY_ERROR = { error: `Paramètre currency invalide (${CURRENCY_CODES.join(', ')}).` };
+
+/* ============== Schémas de validation ============== */
+const TIME_RE = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
+
+// Champs modifiables par l'hôte (hostId, active, createdAt… ne le sont jamais)
+const PROPERTY_FIELDS = {
+  title:            { type: 'string', minLength: 3, maxLength: 150 },
+  description:      { type: 'string', maxLength: 5000, nullable: true },
+  propertyType:     { type: 'enum', values: enumValues(PropertyType) },
+  rentalType:       { type: 'enum', values: enumValues(RentalType) },
+  maxGuests:        { type: 'integer', min: 1, max: 500 },
+  bedrooms:         { type: 'integer', min: 0, max: 100 },
+  bathrooms:        { type: 'integer', min: 0, max: 100 },
+  // Prix en unités mineures entières de `currency` (lib/money)
+  currency:         { type: 'enum', values: CURRENCY_CODES },
+  pricePerNight:    { type: 'integer', min: 0, nullable: true },
+  pricePerMonth:    { type: 'integer', min: 0, nullable: true },
+  cleaningFee:      { type: 'integer', min: 0, nullable: true },
+  weeklyDiscountPercent:  { type: 'integer', min: 0, max: 100, nullable: true },
+  monthlyDiscountPercent: { type: 'integer', min: 0, max: 100, nullable: true },
+  taxPercent:       { type: 'number', min: 0, max: 100, nullable: true },
+  address:          { type: 'string', minLength: 1, maxLength: 300 },
+  city:             { type: 'string', minLength: 1, maxLength: 120 },
+  country:          { type: 'string', minLength: 1, maxLength: 120 },
+  latitude:         { type: 'number', min: -90, max: 90, nullable: true },
+  longitude:        { type: 'number', min: -180, max: 180, nullable: true },
+  houseRules:       { type: 'string', maxLength: 5000, nullable: true },
+  checkInTime:      { type: 'string', pattern: TIME_RE, patternMessage: 'Format HH:MM attendu.', nullable: true },
+  checkOutTime:     { type: 'string', pattern: TIME_RE, patternMessage: 'Format HH:MM attendu.', nullable: true },
+  minNights:        { type: 'integer', min: 1, nullable: true },
+  maxNights:        { type: 'integer', min: 1, nullable: true },
+  checkInDays:      { type: 'array', maxLength: 7, items: { type: 'integer', min: 0, max: 6 } },
+  cancellationPolicy:               { type: 'enum', values: enumValues(CancellationPolicy) },
+  cancellationFullRefundDays:       { type: 'integer', min: 0, nullable: true },
+  cancellationPartialRefundDays:    { type: 'integer', min: 0, nullable: true },
+  cancellationPartialRefundPercent: { type: 'integer', min: 0, max: 100, nullable: true },
+  depositPercent:   { type: 'integer', min: 1, max: 100, nullable: true },
+  // Conditions des baux (longue durée, lib/leases) ; montants en unités mineures de `currency`
+  rentDueDay:       { type: 'integer', min: 1, max: 28, nullable: true },
+  securityDeposit:  { type: 'integer', min: 0, nullable: true },
+  lateFeeGraceDays: { type: 'integer', min: 0, max: 60, nullable: true },
+  lateFeePercent:   { type: 'integer', min: 0, max: 100, nullable: true },
+  lateFeeAmount:    { type: 'integer', min: 0, nullable: true },
+  leaseNoticeDays:  { type: 'integer', min: 0, max: 365, nullable: true }
+};
+
+function checkStayLimits(value) {
+  if (value.minNights && value.maxNights && value.minNights > value.maxNights) {
+    return [{ field: 'maxNights', message: 'Doit être ≥ minNights.' }];
+  }
+  return [];
 }
 
-/* ============== Utils: calendrier ============== */
-function parseISODate(d) {
-  const x = new Date(d);
-  return (x instanceof Date && !isNaN(x)) ? x : null;
+const createPropertySchema = {
+  ...requireFields(PROPERTY_FIELDS, [
+    'title', 'propertyType', 'rentalType', 'maxGuests', 'bedrooms', 'bathrooms', 'address', 'city'
+  ]),
+  equipment: { type: 'array', items: { type: 'string' } },
+  // Galerie initiale : photos envoyées via /uploads/property-images, la première en couverture
+  imageIds:  { type: 'array', maxLength: MAX_PROPERTY_IMAGES, items: { type: 'uuid' } }
+};
+
+const addImagesSchema = {
+  uploadIds: { type: 'array', required: true, minLength: 1, maxLength: MAX_PROPERTY_IMAGES, items: { type: 'uuid' } },
+  caption:   { type: 'string', maxLength: 300, nullable: true },
+  room:      { type: 'enum', values: ROOM_TAGS, nullable: true }
+};
+
+const updateImageSchema = {
+  caption: { type: 'string', maxLength: 300, nullable: true },
+  room:    { type: 'enum', values: ROOM_TAGS, nullable: true },
+  isCover: { type: 'boolean' }
+};
+
+function checkUpdateImage(value) {
+  if (value.isCover === false) return [{ field: 'isCover', message: 'Choisissez plutôt la nouvelle couverture (isCover: true).' }];
+  return atLeastOneField(value);
 }
-function toISOyyyyMMdd(d) {
-  return d.toISOString().slice(0,10);
+
+const reorderImagesSchema = {
+  imageIds: { type: 'array', required: true, minLength: 1, maxLength: MAX_PROPERTY_IMAGES, items: { type: 'uuid' } }
+};
+
+// Bien complet (création, ou bien existant fusionné avec la modification)
+function checkCreateProperty(value) {
+  const errors = checkStayLimits(value);
+  if (value.rentalType === 'short_term' && !value.pricePerNight) {
+    errors.push({ field: 'pricePerNight', message: 'Requis pour une location courte durée.' });
+  }
+  if (value.rentalType === 'long_term' && !value.pricePerMonth) {
+    errors.push({ field: 'pricePerMonth', message: 'Requis pour une location longue durée.' });
+  }
+  return errors;
 }
-function addDays(d, n) {
-  const x = new Date(Date.UTC(d.getUTCFullYear(), d.getUTCMonth(), d.getUTCDate()));
-  x.setUTCDate(x.getUTCDate() + n);
-  return x;
+
+function checkUpdateProperty(value) {
+  return [...atLeastOneField(value), ...checkStayLimits(value)];
 }
 
+const bulkAvailabilitySchema = {
+  from:          { type: 'date', required: true },
+  to:            { type: 'date', required: true },
+  available:     { type: 'boolean' },
+  priceOverride: { type: 'integer', min: 0, nullable: true }
+};
+
+const createEquipmentSchema = {
+  name:      { type: 'string', required: true },
+  available: { type: 'boolean' }
+};
+
+const updateEquipmentSchema = {
+  available: { type: 'boolean', required: true }
+};
+
 /* ================== CREATE ================== */
 // 📥 POST /properties : Créer un nouveau bien
-router.post('/', authenticateToken, async (req, res) => {
+router.post('/', authenticateToken, validateBody(createPropertySchema, { check: checkCreateProperty }), async (req, res) => {
   const {
     title,
     description,
@@ -46,19 +194,50 @@ router.post('/', authenticateToken, async (req, res) => {
     maxGuests,
     bedrooms,
     bathrooms,
+    currency,
     pricePerNight,
     pricePerMonth,
+    cleaningFee,
+    weeklyDiscountPercent,
+    monthlyDiscountPercent,
+    taxPercent,
     address,
     city,
-    country,
+    country = 'Republic of Congo',
     latitude,
     longitude,
-    images,
-    houseRules
+    imageIds = [],
+    houseRules,
+    minNights,
+    maxNights,
+    checkInDays,
+    cancellationPolicy,
+    cancellationFullRefundDays,
+    cancellationPartialRefundDays,
+    cancellationPartialRefundPercent,
+    depositPercent,
+    rentDueDay,
+    securityDeposit,
+    lateFeeGraceDays,
+    lateFeePercent,
+    lateFeeAmount,
+    leaseNoticeDays,
+    equipment = []
   } = req.body;
 
+  if (equipment.some(key => !findAmenity(key))) {
+    return res.status(400).json({ error: 'Équipements invalides : utiliser les clés du catalogue (GET /properties/amenities).' });
+  }
+
   try {
-    // 1. Créer le bien
+    // 1. Attribuer le rôle "host" au premier bien (refusé s'il a été désactivé par un administrateur)
+    await ensureRole(prisma, req.user.userId, 'host');
+
+    // 2. Photos de la galerie initiale
+    const images = await imagesFromUploads(prisma, req.user.userId, imageIds);
+    if (images.length > 0) images[0].isCover = true;
+
+    // 3. Créer le bien
     const newProperty = await prisma.property.create({
       data: {
         hostId: req.user.userId,
@@ -69,68 +248,174 @@ router.post('/', authenticateToken, async (req, res) => {
         maxGuests,
         bedrooms,
         bathrooms,
+        currency: currency || currencyForCountry(country),
         pricePerNight,
         pricePerMonth,
+        cleaningFee,
+        weeklyDiscountPercent,
+        monthlyDiscountPercent,
+        taxPercent,
         address,
         city,
-        country: country || 'Republic of Congo',
+        country,
         latitude,
         longitude,
-        images,
-        houseRules
-      }
-    });
-
-    // 2. Vérifie si l'utilisateur a déjà le rôle "host"
-    const hasHostRole = await prisma.userRoleOnUser.findFirst({
-      where: {
-        userId: req.user.userId,
-        role: 'host'
-      }
-    });
-
-    // 3. Si ce n'est pas le cas, on lui attribue
-    if (!hasHostRole) {
-      await prisma.userRoleOnUser.create({
-        data: {
-          userId: req.user.userId,
-          role: 'host',
-          active: true
+        images: { create: images },
+        houseRules,
+        minNights,
+        maxNights,
+        checkInDays,
+        cancellationPolicy,
+        cancellationFullRefundDays,
+        cancellationPartialRefundDays,
+        cancellationPartialRefundPercent,
+        depositPercent,
+        rentDueDay,
+        securityDeposit,
+        lateFeeGraceDays,
+        lateFeePercent,
+        lateFeeAmount,
+        leaseNoticeDays,
+        equipment: {
+          create: [...new Set(equipment)].map(key => ({ name: key, category: findAmenity(key).category }))
         }
-      });
-    }
+      },
+      include: { equipment: true, images: { select: GALLERY_SELECT, orderBy: GALLERY_ORDER } }
+    });
 
     res.status(201).json(newProperty);
   } catch (err) {
     console.error('Erreur POST /properties :', err);
+    if (err.message === 'ROLE_DISABLED') return res.status(403).json({ error: 'Rôle hôte désactivé par un administrateur.' });
+    if (sendGalleryError(res, err)) return;
     res.status(500).json({ error: 'Erreur lors de la création du bien.' });
   }
 });
 
 /* ================== LIST PUBLIC ================== */
-// 📤 GET /properties : Lister tous les biens actifs
+// 📤 GET /properties : Rechercher parmi les biens actifs
+// Filtres : q, city, country, propertyType, rentalType, minPrice, maxPrice, bedrooms, bathrooms,
+//           guests, equipment (liste séparée par des virgules), from/to (disponibilité),
+//           lat/lng/radiusKm (rayon), bbox=minLat,minLng,maxLat,maxLng
+// Tri : newest (défaut), price_asc, price_desc, rating, distance
+// Devise : currency (XAF, CDF, USD) → prix convertis dans `display` ; minPrice / maxPrice et le tri
+//          par prix s'entendent dans cette devise (DEFAULT_CURRENCY sinon), en unités mineures
+// Pagination : limit (défaut 20, max 100), cursor (valeur nextCursor de la page précédente)
+// Tri autre que newest ou rayon : classement parmi les MAX_IN_MEMORY_RESULTS biens les plus récents
 router.get('/', async (req, res) => {
+  const { criteria, errors } = parseSearchQuery(req.query);
+  if (errors.length > 0) return res.status(400).json({ error: 'Paramètres de recherche invalides.', details: errors });
+
   try {
-    const properties = await prisma.property.findMany({
-      where: { active: true },
-      include: {
-        host: {
-          select: { firstName: true, lastName: true }
-        }
+    const rates = await loadRates(prisma);
+    const where = buildWhere(criteria, rates);
+    const include = {
+      host: {
+        select: { firstName: true, lastName: true }
       },
-      orderBy: { createdAt: 'desc' }
-    });
+      equipment: {
+        where: { available: true },
+        select: { name: true, category: true }
+      },
+      images: COVER_IMAGE_INCLUDE
+    };
+    const hasPoint = criteria.lat !== undefined;
+
+    let items;
+    let total;
+    let nextCursor = null;
+
+    if (!needsInMemory(criteria)) {
+      // Tri SQL + curseur sur l'id du dernier élément
+      const [rows, count] = await Promise.all([
+        prisma.property.findMany({
+          where,
+          include,
+          orderBy: orderByFor(),
+          take: criteria.limit + 1,
+          ...(criteria.cursor?.id ? { cursor: { id: criteria.cursor.id }, skip: 1 } : {})
+        }),
+        prisma.property.count({ where })
+      ]);
+      items = rows.slice(0, criteria.limit);
+      total = count;
+      if (rows.length > criteria.limit) nextCursor = encodeCursor({ id: items[items.length - 1].id });
+    } else {
+      // Rayon exact, note ou distance : calcul en mémoire, curseur = position dans le résultat
+      let rows = await prisma.property.findMany({ where, include, orderBy: orderByFor(), take: MAX_IN_MEMORY_RESULTS });
+
+      if (hasPoint) {
+        rows = rows
+          .map(p => ({
+            ...p,
+            distanceKm: (p.latitude !== null && p.longitude !== null)
+              ? Math.round(haversineKm(criteria.lat, criteria.lng, p.latitude, p.longitude) * 100) / 100
+              : null
+          }))
+          .filter(p => criteria.radiusKm === undefined || (p.distanceKm !== null && p.distanceKm <= criteria.radiusKm));
+      }
+
+      if (criteria.sort === 'rating') {
+        const ratings = await propertyRatingsByIds(prisma, rows.map(p => p.id));
+        const avg = p => ratings.get(p.id)?.average ?? -1;
+        rows.sort((a, b) => avg(b) - avg(a));
+      } else if (criteria.sort === 'distance') {
+        const dist = p => (p.distanceKm === null ? Infinity : p.distanceKm);
+        rows.sort((a, b) => dist(a) - dist(b));
+      } else if (criteria.sort !== 'newest') {
+        // Prix du type de location (comme le filtre), comparés dans une même devise ;
+        // sans prix ou sans taux, le bien passe en fin de liste
+        const order = criteria.sort === 'price_asc' ? 1 : -1;
+        const prices = new Map(rows.map(p => [p.id, rates.convert(listedPrice(p), p.currency, priceCurrency(criteria)) ?? null]));
+        rows.sort((a, b) => {
+          const pa = prices.get(a.id);
+          const pb = prices.get(b.id);
+          if (pa === null || pb === null) return (pa === null) - (pb === null);
+          return order * (pa - pb);
+        });
+      }
 
-    res.json(properties);
+      const offset = Number.isInteger(criteria.cursor?.offset) ? criteria.cursor.offset : 0;
+      items = rows.slice(offset, offset + criteria.limit);
+      total = rows.length;
+      if (offset + criteria.limit < total) nextCursor = encodeCursor({ offset: offset + criteria.limit });
+    }
+
+    // Note moyenne des biens de la page
+    const ratings = await propertyRatingsByIds(prisma, items.map(p => p.id));
+    // Listes : seulement la vignette de couverture (galerie complète sur GET /properties/:id)
+    items = items.map(({ images, ...p }) => ({
+      ...p,
+      coverImage: coverThumbnail(images),
+      rating: ratings.get(p.id) || { average: null, count: 0 },
+      ...(criteria.currency ? { display: displayPrices(p, rates, criteria.currency) } : {})
+    }));
+
+    res.json({ items, total, nextCursor });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Erreur lors de la récupération des biens.' });
   }
 });
 
+/* ================== CATALOGUE ÉQUIPEMENTS ================== */
+// 🧰 GET /properties/amenities : Catalogue des équipements par catégorie
+router.get('/amenities', (req, res) => {
+  res.json(amenityCatalog());
+});
+
+/* ================== DEVISES ================== */
+// 💱 GET /properties/currencies : Devises acceptées (paramètre currency) et nombre de décimales
+router.get('/currencies', (req, res) => {
+  res.json(CURRENCY_CODES.map(code => ({ code, ...CURRENCIES[code] })));
+});
+
 /* ================== DETAIL PUBLIC ================== */
-// 🔍 GET /properties/:id : Voir un bien spécifique
+// 🔍 GET /properties/:id?currency= : Voir un bien spécifique
 router.get('/:id', async (req, res) => {
+  const currency = displayCurrencyParam(req.query);
+  if (currency === false) return res.status(400).json(INVALID_CURRENCY_ERROR);
+
   try {
     const property = await prisma.property.findUnique({
       where: { id: req.params.id },
@@ -141,13 +426,20 @@ router.get('/:id', async (req, res) => {
             firstName: true,
             lastName: true
           }
-        }
+        },
+        equipment: {
+          orderBy: [{ category: 'asc' }, { name: 'asc' }]
+        },
+        images: { select: GALLERY_SELECT, orderBy: GALLERY_ORDER }
       }
     });
 
     if (!property) return res.status(404).json({ error: 'Bien non trouvé.' });
 
-    res.json(property);
+    const ratings = await propertyRatingSummary(prisma, property.id);
+    const display = currency ? displayPrices(property, await loadRates(prisma), currency) : undefined;
+
+    res.json({ ...property, ratings, ...(display ? { display } : {}) });
   } catch (err) {
     console.error(err);
     res.status(500).json({ error: 'Erreur serveur.' });
@@ -155,12 +447,15 @@ router.get('/:id', async (req, res) => {
 });
 
 /* ================== AVAILABILITY ================== */
-// 📅 GET /properties/:id/availability?from=YYYY-MM-DD&to=YYYY-MM-DD
-// Renvoie un tableau de jours avec disponibilité calculée à partir des bookings + blocs d’indispo
+// 📅 GET /properties/:id/availability?from=YYYY-MM-DD&to=YYYY-MM-DD&currency=USD
+// Renvoie un tableau de jours avec disponibilité calculée à partir des bookings + blocs d’indispo,
+// et le prix de chaque nuit (prix spécial sinon prix par nuit), converti dans `displayPrice` si currency
 router.get('/:id/availability', async (req, res) => {
   const { id } = req.params;
   const fromParam = req.query.from;
   const toParam   = req.query.to;
+  const currency  = displayCurrencyParam(req.query);
+  if (currency === false) return res.status(400).json(INVALID_CURRENCY_ERROR);
 
   try {
     // Bornes par défaut : aujourd’hui → +60 jours
@@ -176,85 +471,75 @@ router.get('/:id/availability', async (req, res) => {
     }
 
     // Existence du bien ?
-    const exists = await prisma.property.findUnique({ where: { id }, select: { id: true } });
-    if (!exists) return res.status(404).json({ error: 'Bien introuvable.' });
-
-    // Récupérer bookings qui intersectent l’intervalle
-    const bookings = await prisma.booking.findMany({
-      where: {
-        propertyId: id,
-        status: { in: ['pending', 'confirmed'] },
-        NOT: [
-          { checkOutDate: { lte: from } },
-          { checkInDate:  { gte: to } }
-        ]
-      },
-      select: { checkInDate: true, checkOutDate: true }
-    });
-
-    // Récupérer indispos / overrides manuels
-    const blocks = await prisma.propertyAvailability.findMany({
-      where: {
-        propertyId: id,
-        date: { gte: from, lt: to }
-      },
-      select: { date: true, available: true, priceOverride: true }
-    });
+    const property = await prisma.property.findUnique({ where: { id }, select: { id: true, currency: true, pricePerNight: true } });
+    if (!property) return res.status(404).json({ error: 'Bien introuvable.' });
 
-    // Construire calendrier jour par jour
-    const days = [];
-    for (let d = new Date(from); d < to; d = addDays(d, 1)) {
-      const key = toISOyyyyMMdd(d);
-
-      // Booked ?
-      const isBooked = bookings.some(b => {
-        const bStart = new Date(b.checkInDate);
-        const bEnd   = new Date(b.checkOutDate);
-        // jour d ∈ [bStart, bEnd)
-        const startUTC = new Date(Date.UTC(bStart.getUTCFullYear(), bStart.getUTCMonth(), bStart.getUTCDate()));
-        const endUTC   = new Date(Date.UTC(bEnd.getUTCFullYear(), bEnd.getUTCMonth(), bEnd.getUTCDate()));
-        return d >= startUTC && d < endUTC;
-      });
+    let days = (await buildCalendar(prisma, id, from, to))
+      .map(day => ({ ...day, price: day.priceOverride ?? property.pricePerNight }));
 
-      // Bloc manuel ?
-      const block = blocks.find(x => toISOyyyyMMdd(new Date(x.date)) === key);
-      let available = !isBooked && (!block || block.available !== false);
-      let reason = null;
-      if (isBooked) reason = 'booked';
-      else if (block && block.available === false) reason = 'blocked';
-
-      days.push({
-        date: key,
-        available,
-        reason,                                  // 'booked' | 'blocked' | null
-        priceOverride: block ? block.priceOverride : null
-      });
+    let display = null;
+    if (currency) {
+      const rates = await loadRates(prisma);
+      display = { currency, rate: requireRate(rates, property.currency, currency) };
+      days = days.map(day => ({ ...day, displayPrice: rates.convert(day.price, property.currency, currency) }));
     }
 
     res.json({
       propertyId: id,
       from: toISOyyyyMMdd(from),
       to: toISOyyyyMMdd(to),
+      currency: property.currency,
+      ...(display ? { display } : {}),
       days
     });
   } catch (err) {
     console.error('Erreur GET /properties/:id/availability :', err);
+    if (sendRateError(res, err)) return;
     res.status(500).json({ error: 'Erreur serveur.' });
   }
 });
 
-/* ================== DELETE (soft) ================== */
-// 🧹 DELETE /properties/:id : Supprimer un bien (logiquement, pas physiquement)
-router.delete('/:id', authenticateToken, async (req, res) => {
-  try {
-    const property = await prisma.property.findUnique({
-      where: { id: req.params.id }
-    });
+/* ================== QUOTE PUBLIC ================== */
+// 🧾 GET /properties/:id/quote?from=YYYY-MM-DD&to=YYYY-MM-DD&guests=2&currency=USD
+// Devis détaillé : identique au montant facturé lors de la réservation (devise du bien) ;
+// avec currency, la conversion au taux du jour est ajoutée dans `display`
+router.get('/:id/quote', async (req, res) => {
+  const { id } = req.params;
+  const from = parseISODate(req.query.from);
+  const to   = parseISODate(req.query.to);
+  const guests = req.query.guests !== undefined ? parseInt(req.query.guests, 10) : null;
+  const currency = displayCurrencyParam(req.query);
+  if (currency === false) return res.status(400).json(INVALID_CURRENCY_ERROR);
+
+  if (!from || !to || !(to > from)) {
+    return res.status(400).json({ error: 'Paramètres from/to invalides.' });
+  }
+  if (guests !== null && (!Number.isInteger(guests) || guests < 1)) {
+    return res.status(400).json({ error: 'Nombre de voyageurs invalide.' });
+  }
 
-    if (!property || property.hostId !== req.user.userId) {
-      return res.status(403).json({ error: 'Non autorisé.' });
+  try {
+    const property = await prisma.property.findUnique({ where: { id }, select: { active: true, maxGuests: true } });
+    if (!property || !property.active) return res.status(404).json({ error: 'Bien introuvable.' });
+    if (guests !== null && guests > property.maxGuests) {
+      return res.status(400).json({ error: `Capacité maximale dépassée (${property.maxGuests} voyageurs).` });
     }
 
+    const quote = await computeQuote(prisma, id, from, to, { guests });
+    if (currency) quote.display = convertQuote(quote, await loadRates(prisma), currency);
+    res.json(quote);
+  } catch (err) {
+    console.error('Erreur GET /properties/:id/quote :', err);
+    if (sendPricingError(res, err)) return;
+    if (sendRateError(res, err)) return;
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* ================== DELETE (soft) ================== */
+// 🧹 DELETE /properties/:id : Supprimer un bien (logiquement, pas physiquement)
+router.delete('/:id', authenticateToken, hostOnly, async (req, res) => {
+  try {
     await prisma.property.update({
       where: { id: req.params.id },
       data: { active: false }
@@ -269,20 +554,33 @@ router.delete('/:id', authenticateToken, async (req, res) => {
 
 /* ================== UPDATE ================== */
 // 🔄 PATCH /properties/:id : Modifier un bien (propriétaire uniquement)
-router.patch('/:id', authenticateToken, async (req, res) => {
+router.patch('/:id', authenticateToken, validateBody(PROPERTY_FIELDS, { check: checkUpdateProperty }), hostOnly, async (req, res) => {
   const { id } = req.params;
-  const updates = req.body;
+  const updates = req.body; // champs validés et limités à PROPERTY_FIELDS
 
   try {
-    // Vérifier que le bien appartient à l'utilisateur connecté
-    const property = await prisma.property.findUnique({ where: { id } });
+    const current = await prisma.property.findUnique({
+      where: { id },
+      select: { currency: true, rentalType: true, pricePerNight: true, pricePerMonth: true, minNights: true, maxNights: true }
+    });
 
-    if (!property) {
-      return res.status(404).json({ error: 'Bien non trouvé.' });
+    // Cohérence du bien une fois modifié : minNights ≤ maxNights et prix du type de location,
+    // même si un seul des champs liés est envoyé
+    const errors = checkCreateProperty({ ...current, ...updates });
+    if (errors.length > 0) {
+      return res.status(400).json({ error: 'Données invalides.', details: errors });
     }
 
-    if (property.hostId !== req.user.userId) {
-      return res.status(403).json({ error: 'Accès refusé.' });
+    // Changement de devise : les prix spéciaux du calendrier et les réservations en cours
+    // sont exprimés dans l'ancienne devise
+    if (updates.currency && updates.currency !== current.currency) {
+      const [overrides, activeBookings] = await Promise.all([
+        prisma.propertyAvailability.count({ where: { propertyId: id, priceOverride: { not: null } } }),
+        prisma.booking.count({ where: { propertyId: id, status: { in: BLOCKING_STATUSES } } })
+      ]);
+      if (overrides || activeBookings) {
+        return res.status(409).json({ error: 'Changement de devise impossible : retirez les prix spéciaux du calendrier et attendez la fin des réservations en cours.' });
+      }
     }
 
     // Mise à jour du bien
@@ -298,44 +596,21 @@ router.patch('/:id', authenticateToken, async (req, res) => {
   }
 });
 
-// ===== Helpers: droits host/superviseur =====
-async function isHostOrSupervisor(userId, propertyId) {
-  const property = await prisma.property.findUnique({
-    where: { id: propertyId },
-    select: { hostId: true }
-  });
-  if (!property) return { ok: false, reason: 'NOT_FOUND' };
-  if (property.hostId === userId) return { ok: true };
-
-  const supervision = await prisma.supervision.findFirst({
-    where: { propertyId, supervisorId: userId, active: true },
-    select: { id: true }
-  });
-  return { ok: !!supervision };
-}
-
 // ===== Availability: BULK UPSERT =====
 // POST /properties/:id/availability/bulk
-router.post('/:id/availability/bulk', authenticateToken, async (req, res) => {
+router.post('/:id/availability/bulk', authenticateToken, validateBody(bulkAvailabilitySchema), calendarManagers, async (req, res) => {
   const { id } = req.params;
   const { from, to, available = false, priceOverride } = req.body || {};
 
   try {
-    // 1) Permissions
-    const perm = await isHostOrSupervisor(req.user.userId, id);
-    if (!perm.ok) {
-      if (perm.reason === 'NOT_FOUND') return res.status(404).json({ error: 'Bien introuvable.' });
-      return res.status(403).json({ error: 'Non autorisé.' });
-    }
-
-    // 2) Dates
+    // 1) Dates
     const start = parseISODate(from);
     const end   = parseISODate(to);
     if (!start || !end || !(end > start)) {
       return res.status(400).json({ error: 'Paramètres from/to invalides. Format attendu YYYY-MM-DD.' });
     }
 
-    // 3) Traitement
+    // 2) Traitement
     // available=false  -> block
     // available=true + priceOverride -> autoriser + prix spécial
     // available=true sans priceOverride -> remove overrides (clear)
@@ -381,17 +656,11 @@ router.post('/:id/availability/bulk', authenticateToken, async (req, res) => {
 
 // ===== Availability: BULK DELETE (clear) =====
 // DELETE /properties/:id/availability/bulk?from=YYYY-MM-DD&to=YYYY-MM-DD
-router.delete('/:id/availability/bulk', authenticateToken, async (req, res) => {
+router.delete('/:id/availability/bulk', authenticateToken, calendarManagers, async (req, res) => {
   const { id } = req.params;
   const { from, to } = req.query || {};
 
   try {
-    const perm = await isHostOrSupervisor(req.user.userId, id);
-    if (!perm.ok) {
-      if (perm.reason === 'NOT_FOUND') return res.status(404).json({ error: 'Bien introuvable.' });
-      return res.status(403).json({ error: 'Non autorisé.' });
-    }
-
     const start = parseISODate(from);
     const end   = parseISODate(to);
     if (!start || !end || !(end > start)) {
@@ -414,16 +683,10 @@ router.delete('/:id/availability/bulk', authenticateToken, async (req, res) => {
 
 // ===== (Optionnel) Lister les overrides existants =====
 // GET /properties/:id/availability/overrides
-router.get('/:id/availability/overrides', authenticateToken, async (req, res) => {
+router.get('/:id/availability/overrides', authenticateToken, listingManagers, async (req, res) => {
   const { id } = req.params;
 
   try {
-    const perm = await isHostOrSupervisor(req.user.userId, id);
-    if (!perm.ok) {
-      if (perm.reason === 'NOT_FOUND') return res.status(404).json({ error: 'Bien introuvable.' });
-      return res.status(403).json({ error: 'Non autorisé.' });
-    }
-
     const rows = await prisma.propertyAvailability.findMany({
       where: { propertyId: id },
       orderBy: { date: 'asc' }
@@ -436,4 +699,186 @@ router.get('/:id/availability/overrides', authenticateToken, async (req, res) =>
   }
 });
 
+/* ================== EQUIPMENT ================== */
+// 🧰 GET /properties/:id/equipment : Équipements d'un bien (public)
+router.get('/:id/equipment', async (req, res) => {
+  const { id } = req.params;
+
+  try {
+    const exists = await prisma.property.findUnique({ where: { id }, select: { id: true } });
+    if (!exists) return res.status(404).json({ error: 'Bien introuvable.' });
+
+    const rows = await prisma.propertyEquipment.findMany({
+      where: { propertyId: id },
+      orderBy: [{ category: 'asc' }, { name: 'asc' }]
+    });
+    res.json(rows);
+  } catch (err) {
+    console.error('Erreur GET /properties/:id/equipment :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// ➕ POST /properties/:id/equipment { name, available? } (host ou superviseur)
+router.post('/:id/equipment', authenticateToken, validateBody(createEquipmentSchema), listingManagers, async (req, res) => {
+  const { id } = req.params;
+  const { name, available = true } = req.body || {};
+
+  const amenity = findAmenity(name);
+  if (!amenity) {
+    return res.status(400).json({ error: 'Équipement inconnu : utiliser une clé du catalogue (GET /properties/amenities).' });
+  }
+
+  try {
+    const equipment = await prisma.propertyEquipment.create({
+      data: { propertyId: id, name: amenity.key, category: amenity.category, available: !!available }
+    });
+    res.status(201).json({ message: 'Équipement ajouté.', equipment });
+  } catch (err) {
+    console.error('Erreur POST /properties/:id/equipment :', err);
+    if (err.code === 'P2002') return res.status(409).json({ error: 'Cet équipement est déjà renseigné pour ce bien.' });
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// 🔄 PATCH /properties/:id/equipment/:equipmentId { available } (host ou superviseur)
+router.patch('/:id/equipment/:equipmentId', authenticateToken, validateBody(updateEquipmentSchema), listingManagers, async (req, res) => {
+  const { id, equipmentId } = req.params;
+  const { available } = req.body;
+
+  try {
+    const row = await prisma.propertyEquipment.findUnique({ where: { id: equipmentId } });
+    if (!row || row.propertyId !== id) return res.status(404).json({ error: 'Équipement introuvable.' });
+
+    const equipment = await prisma.propertyEquipment.update({
+      where: { id: equipmentId },
+      data: { available }
+    });
+    res.json({ message: 'Équipement mis à jour.', equipment });
+  } catch (err) {
+    console.error('Erreur PATCH /properties/:id/equipment/:equipmentId :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// ❌ DELETE /properties/:id/equipment/:equipmentId (host ou superviseur)
+router.delete('/:id/equipment/:equipmentId', authenticateToken, listingManagers, async (req, res) => {
+  const { id, equipmentId } = req.params;
+
+  try {
+    const row = await prisma.propertyEquipment.findUnique({ where: { id: equipmentId } });
+    if (!row || row.propertyId !== id) return res.status(404).json({ error: 'Équipement introuvable.' });
+
+    await prisma.propertyEquipment.delete({ where: { id: equipmentId } });
+    res.json({ message: 'Équipement supprimé.' });
+  } catch (err) {
+    console.error('Erreur DELETE /properties/:id/equipment/:equipmentId :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* ================== GALERIE PHOTOS ================== */
+// 🖼️ GET /properties/:id/images : galerie ordonnée (public)
+router.get('/:id/images', async (req, res) => {
+  try {
+    const property = await prisma.property.findUnique({ where: { id: req.params.id }, select: { id: true } });
+    if (!property) return res.status(404).json({ error: 'Bien non trouvé.' });
+
+    const images = await prisma.propertyImage.findMany({
+      where: { propertyId: property.id },
+      select: GALLERY_SELECT,
+      orderBy: GALLERY_ORDER
+    });
+    res.json(images);
+  } catch (err) {
+    console.error('Erreur GET /properties/:id/images :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// ➕ POST /properties/:id/images { uploadIds, caption?, room? } : ajout en fin de galerie (host ou superviseur)
+// Les photos doivent avoir été envoyées par l'utilisateur lui-même (POST /uploads/property-images).
+router.post('/:id/images', authenticateToken, validateBody(addImagesSchema), listingManagers, async (req, res) => {
+  const { id } = req.params;
+  const { uploadIds, caption, room } = req.body;
+
+  try {
+    // Sérialisable : deux ajouts simultanés ne peuvent pas dépasser ensemble MAX_PROPERTY_IMAGES
+    const images = await runSerializable(prisma, async (tx) => {
+      const count = await tx.propertyImage.count({ where: { propertyId: id } });
+      const rows = await imagesFromUploads(tx, req.user.userId, uploadIds, count);
+      await tx.propertyImage.createMany({
+        data: rows.map(r => ({ ...r, propertyId: id, caption: caption || null, room: room || null }))
+      });
+      await normalizeGallery(tx, id);
+      return tx.propertyImage.findMany({ where: { propertyId: id }, select: GALLERY_SELECT, orderBy: GALLERY_ORDER });
+    });
+    res.status(201).json({ message: 'Photos ajoutées.', images });
+  } catch (err) {
+    if (sendGalleryError(res, err)) return;
+    console.error('Erreur POST /properties/:id/images :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// 🔀 PUT /properties/:id/images/order { imageIds } : nouvel ordre complet de la galerie
+router.put('/:id/images/order', authenticateToken, validateBody(reorderImagesSchema), listingManagers, async (req, res) => {
+  const { id } = req.params;
+  const { imageIds } = req.body;
+
+  try {
+    const images = await runSerializable(prisma, async (tx) => {
+      const existing = await tx.propertyImage.findMany({ where: { propertyId: id }, select: { id: true } });
+      const known = new Set(existing.map(i => i.id));
+      if (new Set(imageIds).size !== imageIds.length || imageIds.length !== known.size || !imageIds.every(i => known.has(i))) {
+        throw new Error('GALLERY_ORDER_MISMATCH');
+      }
+      await normalizeGallery(tx, id, imageIds);
+      return tx.propertyImage.findMany({ where: { propertyId: id }, select: GALLERY_SELECT, orderBy: GALLERY_ORDER });
+    });
+    res.json({ message: 'Galerie réordonnée.', images });
+  } catch (err) {
+    if (sendGalleryError(res, err)) return;
+    console.error('Erreur PUT /properties/:id/images/order :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// ✏️ PATCH /properties/:id/images/:imageId { caption?, room?, isCover: true }
+router.patch('/:id/images/:imageId', authenticateToken, validateBody(updateImageSchema, { check: checkUpdateImage }), listingManagers, async (req, res) => {
+  const { id, imageId } = req.params;
+  const { isCover, ...data } = req.body;
+
+  try {
+    const updated = await runSerializable(prisma, async (tx) => {
+      await requireImage(tx, id, imageId);
+      if (isCover) await setCover(tx, id, imageId);
+      return tx.propertyImage.update({ where: { id: imageId }, data, select: GALLERY_SELECT });
+    });
+    res.json({ message: 'Photo mise à jour.', image: updated });
+  } catch (err) {
+    if (sendGalleryError(res, err)) return;
+    console.error('Erreur PATCH /properties/:id/images/:imageId :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// ❌ DELETE /properties/:id/images/:imageId : retire la photo de la galerie (le fichier reste dans /uploads)
+router.delete('/:id/images/:imageId', authenticateToken, listingManagers, async (req, res) => {
+  const { id, imageId } = req.params;
+
+  try {
+    await runSerializable(prisma, async (tx) => {
+      await requireImage(tx, id, imageId);
+      await tx.propertyImage.delete({ where: { id: imageId } });
+      await normalizeGallery(tx, id);
+    });
+    res.json({ message: 'Photo retirée.' });
+  } catch (err) {
+    if (sendGalleryError(res, err)) return;
+    console.error('Erreur DELETE /properties/:id/images/:imageId :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
 module.exports = router;
@@ -0,0 +1,134 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { RATING_FIELDS, propertyRatingSummary, userRatingSummary } = require('../lib/ratings');
+const { validateBody } = require('../lib/validation');
+const { authenticate } = require('../lib/auth');
+
+const prisma = new PrismaClient();
+
+// --- Auth middleware
+const authenticateToken = authenticate(prisma);
+
+// Notes entières de 1 à 5 ; seule la note globale est obligatoire
+const createReviewSchema = {
+  bookingId: { type: 'uuid', required: true },
+  comment:   { type: 'string', maxLength: 2000, nullable: true }
+};
+RATING_FIELDS.forEach(f => {
+  createReviewSchema[f] = { type: 'integer', min: 1, max: 5, required: f === 'overallRating', nullable: f !== 'overallRating' };
+});
+
+const reviewerSelect = { id: true, firstName: true, lastName: true, avatarUrl: true };
+
+/* =========================
+   ✍️ Laisser un avis
+========================= */
+// POST /reviews
+// - le voyageur note le bien (reviewType = property)
+// - l'hôte note le voyageur (reviewType = user)
+router.post('/', authenticateToken, validateBody(createReviewSchema), async (req, res) => {
+  const { bookingId, comment } = req.body;
+  const userId = req.user.userId;
+
+  try {
+    const booking = await prisma.booking.findUnique({
+      where: { id: bookingId },
+      include: { property: { select: { id: true, hostId: true } } }
+    });
+    if (!booking) return res.status(404).json({ error: 'Réservation introuvable.' });
+
+    let reviewType;
+    let revieweeId = null;
+    if (booking.guestId === userId) {
+      reviewType = 'property';
+    } else if (booking.property.hostId === userId) {
+      reviewType = 'user';
+      revieweeId = booking.guestId;
+    } else {
+      return res.status(403).json({ error: 'Non autorisé à évaluer cette réservation.' });
+    }
+
+    if (booking.status !== 'completed') {
+      return res.status(400).json({ error: 'Seules les réservations terminées peuvent être évaluées.' });
+    }
+
+    const existing = await prisma.review.findFirst({ where: { bookingId, reviewType } });
+    if (existing) return res.status(409).json({ error: 'Un avis existe déjà pour cette réservation.' });
+
+    const data = {
+      reviewerId: userId,
+      revieweeId,
+      propertyId: booking.propertyId,
+      bookingId,
+      reviewType,
+      comment: comment || null
+    };
+    RATING_FIELDS.forEach(f => { data[f] = req.body[f] ?? null; });
+
+    const review = await prisma.review.create({ data });
+
+    res.status(201).json({ message: 'Avis enregistré.', review });
+  } catch (err) {
+    console.error('Erreur POST /reviews :', err);
+    // Contrainte unique (bookingId, reviewType) : double soumission concurrente
+    if (err.code === 'P2002') return res.status(409).json({ error: 'Un avis existe déjà pour cette réservation.' });
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🏠 Avis d'un bien (public)
+========================= */
+// GET /reviews/property/:propertyId
+router.get('/property/:propertyId', async (req, res) => {
+  const { propertyId } = req.params;
+
+  try {
+    const property = await prisma.property.findUnique({ where: { id: propertyId }, select: { id: true } });
+    if (!property) return res.status(404).json({ error: 'Bien introuvable.' });
+
+    const [summary, reviews] = await Promise.all([
+      propertyRatingSummary(prisma, propertyId),
+      prisma.review.findMany({
+        where: { propertyId, reviewType: 'property' },
+        include: { reviewer: { select: reviewerSelect } },
+        orderBy: { createdAt: 'desc' }
+      })
+    ]);
+
+    res.json({ propertyId, ratings: summary, reviews });
+  } catch (err) {
+    console.error('Erreur GET /reviews/property/:propertyId :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   👤 Avis reçus par un voyageur (public)
+========================= */
+// GET /reviews/user/:userId
+router.get('/user/:userId', async (req, res) => {
+  const { userId } = req.params;
+
+  try {
+    const user = await prisma.user.findUnique({ where: { id: userId }, select: { id: true } });
+    if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé.' });
+
+    const [summary, reviews] = await Promise.all([
+      userRatingSummary(prisma, userId),
+      prisma.review.findMany({
+        where: { revieweeId: userId, reviewType: 'user' },
+        include: { reviewer: { select: reviewerSelect } },
+        orderBy: { createdAt: 'desc' }
+      })
+    ]);
+
+    res.json({ userId, ratings: summary, reviews });
+  } catch (err) {
+    console.error('Erreur GET /reviews/user/:userId :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+module.exports = router;
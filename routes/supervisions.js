@@ -1,75 +1,103 @@
 const express = require('express');
 const router = express.Router();
 const { PrismaClient } = require('@prisma/client');
-const jwt = require('jsonwebtoken');
+const { validateBody, atLeastOneField } = require('../lib/validation');
+const { SUPERVISOR_PERMISSIONS, authenticate, authorize, accessContext, policies, ensureRole } = require('../lib/auth');
+const { accountBlock } = require('../lib/accounts');
+const { notify } = require('../lib/notifications');
 
 const prisma = new PrismaClient();
-const JWT_SECRET = process.env.JWT_SECRET || 'secret_key_dev';
 
 // 🔐 Middleware d'authentification JWT
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1];
-
-  if (!token) return res.status(401).json({ error: 'Token manquant.' });
-
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) return res.status(403).json({ error: 'Token invalide.' });
-
-    req.user = decoded; // Injecte l'utilisateur dans la requête
-    next();
+const authenticateToken = authenticate(prisma);
+
+// Permissions accordées au superviseur (toutes par défaut)
+const permissionsRule = { type: 'array', items: { type: 'enum', values: SUPERVISOR_PERMISSIONS } };
+
+const assignSupervisorSchema = {
+  phoneNumber: { type: 'phone', required: true },
+  propertyId:  { type: 'uuid', required: true },
+  permissions: permissionsRule,
+  notes:       { type: 'string', maxLength: 1000, nullable: true }
+};
+
+const updateSupervisionSchema = {
+  permissions: permissionsRule,
+  active:      { type: 'boolean' },
+  notes:       { type: 'string', maxLength: 1000, nullable: true }
+};
+
+// Supervision + contrôle « hôte du bien » ; renvoie { supervision } ou { status, error }
+async function loadSupervisionAsHost(id, userId) {
+  const supervision = await prisma.supervision.findUnique({
+    where: { id },
+    include: { property: { select: { id: true, hostId: true, active: true } } }
   });
+  if (!supervision) return { status: 404, error: 'Supervision non trouvée.' };
+
+  const ctx = await accessContext(prisma, userId, { property: supervision.property });
+  if (!policies.hostOfProperty(ctx)) return { status: 403, error: 'Non autorisé à gérer cette supervision.' };
+  return { supervision };
 }
 
-// 🔧 POST /supervisions : Assigner un superviseur via téléphone
-router.post('/', authenticateToken, async (req, res) => {
-  const { phoneNumber, propertyId } = req.body;
+const hostOfBodyProperty = authorize(prisma, { property: req => req.body.propertyId }, [policies.hostOfProperty]);
 
-  if (!phoneNumber || !propertyId) {
-    return res.status(400).json({ error: 'Téléphone et ID du bien requis.' });
-  }
+// 🔧 POST /supervisions : Assigner un superviseur via téléphone (hôte du bien)
+router.post('/', authenticateToken, validateBody(assignSupervisorSchema), hostOfBodyProperty, async (req, res) => {
+  const { phoneNumber, propertyId, permissions, notes } = req.body;
 
   try {
-    // Vérifier que l'utilisateur connecté est le propriétaire du bien
-    const property = await prisma.property.findUnique({ where: { id: propertyId } });
-    if (!property || property.hostId !== req.user.userId) {
-      return res.status(403).json({ error: 'Non autorisé à assigner ce bien.' });
-    }
-
     // Rechercher l'utilisateur à assigner
     const targetUser = await prisma.user.findUnique({ where: { phoneNumber } });
     if (!targetUser) return res.status(404).json({ error: 'Utilisateur non trouvé.' });
 
-    // Ajouter le rôle "supervisor" s’il ne l’a pas
-    const existingRole = await prisma.userRoleOnUser.findFirst({
-      where: {
-        userId: targetUser.id,
-        role: 'supervisor'
-      }
-    });
-
-    if (!existingRole) {
-      await prisma.userRoleOnUser.create({
-        data: {
-          userId: targetUser.id,
-          role: 'supervisor',
-          active: true
-        }
-      });
+    if (targetUser.id === req.user.userId) {
+      return res.status(400).json({ error: 'Vous ne pouvez pas vous assigner comme superviseur.' });
     }
+    if (accountBlock(targetUser)) return res.status(409).json({ error: 'Ce compte est suspendu ou banni.' });
+
+    // Ajouter le rôle "supervisor" (sauf s'il a été désactivé par un administrateur)
+    await ensureRole(prisma, targetUser.id, 'supervisor');
 
     // Créer le lien de supervision
-    await prisma.supervision.create({
+    const supervision = await prisma.supervision.create({
       data: {
         propertyId,
         supervisorId: targetUser.id,
-        assignedById: req.user.userId
-      }
+        assignedById: req.user.userId,
+        ...(permissions ? { permissions: [...new Set(permissions)] } : {}),
+        notes: notes || null
+      },
+      include: { property: { select: { id: true, title: true } } }
     });
+    await notify(prisma, targetUser.id, 'supervisor_assigned', { property: supervision.property, supervision });
 
-    res.status(201).json({ message: 'Superviseur assigné avec succès.' });
+    res.status(201).json({ message: 'Superviseur assigné avec succès.', supervision });
   } catch (err) {
     console.error('Erreur dans /supervisions :', err);
+    if (err.code === 'P2002') return res.status(409).json({ error: 'Cet utilisateur supervise déjà ce bien.' });
+    if (err.message === 'ROLE_DISABLED') return res.status(409).json({ error: 'Rôle superviseur désactivé pour ce compte par un administrateur.' });
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// ✏️ PATCH /supervisions/:id : Modifier les permissions / suspendre un superviseur (hôte du bien)
+router.patch('/:id', authenticateToken, validateBody(updateSupervisionSchema, { check: atLeastOneField }), async (req, res) => {
+  const { permissions, active, notes } = req.body;
+
+  try {
+    const found = await loadSupervisionAsHost(req.params.id, req.user.userId);
+    if (found.error) return res.status(found.status).json({ error: found.error });
+
+    const data = {};
+    if (permissions !== undefined) data.permissions = [...new Set(permissions)];
+    if (active !== undefined) data.active = active;
+    if (notes !== undefined) data.notes = notes;
+
+    const supervision = await prisma.supervision.update({ where: { id: req.params.id }, data });
+    res.json({ message: 'Supervision mise à jour.', supervision });
+  } catch (err) {
+    console.error('Erreur dans PATCH /supervisions/:id :', err);
     res.status(500).json({ error: 'Erreur serveur.' });
   }
 });
@@ -127,17 +155,8 @@ router.delete('/:id', authenticateToken, async (req, res) => {
   const { id } = req.params;
 
   try {
-    const supervision = await prisma.supervision.findUnique({
-      where: { id },
-    });
-
-    if (!supervision) {
-      return res.status(404).json({ error: 'Supervision non trouvée.' });
-    }
-
-    if (supervision.assignedById !== req.user.userId) {
-      return res.status(403).json({ error: 'Non autorisé à supprimer cette supervision.' });
-    }
+    const found = await loadSupervisionAsHost(id, req.user.userId);
+    if (found.error) return res.status(found.status).json({ error: found.error });
 
     await prisma.supervision.delete({
       where: { id },
@@ -0,0 +1,146 @@
+const express = require('express');
+const router = express.Router();
+const { PrismaClient } = require('@prisma/client');
+const { authenticate, hasRole } = require('../lib/auth');
+const { getStorage } = require('../lib/storage');
+const {
+  KIND_RULES,
+  storeUpload,
+  deleteUpload,
+  uploadUrl,
+  publicUpload,
+  receiveFiles,
+  sendUploadError
+} = require('../lib/uploads');
+
+const prisma = new PrismaClient();
+
+// --- Auth middleware
+const authenticateToken = authenticate(prisma);
+
+/* =========================
+   📤 Envoi (multipart, champ « files »)
+========================= */
+// Enregistre les fichiers un par un ; en cas d'erreur, ceux déjà stockés sont supprimés
+function uploadHandler(kind) {
+  return async (req, res) => {
+    const created = [];
+    try {
+      for (const file of req.files) {
+        created.push(await storeUpload(prisma, req.user.userId, kind, file));
+      }
+      res.status(201).json({ uploads: created.map(publicUpload) });
+    } catch (err) {
+      for (const upload of created) {
+        await deleteUpload(prisma, upload).catch(e => console.error('Erreur nettoyage upload :', e));
+      }
+      if (sendUploadError(res, err, kind)) return;
+      console.error(`Erreur POST /uploads (${kind}) :`, err);
+      res.status(500).json({ error: 'Erreur serveur.' });
+    }
+  };
+}
+
+// POST /uploads/property-images : photos (JPEG, PNG, WebP) → ids pour la galerie (/properties/:id/images)
+router.post('/property-images', authenticateToken, receiveFiles('property_image'), uploadHandler('property_image'));
+
+// POST /uploads/kyc-documents : pièces d'identité (images ou PDF), privées → ids pour POST /kyc/submit
+router.post('/kyc-documents', authenticateToken, receiveFiles('kyc_document'), uploadHandler('kyc_document'));
+
+/* =========================
+   📥 Lecture
+========================= */
+// Charge l'upload ; les fichiers privés exigent d'être authentifié et d'en être le propriétaire ou admin
+async function loadReadableUpload(req, res, next) {
+  try {
+    const upload = await prisma.upload.findUnique({ where: { id: req.params.id } });
+    if (!upload) return res.status(404).json({ error: 'Fichier introuvable.' });
+    req.upload = upload;
+    if (!KIND_RULES[upload.kind].private) return next();
+
+    authenticateToken(req, res, async () => {
+      try {
+        const userId = req.user.userId;
+        if (upload.ownerId !== userId && !(await hasRole(prisma, userId, 'admin'))) {
+          return res.status(404).json({ error: 'Fichier introuvable.' });
+        }
+        next();
+      } catch (err) {
+        console.error('Erreur autorisation upload :', err);
+        res.status(500).json({ error: 'Erreur serveur.' });
+      }
+    });
+  } catch (err) {
+    console.error('Erreur GET /uploads/:id :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+}
+
+async function sendStored(req, res, key, contentType) {
+  const stream = await getStorage().get(key);
+  if (!stream) return res.status(404).json({ error: 'Fichier introuvable.' });
+
+  const isPrivate = KIND_RULES[req.upload.kind].private;
+  res.set('Content-Type', contentType);
+  res.set('X-Content-Type-Options', 'nosniff');
+  // Contenu immuable (une nouvelle version = un nouvel upload)
+  res.set('Cache-Control', isPrivate ? 'private, no-store' : 'public, max-age=31536000, immutable');
+  if (contentType === 'application/pdf') res.set('Content-Disposition', 'inline');
+
+  stream.on('error', err => {
+    console.error('Erreur lecture fichier :', key, err);
+    if (!res.headersSent) res.status(500).json({ error: 'Erreur serveur.' });
+    else res.destroy(err);
+  });
+  stream.pipe(res);
+}
+
+// GET /uploads/:id
+router.get('/:id', loadReadableUpload, async (req, res) => {
+  try {
+    await sendStored(req, res, req.upload.storageKey, req.upload.mimeType);
+  } catch (err) {
+    console.error('Erreur GET /uploads/:id :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// GET /uploads/:id/thumbnail
+router.get('/:id/thumbnail', loadReadableUpload, async (req, res) => {
+  if (!req.upload.thumbnailKey) return res.status(404).json({ error: 'Pas de miniature pour ce fichier.' });
+  try {
+    await sendStored(req, res, req.upload.thumbnailKey, 'image/webp');
+  } catch (err) {
+    console.error('Erreur GET /uploads/:id/thumbnail :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// GET /uploads/:id/info : métadonnées (mêmes droits que le fichier)
+router.get('/:id/info', loadReadableUpload, (req, res) => {
+  res.json(publicUpload(req.upload));
+});
+
+/* =========================
+   🗑️ Suppression (propriétaire)
+========================= */
+// DELETE /uploads/:id : refusé tant que le fichier est utilisé (photo d'un bien, demande KYC)
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const upload = await prisma.upload.findUnique({ where: { id: req.params.id } });
+    if (!upload || upload.ownerId !== req.user.userId) return res.status(404).json({ error: 'Fichier introuvable.' });
+
+    const inUse = upload.kind === 'property_image'
+      ? await prisma.propertyImage.count({ where: { uploadId: upload.id } })
+      : await prisma.kycVerification.count({ where: { documentUrls: { has: uploadUrl(upload.id) } } });
+    if (inUse) return res.status(409).json({ error: 'Fichier utilisé : retirez-le d’abord du bien ou de la demande KYC.' });
+
+    await deleteUpload(prisma, upload);
+    res.json({ message: 'Fichier supprimé.' });
+  } catch (err) {
+    console.error('Erreur DELETE /uploads/:id :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+module.exports = router;
@@ -1,24 +1,64 @@
 const express = require('express');
 const router = express.Router();
-const { PrismaClient } = require('@prisma/client');
+const { PrismaClient, ContactVisibility, UserRole } = require('@prisma/client');
+const { authenticate, getActiveRoles, effectiveRole } = require('../lib/auth');
+const { revokeSession, revokeUserSessions } = require('../lib/sessions');
+const { enumValues, atLeastOneField, validateBody } = require('../lib/validation');
+const { hostRatingSummary, userRatingSummary, propertyRatingsByIds } = require('../lib/ratings');
+const { rateLimit, limitFromEnv } = require('../lib/rateLimit');
+const { COVER_IMAGE_INCLUDE, coverThumbnail } = require('../lib/gallery');
 const prisma = new PrismaClient();
-const jwt = require('jsonwebtoken');
-
-const JWT_SECRET = process.env.JWT_SECRET || 'secret_key_dev';
 
 // 🔐 Middleware pour sécuriser les routes avec JWT
-function authenticateToken(req, res, next) {
-  const authHeader = req.headers['authorization'];
-  const token = authHeader && authHeader.split(' ')[1]; // Format: Bearer <token>
+const authenticateToken = authenticate(prisma);
+
+// Profils publics : même limite que la consultation des biens
+const publicLimiter = rateLimit({ name: 'users-public', ...limitFromEnv('RATE_LIMIT_PUBLIC', { max: 120, windowSeconds: 60 }) });
+
+// Champs modifiables par l'utilisateur (numéro, rôles, verified… ont leurs propres parcours)
+const PROFILE_FIELDS = {
+  firstName:         { type: 'string', minLength: 1, maxLength: 100 },
+  lastName:          { type: 'string', minLength: 1, maxLength: 100 },
+  avatarUrl:         { type: 'url', maxLength: 2000, nullable: true },
+  bio:               { type: 'string', maxLength: 2000, nullable: true },
+  dateOfBirth:       { type: 'date', nullable: true },
+  contactVisibility: { type: 'enum', values: enumValues(ContactVisibility) }
+};
+
+const MIN_AGE_YEARS = 18;
 
-  if (!token) return res.sendStatus(401); // Non autorisé
+function checkProfile(value) {
+  const errors = atLeastOneField(value);
+  if (value.dateOfBirth) {
+    const adultBefore = new Date();
+    adultBefore.setUTCFullYear(adultBefore.getUTCFullYear() - MIN_AGE_YEARS);
+    if (value.dateOfBirth > adultBefore) errors.push({ field: 'dateOfBirth', message: `Vous devez avoir au moins ${MIN_AGE_YEARS} ans.` });
+    if (value.dateOfBirth.getUTCFullYear() < 1900) errors.push({ field: 'dateOfBirth', message: 'Date invalide (format ISO attendu).' });
+  }
+  return errors;
+}
 
-  jwt.verify(token, JWT_SECRET, (err, decoded) => {
-    if (err) return res.sendStatus(403); // Token invalide
+const PROFILE_SELECT = {
+  id: true,
+  firstName: true,
+  lastName: true,
+  phoneNumber: true,
+  avatarUrl: true,
+  bio: true,
+  dateOfBirth: true,
+  contactVisibility: true,
+  verified: true,
+  phoneVerifiedAt: true,
+  createdAt: true
+};
 
-    req.user = decoded; // { userId: ... }
-    next();
-  });
+const switchRoleSchema = {
+  role: { type: 'enum', required: true, values: enumValues(UserRole) }
+};
+
+function ownProfile(user) {
+  const { phoneVerifiedAt, ...profile } = user;
+  return { ...profile, phoneVerified: !!phoneVerifiedAt };
 }
 
 // ✅ Route sécurisée pour obtenir son propre profil
@@ -34,13 +74,21 @@ router.get('/me', authenticateToken, async (req, res) => {
 
     if (!user) return res.status(404).json({ error: 'Utilisateur non trouvé.' });
 
+    const activeRoles = user.roles.filter(r => r.active).map(r => r.role);
     res.json({
       id: user.id,
       firstName: user.firstName,
       lastName: user.lastName,
       phoneNumber: user.phoneNumber,
+      avatarUrl: user.avatarUrl,
+      bio: user.bio,
+      dateOfBirth: user.dateOfBirth,
+      contactVisibility: user.contactVisibility,
       verified: user.verified,
+      phoneVerified: !!user.phoneVerifiedAt,
       roles: user.roles.map(r => r.role),
+      activeRoles,
+      currentRole: effectiveRole(user.currentRole, activeRoles),
       documents: user.documents
     });
   } catch (err) {
@@ -49,4 +97,130 @@ router.get('/me', authenticateToken, async (req, res) => {
   }
 });
 
+// ✏️ PATCH /users/me : modifier son profil
+router.patch('/me', authenticateToken, validateBody(PROFILE_FIELDS, { check: checkProfile }), async (req, res) => {
+  try {
+    const user = await prisma.user.update({
+      where: { id: req.user.userId },
+      data: req.body,
+      select: PROFILE_SELECT
+    });
+    res.json({ message: 'Profil mis à jour.', user: ownProfile(user) });
+  } catch (err) {
+    console.error('Erreur PATCH /users/me :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// 🔀 PUT /users/me/role { role } : changer de contexte (voyageur, hôte…) parmi ses rôles actifs
+router.put('/me/role', authenticateToken, validateBody(switchRoleSchema), async (req, res) => {
+  const { role } = req.body;
+
+  try {
+    const activeRoles = await getActiveRoles(prisma, req.user.userId);
+    if (!activeRoles.includes(role)) return res.status(403).json({ error: 'Rôle non attribué ou désactivé.' });
+
+    await prisma.user.update({ where: { id: req.user.userId }, data: { currentRole: role } });
+    res.json({ message: 'Rôle actif modifié.', currentRole: role, activeRoles });
+  } catch (err) {
+    console.error('Erreur PUT /users/me/role :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   🪪 Mes sessions
+========================= */
+const sessionSelect = { id: true, userAgent: true, ipAddress: true, createdAt: true, lastUsedAt: true, expiresAt: true };
+
+// GET /users/me/sessions : sessions ouvertes (la session courante est signalée)
+router.get('/me/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await prisma.session.findMany({
+      where: { userId: req.user.userId, revokedAt: null, expiresAt: { gt: new Date() } },
+      select: sessionSelect,
+      orderBy: { lastUsedAt: 'desc' }
+    });
+    res.json(sessions.map(s => ({ ...s, current: s.id === req.user.sid })));
+  } catch (err) {
+    console.error('Erreur GET /users/me/sessions :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// DELETE /users/me/sessions/:id : révoquer une session
+router.delete('/me/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const session = await prisma.session.findUnique({ where: { id: req.params.id }, select: { userId: true } });
+    if (!session || session.userId !== req.user.userId) return res.status(404).json({ error: 'Session introuvable.' });
+
+    await revokeSession(prisma, req.params.id);
+    res.json({ message: 'Session révoquée.' });
+  } catch (err) {
+    console.error('Erreur DELETE /users/me/sessions/:id :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+// DELETE /users/me/sessions : révoquer toutes les autres sessions
+router.delete('/me/sessions', authenticateToken, async (req, res) => {
+  try {
+    const result = await revokeUserSessions(prisma, req.user.userId, { exceptId: req.user.sid });
+    res.json({ message: 'Autres sessions révoquées.', count: result.count });
+  } catch (err) {
+    console.error('Erreur DELETE /users/me/sessions :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
+/* =========================
+   👤 Profil public
+========================= */
+// GET /users/:id : jamais de numéro de téléphone ni de date de naissance
+router.get('/:id', publicLimiter, async (req, res) => {
+  try {
+    const user = await prisma.user.findUnique({
+      where: { id: req.params.id },
+      select: {
+        id: true,
+        firstName: true,
+        lastName: true,
+        avatarUrl: true,
+        bio: true,
+        verified: true,
+        status: true,
+        createdAt: true,
+        properties: {
+          where: { active: true },
+          select: { id: true, title: true, city: true, country: true, propertyType: true, rentalType: true, images: COVER_IMAGE_INCLUDE },
+          orderBy: { createdAt: 'desc' }
+        }
+      }
+    });
+    // Les comptes bannis n'ont plus de profil public
+    if (!user || user.status === 'banned') return res.status(404).json({ error: 'Utilisateur non trouvé.' });
+
+    const [hostRatings, guestRatings, ratingsByProperty] = await Promise.all([
+      hostRatingSummary(prisma, user.id),
+      userRatingSummary(prisma, user.id),
+      propertyRatingsByIds(prisma, user.properties.map(p => p.id))
+    ]);
+
+    const { createdAt, properties, status, ...profile } = user;
+    res.json({
+      ...profile,
+      memberSince: createdAt,
+      properties: properties.map(({ images, ...p }) => ({
+        ...p,
+        coverImage: coverThumbnail(images),
+        rating: ratingsByProperty.get(p.id) || { average: null, count: 0 }
+      })),
+      ratings: { asHost: hostRatings, asGuest: guestRatings }
+    });
+  } catch (err) {
+    console.error('Erreur GET /users/:id :', err);
+    res.status(500).json({ error: 'Erreur serveur.' });
+  }
+});
+
 module.exports = router;
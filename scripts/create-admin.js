@@ -0,0 +1,77 @@
+// 🛠️ Création du premier administrateur
+// npm run create-admin -- --phone 061234567 [--first-name Awa --last-name Mbemba] [--password ...]
+// - numéro existant : le rôle admin lui est attribué (ou réactivé), le compte est réactivé s'il était bloqué
+// - sinon un compte est créé (prénom, nom et mot de passe requis ; mot de passe aussi via ADMIN_PASSWORD)
+require('dotenv').config();
+const bcrypt = require('bcrypt');
+const { PrismaClient } = require('@prisma/client');
+const { normalizePhone } = require('../lib/phone');
+
+const SALT_ROUNDS = 10;
+const MIN_PASSWORD_LENGTH = 8;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z-]+)$/.exec(argv[i]);
+    if (m && argv[i + 1] !== undefined) args[m[1]] = argv[++i];
+  }
+  return args;
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const password = args.password || process.env.ADMIN_PASSWORD;
+
+  if (!args.phone) fail('Usage : npm run create-admin -- --phone <numéro> [--first-name <prénom> --last-name <nom>] [--password <mot de passe>]');
+  const phoneNumber = normalizePhone(args.phone);
+  if (!phoneNumber) fail('Numéro de téléphone invalide.');
+
+  const prisma = new PrismaClient();
+  try {
+    let user = await prisma.user.findUnique({ where: { phoneNumber } });
+
+    if (!user) {
+      if (!args['first-name'] || !args['last-name']) fail('Nouveau compte : --first-name et --last-name sont requis.');
+      if (!password || password.length < MIN_PASSWORD_LENGTH) fail(`Nouveau compte : mot de passe d'au moins ${MIN_PASSWORD_LENGTH} caractères requis.`);
+
+      user = await prisma.user.create({
+        data: {
+          firstName: args['first-name'],
+          lastName: args['last-name'],
+          phoneNumber,
+          password: await bcrypt.hash(password, SALT_ROUNDS),
+          phoneVerifiedAt: new Date(),
+          bio: '',
+          roles: { create: { role: 'guest', active: true } }
+        }
+      });
+      console.log(`👤 Compte créé pour ${phoneNumber}.`);
+    } else if (user.status !== 'active') {
+      await prisma.user.update({
+        where: { id: user.id },
+        data: { status: 'active', statusReason: null, suspendedUntil: null, statusChangedAt: new Date(), statusChangedById: null }
+      });
+      console.log(`🔓 Compte ${phoneNumber} réactivé.`);
+    }
+
+    await prisma.userRoleOnUser.upsert({
+      where: { userId_role: { userId: user.id, role: 'admin' } },
+      update: { active: true },
+      create: { userId: user.id, role: 'admin', active: true }
+    });
+    console.log(`✅ ${user.firstName} ${user.lastName} (${phoneNumber}) est administrateur.`);
+  } finally {
+    await prisma.$disconnect();
+  }
+}
+
+main().catch(err => {
+  console.error('Erreur création administrateur :', err);
+  process.exit(1);
+});
@@ -0,0 +1,50 @@
+// 🗓️ Exécution ponctuelle des tâches planifiées (tests, rattrapage, cron externe)
+// npm run jobs -- <nom>|all
+// npm run jobs -- --list
+// Code de sortie 1 si une tâche a échoué ; chaque exécution est journalisée (JobRun, trigger « cli »).
+require('dotenv').config();
+const { PrismaClient } = require('@prisma/client');
+const { JOB_NAMES, runJob, describeJobs } = require('../lib/jobs');
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function printJobs() {
+  for (const job of describeJobs()) {
+    console.log(`- ${job.name} (toutes les ${job.intervalMinutes} min) : ${job.description}`);
+  }
+}
+
+async function main() {
+  const arg = process.argv[2];
+  if (arg === '--list') return printJobs();
+  if (!arg) fail(`Usage : npm run jobs -- <${JOB_NAMES.join('|')}|all> (ou --list)`);
+  if (arg !== 'all' && !JOB_NAMES.includes(arg)) fail(`Tâche inconnue : ${arg}. Tâches : ${JOB_NAMES.join(', ')}.`);
+
+  const names = arg === 'all' ? JOB_NAMES : [arg];
+  const prisma = new PrismaClient();
+  let failed = false;
+  try {
+    for (const name of names) {
+      const run = await runJob(prisma, name, { trigger: 'cli' });
+      if (!run) {
+        console.log(`⏭️ ${name} : déjà en cours, ignorée.`);
+      } else if (run.status === 'failed') {
+        failed = true;
+        console.error(`❌ ${name} : échec (${run.error.split('\n')[0]}).`);
+      } else {
+        console.log(`✅ ${name} : ${run.processed} traité(s) ${JSON.stringify(run.details)}`);
+      }
+    }
+  } finally {
+    await prisma.$disconnect();
+  }
+  if (failed) process.exit(1);
+}
+
+main().catch(err => {
+  console.error('Erreur exécution des tâches :', err);
+  process.exit(1);
+});
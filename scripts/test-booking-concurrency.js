@@ -0,0 +1,192 @@
+// 🧪 Test de concurrence des réservations
+// npm test  (ou npm run test:concurrency -- --requests 20)
+// Prérequis : une base PostgreSQL locale et jetable désignée par DATABASE_URL (jamais la production),
+// le schéma à jour (npx prisma migrate deploy) et le client généré (npx prisma generate).
+// Crée un hôte, un bien et N voyageurs, puis envoie N POST /bookings simultanés sur les mêmes dates :
+// exactement une demande doit aboutir (201), toutes les autres recevoir un 409.
+// Le serveur est lancé sur TEST_PORT (5099 par défaut), sauf si API_URL désigne un serveur déjà démarré.
+// Les données créées sont supprimées à la fin ; code de sortie 1 si le test échoue.
+require('dotenv').config();
+const path = require('path');
+const crypto = require('crypto');
+const { spawn } = require('child_process');
+const bcrypt = require('bcrypt');
+const { PrismaClient } = require('@prisma/client');
+const { openSession } = require('../lib/sessions');
+const { addDays, startOfUTCDay, toISOyyyyMMdd } = require('../lib/dates');
+
+const DEFAULT_REQUESTS = 10;
+const TEST_PORT = Number(process.env.TEST_PORT || 5099);
+const SERVER_START_TIMEOUT_MS = 20000;
+
+function parseArgs(argv) {
+  const args = {};
+  for (let i = 0; i < argv.length; i++) {
+    const m = /^--([a-z-]+)$/.exec(argv[i]);
+    if (m && argv[i + 1] !== undefined) args[m[1]] = argv[++i];
+  }
+  return args;
+}
+
+function fail(message) {
+  console.error(`❌ ${message}`);
+  process.exit(1);
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Numéro de test unique (+24209XXXXXXX)
+function testPhone() {
+  return `+24209${crypto.randomInt(0, 1e7).toString().padStart(7, '0')}`;
+}
+
+/* =========================
+   🖥️ Serveur
+========================= */
+async function waitForServer(baseUrl) {
+  const deadline = Date.now() + SERVER_START_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    try {
+      const res = await fetch(baseUrl);
+      if (res.ok) return;
+    } catch {
+      // pas encore à l'écoute
+    }
+    await sleep(250);
+  }
+  throw new Error(`Serveur injoignable sur ${baseUrl}`);
+}
+
+// Lance index.js sur TEST_PORT ; renvoie { baseUrl, stop }
+async function startServer() {
+  if (process.env.API_URL) return { baseUrl: process.env.API_URL.replace(/\/$/, ''), stop: () => {} };
+
+  const server = spawn(process.execPath, [path.join(__dirname, '..', 'index.js')], {
+    env: { ...process.env, PORT: String(TEST_PORT) },
+    stdio: ['ignore', 'ignore', 'inherit']
+  });
+  const stop = () => { if (server.exitCode === null) server.kill(); };
+  const baseUrl = `http://localhost:${TEST_PORT}`;
+  try {
+    await waitForServer(baseUrl);
+  } catch (err) {
+    stop();
+    throw err;
+  }
+  return { baseUrl, stop };
+}
+
+/* =========================
+   🧱 Données de test
+========================= */
+async function createFixtures(prisma, requests) {
+  const password = await bcrypt.hash(crypto.randomBytes(16).toString('hex'), 10);
+  const newUser = (firstName) => prisma.user.create({
+    data: { phoneNumber: testPhone(), firstName, lastName: 'Concurrence', password }
+  });
+
+  const host = await newUser('Hôte');
+  const property = await prisma.property.create({
+    data: {
+      hostId: host.id,
+      title: 'Test de concurrence',
+      propertyType: 'apartment',
+      rentalType: 'short_term',
+      maxGuests: 2,
+      bedrooms: 1,
+      bathrooms: 1,
+      pricePerNight: 20000,
+      address: '1 rue du Test',
+      city: 'Brazzaville'
+    }
+  });
+
+  const guests = [];
+  for (let i = 0; i < requests; i++) {
+    const user = await newUser(`Voyageur ${i + 1}`);
+    const { token } = await openSession(prisma, user);
+    guests.push({ user, token });
+  }
+  return { host, property, guests };
+}
+
+async function removeFixtures(prisma, { host, property, guests }) {
+  const userIds = [host.id, ...guests.map(g => g.user.id)];
+  const bookingIds = (await prisma.booking.findMany({ where: { propertyId: property.id }, select: { id: true } })).map(b => b.id);
+
+  await prisma.$transaction([
+    prisma.message.deleteMany({ where: { OR: [{ bookingId: { in: bookingIds } }, { recipientId: { in: userIds } }] } }),
+    prisma.ledgerEntry.deleteMany({ where: { bookingId: { in: bookingIds } } }),
+    prisma.bookingStatusHistory.deleteMany({ where: { bookingId: { in: bookingIds } } }),
+    prisma.booking.deleteMany({ where: { id: { in: bookingIds } } }),
+    prisma.propertyAvailability.deleteMany({ where: { propertyId: property.id } }),
+    prisma.property.delete({ where: { id: property.id } }),
+    prisma.notification.deleteMany({ where: { userId: { in: userIds } } }),
+    prisma.user.deleteMany({ where: { id: { in: userIds } } })
+  ]);
+}
+
+/* =========================
+   🏁 Test
+========================= */
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+  const requests = args.requests ? Number(args.requests) : DEFAULT_REQUESTS;
+  if (!Number.isInteger(requests) || requests < 2) fail('--requests doit être un entier ≥ 2.');
+  if (!process.env.DATABASE_URL) fail('DATABASE_URL doit désigner une base PostgreSQL locale (puis : npx prisma migrate deploy).');
+
+  const prisma = new PrismaClient();
+  let fixtures = null;
+  let server = null;
+  let passed = false;
+  try {
+    try {
+      fixtures = await createFixtures(prisma, requests);
+    } catch (err) {
+      // P2021 / P2022 : table ou colonne absente, migrations non appliquées
+      if (['P2021', 'P2022'].includes(err.code)) fail('Schéma non à jour : lancez npx prisma migrate deploy sur la base de test.');
+      throw err;
+    }
+    server = await startServer();
+
+    // Mêmes dates pour tous : dans un mois, 3 nuits
+    const checkIn = addDays(startOfUTCDay(new Date()), 30);
+    const body = JSON.stringify({
+      propertyId: fixtures.property.id,
+      checkInDate: toISOyyyyMMdd(checkIn),
+      checkOutDate: toISOyyyyMMdd(addDays(checkIn, 3)),
+      guestsCount: 1
+    });
+
+    const statuses = await Promise.all(fixtures.guests.map(async ({ token }) => {
+      const res = await fetch(`${server.baseUrl}/bookings`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${token}` },
+        body
+      });
+      return res.status;
+    }));
+
+    const created = statuses.filter(s => s === 201).length;
+    const conflicts = statuses.filter(s => s === 409).length;
+    const stored = await prisma.booking.count({ where: { propertyId: fixtures.property.id } });
+    console.log(`${requests} demandes simultanées : ${created} × 201, ${conflicts} × 409, ${stored} réservation(s) en base.`);
+
+    passed = created === 1 && conflicts === requests - 1 && stored === 1;
+    if (!passed) console.error(`Statuts reçus : ${statuses.join(', ')}`);
+  } finally {
+    if (server) server.stop();
+    if (fixtures) await removeFixtures(prisma, fixtures);
+    await prisma.$disconnect();
+  }
+
+  if (!passed) fail('Une seule réservation devait aboutir, toutes les autres en 409.');
+  console.log('✅ Une seule réservation acceptée, les autres refusées (409).');
+}
+
+main().catch(err => {
+  console.error(err);
+  process.exit(1);
+});